@@ -56,6 +56,7 @@ export default defineConfig([
       globals: {
         console: "readonly",
         process: "readonly",
+        setTimeout: "readonly",
         describe: "readonly",
         it: "readonly",
         expect: "readonly",
@@ -8,82 +8,615 @@
  */
 export type Constructor<T = any> = new (...args: any[]) => T
 
+declare const injectionTokenType: unique symbol
+
+/**
+ * A unique registration key that carries the type of the instance registered under it.
+ * Two tokens with the same name never collide.
+ * @template T The instance type
+ */
+export declare class InjectionToken<T = unknown> {
+  /** A short name for the token, used in diagnostics */
+  readonly name: string
+  /** A longer description, printed next to the name in diagnostics */
+  readonly description?: string
+  /** Phantom property that carries the instance type, never set at runtime */
+  readonly [injectionTokenType]?: T
+
+  /**
+   * @param name A short name for the token, used in diagnostics
+   * @param options Optional description printed next to the name in diagnostics
+   */
+  constructor(name: string, options?: { description?: string })
+
+  /** The name and description of the token, as printed in diagnostics */
+  toString(): string
+}
+
+/**
+ * Valid injection target: a class constructor, a string name, a Symbol or an InjectionToken.
+ */
+export type Token<T = any> = string | symbol | Constructor<T> | InjectionToken<T>
+
+/**
+ * A registration key that can be used as a name for @Singleton, @Factory or @Scoped.
+ */
+export type RegistrationName = string | symbol | InjectionToken<any>
+
+/**
+ * The codes of the errors thrown by the container and the decorators.
+ */
+export type DIErrorCode =
+  | 'ERR_DI'
+  | 'ERR_DI_NOT_REGISTERED'
+  | 'ERR_DI_DUPLICATE_REGISTRATION'
+  | 'ERR_DI_CIRCULAR_DEPENDENCY'
+  | 'ERR_DI_MOCK'
+  | 'ERR_DI_INVALID_TARGET'
+  | 'ERR_DI_VALIDATION'
+  | 'ERR_DI_RESOLUTION'
+  | 'ERR_DI_INVALID_ARGUMENT'
+  | 'ERR_DI_MULTIPLE_PROVIDERS'
+  | 'ERR_DI_CAPTIVE_DEPENDENCY'
+  | 'ERR_DI_PENDING'
+  | 'ERR_DI_NO_SCOPE'
+  | 'ERR_DI_SCOPE_ENDED'
+  | 'ERR_DI_INJECTED_FIELD_ASSIGNMENT'
+  | 'ERR_DI_NOT_PROFILING'
+  | 'ERR_DI_NOT_SPIED'
+
+/**
+ * Options of the error classes.
+ */
+export interface DIErrorOptions {
+  /** Overrides the default code of the error class */
+  code?: DIErrorCode | (string & {})
+  /** The registration key the error is about */
+  token?: Token
+  /** The error that caused this one, e.g. one thrown by a constructor */
+  cause?: unknown
+}
+
+/**
+ * The base class of every error thrown by the container and the decorators.
+ * Branch on `code` rather than on the message, which may change between versions.
+ */
+export declare class DIError extends Error {
+  /** A stable identifier for the kind of failure */
+  readonly code: DIErrorCode | (string & {})
+  /** The registration key the error is about */
+  readonly token?: Token
+  /** The error that caused this one, e.g. one thrown by a constructor */
+  readonly cause?: unknown
+  constructor(message: string, options?: DIErrorOptions)
+}
+
+/**
+ * Thrown when nothing is registered under a key that is injected, resolved, validated or reset.
+ */
+export declare class NotRegisteredError extends DIError {
+  /** Every missing key */
+  readonly tokens: Token[]
+  constructor(message: string, options?: DIErrorOptions & { tokens?: Token[] })
+}
+
+/**
+ * Thrown when a key is registered twice, or used for both regular and multi registrations.
+ */
+export declare class DuplicateRegistrationError extends DIError {}
+
+/**
+ * Thrown when a registration depends on itself through eagerly injected fields, or an alias points to itself.
+ */
+export declare class CircularDependencyError extends DIError {}
+
+/**
+ * Thrown when a mock cannot be registered.
+ */
+export declare class MockError extends DIError {}
+
+/**
+ * Thrown when a decorator is applied to something it does not support, e.g. @Inject on a method.
+ */
+export declare class InvalidDecoratorTargetError extends DIError {}
+
+/**
+ * Thrown by validateContainer() when the wiring of the container has problems.
+ */
+export declare class ValidationError extends DIError {
+  /** Each problem that was found */
+  readonly problems: string[]
+  constructor(message: string, options?: DIErrorOptions & { problems?: string[] })
+}
+
+/**
+ * A registration that was being created when a ResolutionError was thrown.
+ */
+export interface ResolutionStep {
+  /** The key of the registration */
+  token: Token
+  /** The readable name of the registration */
+  name: string
+  /** The field that requested it, if it was injected */
+  injectionPoint?: InjectionPoint
+}
+
+/**
+ * Thrown when a constructor, factory function, field initializer or @PostConstruct method fails while the container
+ * creates an instance. The original error is kept as `cause`, and its stack is appended to the stack of this error.
+ */
+export declare class ResolutionError extends DIError {
+  /** The registrations being created, from the first one requested to the one that failed */
+  readonly chain: ResolutionStep[]
+  /** The parameters passed to the registration that failed */
+  readonly params: any[]
+  constructor(message: string, options?: DIErrorOptions & { chain?: ResolutionStep[], params?: any[] })
+}
+
+/**
+ * A factory function that builds an instance. It is called with the container and the injection parameters.
+ */
+export type FactoryFunction<T = any> = (container: Container, ...params: any[]) => T
+
+/**
+ * Options for registerFactoryFunction().
+ */
+export interface FactoryFunctionOptions {
+  /** If true, the factory function is only called once and its result cached */
+  singleton?: boolean
+}
+
+/**
+ * Options for @Singleton, @Factory and @Scoped that add the class to the multi providers of a name.
+ */
+export interface RegistrationOptions {
+  /** If true, the class is added to the providers of the name instead of claiming it, see @InjectAll */
+  multi?: boolean
+  /** The position among the multi providers of the name, lower values come first (default 0) */
+  order?: number
+}
+
+/**
+ * The field a dependency is injected into.
+ */
+export interface InjectionPoint {
+  /** The name of the class the dependency is injected into */
+  consumer: string
+  /** The name of the field or accessor */
+  field: string | symbol
+  /** Whether the dependency is only created when the field is first read */
+  lazy?: boolean
+}
+
+/**
+ * Log levels from the most to the least verbose. 'silent' turns logging off.
+ */
+export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'silent'
+
+/**
+ * A structured log event.
+ */
+export interface LogEvent {
+  /**
+   * What happened: 'register', 'create', 'cacheHit', 'resolveFromParent', 'mock', 'deferMock', 'resetMock', 'captive',
+   * 'openScope', 'closeScope', 'clear', 'dispose', 'teardownError' or 'postConstructError'
+   */
+  event: string
+  /** The registration key the event is about */
+  token?: Token
+  /** The registration type */
+  type?: 'singleton' | 'factory' | 'scoped' | 'value' | 'alias'
+  /** For 'create': how long creating the instance took */
+  durationMs?: number
+  /** For 'create': whether the instance was created from a mock */
+  mocked?: boolean
+  [key: string]: unknown
+}
+
+/**
+ * Any object with pino-style level methods, called with the structured event first and the message second.
+ * A missing trace() method falls back to debug(), other missing methods are skipped.
+ * Trace events are sent to console.debug() when the logger is console, as console.trace() prints a stack trace.
+ */
+export interface Logger {
+  trace?(event: LogEvent, message: string): void
+  debug?(event: LogEvent, message: string): void
+  info?(event: LogEvent, message: string): void
+  warn?(event: LogEvent, message: string): void
+  error?(event: LogEvent, message: string): void
+}
+
+/**
+ * The payloads of the events a container emits, by event name.
+ */
+export interface ContainerEvents {
+  register: { token: Token, type: 'singleton' | 'factory' | 'scoped' | 'value' | 'alias', multi?: boolean, target?: Token }
+  resolve: { token: Token, type: 'singleton' | 'factory' | 'scoped', params: any[], injectionPoint?: InjectionPoint }
+  create: {
+    token: Token
+    type: 'singleton' | 'factory' | 'scoped'
+    instance: any
+    durationMs: number
+    mocked: boolean
+    async: boolean
+  }
+  cacheHit: { token: Token, type: 'singleton' | 'factory' | 'scoped', instance: any }
+  /** `mock` is the mock class, or the object or function passed to mockValue() or mockFactory() */
+  mock: { token: Token, mock: unknown, proxy: boolean }
+  resetMock: { token: Token, mock: unknown }
+  clear: { instances: any[] }
+  dispose: { instances: any[] }
+}
+
+/**
+ * The name of an event a container emits.
+ */
+export type ContainerEvent = keyof ContainerEvents
+
+/**
+ * The resolutions and creation times of one registration while profiling.
+ */
+export interface ProfileEntry {
+  /** The registration key */
+  token: Token
+  /** The readable name of the registration */
+  name: string
+  /** The registration type */
+  type: 'singleton' | 'factory' | 'scoped'
+  /** How often an instance was requested */
+  resolutions: number
+  /** How often a cached singleton or scoped instance was returned */
+  cacheHits: number
+  /** How often an instance was created */
+  creations: number
+  /** The time spent creating instances, including nested injections */
+  totalMs: number
+  /** The time spent creating instances, excluding nested injections */
+  selfMs: number
+}
+
+/**
+ * One creation while profiling, with the creations nested in it.
+ */
+export interface ProfileNode {
+  /** The registration key */
+  token: Token
+  /** The readable name of the registration */
+  name: string
+  /** The registration type */
+  type: 'singleton' | 'factory' | 'scoped'
+  /** Whether the instance was created by resolveAsync(), whose nested creations are not tracked */
+  async: boolean
+  /** The time spent creating the instance, including nested injections */
+  totalMs: number
+  /** The time spent creating the instance, excluding nested injections */
+  selfMs: number
+  /** The instances created while this one was created */
+  children: ProfileNode[]
+}
+
+/**
+ * The report returned by stopProfiling().
+ */
+export interface ProfileReport {
+  /** How long profiling ran */
+  durationMs: number
+  /** One entry per registration, the highest self time first */
+  entries: ProfileEntry[]
+  /** The creations that were not nested in another one, in order */
+  tree: ProfileNode[]
+}
+
 /**
- * Valid injection target: either a class constructor or a string name.
+ * What to do when a singleton eagerly injects a factory or scoped registration.
  */
-export type InjectionToken<T = any> = string | Constructor<T>
+export type CaptiveDependencyMode = 'ignore' | 'warn' | 'throw'
 
 /**
  * Context for registered instances in the container
  */
 export interface InstanceContext {
   /** The type of registration */
-  type: 'singleton' | 'factory'
+  type: 'singleton' | 'factory' | 'scoped'
+  /** The key the registration was made under */
+  token?: Token
   /** The current class constructor (may be a mock) */
-  clazz: new (...args: any[]) => any
+  clazz?: new (...args: any[]) => any
+  /** The factory function for registrations made with registerFactoryFunction() */
+  factory?: FactoryFunction
+  /** The pre-built value for registrations made with registerValue() */
+  value?: any
   /** The original class constructor if mocked */
   originalClazz?: new (...args: any[]) => any
+  /** The original provider if mocked */
+  original?: { clazz?: Constructor, factory?: FactoryFunction, value?: any }
   /** The cached singleton instance */
   instance?: any
   /** Whether to use proxy mocking */
   proxy?: boolean
+  /** The in-flight singleton creation started by resolveAsync() */
+  pending?: Promise<any>
+  /** The container the registration was made in */
+  owner: Container
+  /** The parent registration this context shadows (set for child container mocks) */
+  inherited?: InstanceContext
+  /** Whether this is one of several providers registered under the same name */
+  multi?: boolean
+  /** The sort order of a multi provider */
+  order?: number
+}
+
+/**
+ * A registration in the dependency graph.
+ */
+export interface GraphNode {
+  /** The key the registration was made under */
+  token: Token
+  /** A readable name for the key */
+  name: string
+  /** The type of the registration */
+  type: 'singleton' | 'factory' | 'scoped' | 'alias'
+  /** What builds the instance */
+  provider: 'class' | 'factory' | 'value' | 'alias'
+  /** The class that is instantiated (the mock class if mocked) */
+  clazz?: Constructor
+  /** Whether the registration is currently mocked */
+  mock: boolean
+  /** The provider the mock replaces */
+  original?: { clazz?: Constructor, factory?: FactoryFunction, value?: any }
+  /** Whether the registration is one of several providers under the same key */
+  multi: boolean
+  /** Whether the registration was made in an ancestor container */
+  inherited: boolean
+}
+
+/**
+ * An injected field (or an alias) in the dependency graph.
+ */
+export interface GraphEdge {
+  /** The key of the registration that has the dependency, or the alias key */
+  from: Token
+  /** The key that is injected, or the key the alias points to */
+  to: Token
+  /** The class that declares the injected field (not set for aliases) */
+  consumer?: Constructor
+  /** The name of the injected field or accessor (not set for aliases) */
+  field?: string | symbol
+  /** Whether the dependency is created on first access */
+  lazy: boolean
+  /** Whether the field is static */
+  static: boolean
+  /** Whether a missing registration is allowed */
+  optional: boolean
+  /** Whether all multi providers of the key are injected */
+  multi: boolean
+  /** Whether the edge is an alias rather than an injected field */
+  alias: boolean
+}
+
+/**
+ * The registrations of a container and the dependencies between them.
+ */
+export interface DependencyGraph {
+  nodes: GraphNode[]
+  edges: GraphEdge[]
 }
 
 /**
  * A dependency injection container that manages singleton and factory instances.
  */
 export declare class Container {
+  /**
+   * @param parent Optional parent container to fall back to for lookups
+   */
+  constructor(parent?: Container)
+
+  /**
+   * The parent container, or null for a root container.
+   */
+  readonly parent: Container | null
+
+  /**
+   * Create a child container that falls back to this container for anything it does not register itself.
+   */
+  createChild(): Container
+
   /**
    * Enable or disable debug logging.
-   * When enabled, logs when instances are created.
+   * When enabled, every event is logged. When disabled, only warnings and errors are logged.
    */
   setDebug(enabled: boolean): void
 
+  /**
+   * Send the log events of this container to a logger, such as pino, console or a wrapper around another library.
+   * @param options.level The least severe level that is logged, defaults to 'info'
+   */
+  setLogger(logger: Logger, options?: { level?: LogLevel }): void
+
+  /**
+   * Add a listener for an event of this container. Listeners are called synchronously with the payload of each event.
+   * Only calls made on this container emit events, not calls made on its parent or child containers.
+   * @returns A function that removes the listener again
+   * @throws DIError if the event is not supported
+   */
+  on<E extends ContainerEvent>(event: E, listener: (payload: ContainerEvents[E]) => void): () => void
+
+  /**
+   * Start recording how often each registration is resolved and how long creating its instances takes.
+   * Restarts the recording if profiling is already running.
+   */
+  startProfiling(): void
+
+  /**
+   * Stop profiling and get the report.
+   * @throws DIError if profiling was not started
+   */
+  stopProfiling(): ProfileReport
+
+  /**
+   * Remove a listener added with on().
+   */
+  off<E extends ContainerEvent>(event: E, listener: (payload: ContainerEvents[E]) => void): void
+
+  /**
+   * Choose how captive dependencies are reported: a singleton that eagerly injects a factory or scoped registration.
+   * Defaults to 'warn'.
+   */
+  setCaptiveDependencyMode(mode: CaptiveDependencyMode): void
+
   /**
    * Register a class as a singleton.
    */
-  registerSingleton<T>(clazz: Constructor<T>, name?: string): void
+  registerSingleton<T>(clazz: Constructor<T>, name?: RegistrationName, options?: RegistrationOptions): void
 
   /**
    * Register a class as a factory.
    */
-  registerFactory<T>(clazz: Constructor<T>, name?: string): void
+  registerFactory<T>(clazz: Constructor<T>, name?: RegistrationName, options?: RegistrationOptions): void
+
+  /**
+   * Register a class as scoped. One instance is created per scope opened with runInScope().
+   */
+  registerScoped<T>(clazz: Constructor<T>, name?: RegistrationName, options?: RegistrationOptions): void
+
+  /**
+   * Register a pre-built value, such as a configuration object or a third-party client instance.
+   * The value is returned as is and is never disposed by the container.
+   */
+  registerValue<T>(token: Token<T>, value: T): void
+
+  /**
+   * Register a factory function that builds the instance. It is called with the container and the injection parameters.
+   */
+  registerFactoryFunction<T>(
+    token: Token<T>,
+    factory: FactoryFunction<T>,
+    options?: FactoryFunctionOptions
+  ): void
+
+  /**
+   * Register an alias, so that resolving the new key resolves the existing key instead.
+   * @throws Error if the alias key is already registered or the alias would create a cycle
+   */
+  registerAlias<T>(newToken: Token<T>, existingToken: Token<T>): void
+
+  /**
+   * Run a function inside a new scope. Scoped registrations resolved within its async call tree share one instance.
+   * The scope is torn down once the function returns, or once the returned promise settles.
+   */
+  runInScope<T>(fn: () => T): T
 
   /**
    * Get the context for a given class or name.
-   * @throws Error if the class/name is not registered
+   * @param injectionPoint The field that asked for it, named in the error if it is not found
+   * @throws Error if the class/name is not registered, suggesting similar registrations
+   */
+  getContext<T>(clazzOrName: Token<T>, injectionPoint?: InjectionPoint): InstanceContext
+
+  /**
+   * Check if a class or name is registered in this container or any of its ancestors.
    */
-  getContext<T>(clazzOrName: InjectionToken<T>): InstanceContext
+  has<T>(clazzOrName: Token<T>): boolean
 
   /**
-   * Check if a class or name is registered.
+   * Check if a class or name is registered directly in this container, ignoring ancestors.
    */
-  has<T>(clazzOrName: InjectionToken<T>): boolean
+  hasOwn<T>(clazzOrName: Token<T>): boolean
 
   /**
    * Resolve and return an instance by class or name.
    * This allows non-decorator code to retrieve instances from the container.
    */
-  resolve<T>(clazzOrName: InjectionToken<T>, ...params: any[]): T
+  resolve<T>(clazzOrName: Token<T>, ...params: any[]): T
+
+  /**
+   * Resolve all providers registered under a name with `{multi: true}`, sorted by order and then registration order.
+   * Falls back to the parent container if this container has no providers for the name.
+   */
+  resolveAll<T>(name: Token<T>, ...params: any[]): T[]
+
+  /**
+   * Get the contexts of all providers registered under a name with `{multi: true}`, in resolution order.
+   */
+  getAllContexts<T>(name: Token<T>): InstanceContext[]
+
+  /**
+   * Describe every registration visible from this container and the dependencies declared by their injected fields.
+   * No instances are created.
+   */
+  getDependencyGraph(): DependencyGraph
+
+  /**
+   * Check the wiring of every registration visible from this container without creating any instances.
+   * @throws Error listing every missing registration, alias target and eager cycle
+   */
+  validate(): void
 
   /**
    * Get or create an instance based on the context.
+   * @param injectionPoint The field the instance is injected into, named in circular dependency errors
+   */
+  getInstance<T>(instanceContext: InstanceContext, params: any[], injectionPoint?: InjectionPoint): T
+
+  /**
+   * Get the container the fields injected into an object resolve from: the container that is constructing it, or the
+   * one that constructed it. Falls back to this container for objects created outside of its hierarchy.
+   */
+  getInjector(target: object): Container
+
+  /**
+   * Resolve an instance by class or name, waiting for asynchronous initialization.
+   * Uses a static `create(...params)` method instead of the constructor if the class has one, then awaits `init()`
+   * and async @PostConstruct methods. Concurrent calls for the same singleton share one in-flight promise.
+   */
+  resolveAsync<T>(clazzOrName: Token<T>, ...params: any[]): Promise<T>
+
+  /**
+   * Get or create an instance based on the context, waiting for asynchronous initialization.
    */
-  getInstance<T>(instanceContext: InstanceContext, params: any[]): T
+  getInstanceAsync<T>(instanceContext: InstanceContext, params: any[]): Promise<T>
 
   /**
-   * Register a mock for an existing class.
+   * Register a mock for a class or name. Mocking an already mocked class stacks the new mock on top of the
+   * existing one, and a proxy mock delegates to the mock below it. Mocks for keys that are not registered yet are
+   * deferred until this container registers them.
    */
   registerMock<T>(
-    targetClazzOrName: InjectionToken<T>,
+    targetClazzOrName: Token<T>,
     mockClazz: Constructor<T>,
-    useProxy?: boolean
+    options?: boolean | MockOptions
   ): void
 
   /**
-   * Reset a specific mock to its original class.
+   * Mock a class or name with an object. With `proxy: true`, everything the object does not define is taken from the
+   * mock below or the original instance.
+   */
+  mockValue<T>(targetClazzOrName: Token<T>, value: Partial<T>, options?: MockOptions): void
+
+  /**
+   * Mock a class or name with a function that builds the mock instance from the resolution parameters.
+   * @throws DIError if the factory is not a function
+   */
+  mockFactory<T>(targetClazzOrName: Token<T>, factory: (...params: any[]) => Partial<T>, options?: MockOptions): void
+
+  /**
+   * Run a function with temporary mocks, visible only to its async call tree and removed once it returns, throws or
+   * its promise settles. Singletons created inside the function are destroyed afterwards.
+   * @throws NotRegisteredError if a key is not registered
+   * @throws MockError if a key is listed twice
    */
-  resetMock<T>(clazzOrName: InjectionToken<T>): void
+  withMocks<T>(mocks: readonly MockDefinition[], fn: () => T): T
+
+  /**
+   * Get the method calls recorded by the active spy mock of a class or name.
+   * @throws DIError if the active mock does not record its calls
+   */
+  getCalls<T>(clazzOrName: Token<T>): SpyCall[]
+
+  /**
+   * Remove the most recent mock of a class, restoring the mock below it or the original class.
+   */
+  resetMock<T>(clazzOrName: Token<T>): void
 
   /**
    * Reset all mocks to their original classes.
@@ -92,21 +625,66 @@ export declare class Container {
 
   /**
    * Clear all registered instances and mocks.
+   * Runs the @PreDestroy methods of all created singletons and tracked factory instances.
+   * @throws AggregateError if any @PreDestroy method throws
    */
   clear(): void
+
+  /**
+   * Dispose all created singletons and tracked factory instances in reverse creation order.
+   * Runs their @PreDestroy methods and then their [Symbol.dispose](), close() or destroy() method.
+   * Registrations are kept, resolving again afterwards creates new instances.
+   * @throws AggregateError if disposing any instance throws. All instances are disposed regardless.
+   */
+  dispose(): void
+
+  /**
+   * Dispose all created singletons and tracked factory instances in reverse creation order, awaiting each one.
+   * Runs their @PreDestroy methods and then their [Symbol.asyncDispose](), [Symbol.dispose](), close() or destroy()
+   * method. Registrations are kept, resolving again afterwards creates new instances.
+   * @throws AggregateError if disposing any instance throws or rejects. All instances are disposed regardless.
+   */
+  disposeAsync(): Promise<void>
+
+  /**
+   * Support for `using container = new Container()`.
+   */
+  [Symbol.dispose](): void
+
+  /**
+   * Support for `await using container = new Container()`.
+   */
+  [Symbol.asyncDispose](): Promise<void>
 }
 
 /**
  * Register a class as a singleton.
  * @param name Optional name to register the singleton under
+ * @param options Set `multi` to add the class to the providers of the name
  */
-export declare function Singleton(name?: string): ClassDecorator
+export declare function Singleton(name?: RegistrationName, options?: RegistrationOptions): ClassDecorator
 
 /**
  * Register a class as a factory.
  * @param name Optional name to register the factory under
+ * @param options Set `multi` to add the class to the providers of the name
+ */
+export declare function Factory(name?: RegistrationName, options?: RegistrationOptions): ClassDecorator
+
+/**
+ * Register a class as scoped. One instance is created per scope opened with runInScope().
+ * @param name Optional name to register the scoped class under
+ * @param options Set `multi` to add the class to the providers of the name
+ */
+export declare function Scoped(name?: RegistrationName, options?: RegistrationOptions): ClassDecorator
+
+/**
+ * Options that can be passed as the last parameter of @Inject and @InjectLazy.
  */
-export declare function Factory(name?: string): ClassDecorator
+export interface InjectOptions {
+  /** If true, undefined is injected instead of throwing if nothing is registered */
+  optional: boolean
+}
 
 /**
  * Decorator return type that works for both fields and accessors.
@@ -128,20 +706,39 @@ export type FieldOrAccessorDecorator = (
  * - Private accessors: `@Inject(MyClass) accessor #myField`
  * 
  * @param clazzOrName The class or name to inject
- * @param params Optional parameters to pass to the constructor
+ * @param params Optional parameters to pass to the constructor, optionally followed by InjectOptions
  * 
  * @example
  * class MyService {
+ *   @Inject(Metrics, {optional: true}) metrics
  *   @Inject(Database) db
  *   @Inject(Logger) #logger  // private field
  *   @Inject(Cache) accessor cache  // accessor (recommended for lazy-like behavior)
  * }
  */
 export declare function Inject<T>(
-  clazzOrName: InjectionToken<T>,
+  clazzOrName: Token<T>,
   ...params: any[]
 ): FieldOrAccessorDecorator
 
+/**
+ * Inject a singleton or factory instance into a class field or accessor if it is registered, or a default value
+ * otherwise.
+ *
+ * @param clazzOrName The class or name to inject
+ * @param defaultValue The value to inject if nothing is registered (undefined if omitted)
+ *
+ * @example
+ * class Library {
+ *   @InjectOptional(Tracer) tracer
+ *   @InjectOptional('metrics', noopMetrics) metrics
+ * }
+ */
+export declare function InjectOptional<T>(
+  clazzOrName: Token<T>,
+  defaultValue?: T
+): FieldOrAccessorDecorator
+
 /**
  * Inject a singleton or factory instance lazily into a class field or accessor.
  * The instance is created on first access.
@@ -156,7 +753,7 @@ export declare function Inject<T>(
  * `@InjectLazy(MyClass) accessor #myField`
  * 
  * @param clazzOrName The class or name to inject
- * @param params Optional parameters to pass to the constructor
+ * @param params Optional parameters to pass to the constructor, optionally followed by InjectOptions
  * 
  * @example
  * class MyService {
@@ -164,18 +761,70 @@ export declare function Inject<T>(
  * }
  */
 export declare function InjectLazy<T>(
-  clazzOrName: InjectionToken<T>,
+  clazzOrName: Token<T>,
+  ...params: any[]
+): FieldOrAccessorDecorator
+
+/**
+ * Inject all providers registered under a name with `{multi: true}` into a class field or accessor, as an array
+ * sorted by order and then registration order.
+ *
+ * @param name The name the providers are registered under
+ * @param params Optional parameters to pass to the constructors
+ *
+ * @example
+ * class SignupForm {
+ *   @InjectAll('validators') validators
+ * }
+ */
+export declare function InjectAll<T>(
+  name: Token<T>,
   ...params: any[]
 ): FieldOrAccessorDecorator
 
 /**
- * Mark a class as a mock for another class.
+ * Method decorator type for lifecycle hooks.
+ */
+export type LifecycleMethodDecorator = (
+  target: (...args: any[]) => any,
+  context: ClassMethodDecoratorContext
+) => void
+
+/**
+ * Mark a method to be called after the container has created an instance and all of its eagerly injected fields are
+ * ready. Only instances created by the container run the hook.
+ *
+ * @example
+ * @Singleton()
+ * class Cache {
+ *   @Inject(Database) db
+ *   @PostConstruct() warmUp() { this.entries = this.db.loadAll() }
+ * }
+ */
+export declare function PostConstruct(): LifecycleMethodDecorator
+
+/**
+ * Mark a method to be called when the container evicts an instance, i.e. when a singleton is removed by
+ * clearContainer() or resetMock(), or when the scope of a scoped instance ends.
+ *
+ * @example
+ * @Singleton()
+ * class Pool {
+ *   @PreDestroy() close() { this.connections.forEach(c => c.end()) }
+ * }
+ */
+export declare function PreDestroy(): LifecycleMethodDecorator
+
+/**
+ * Mark a class as a mock for another class. Mocks of an already mocked class stack on top of the existing mock.
+ * A mock for a class or name that is not registered yet is applied once it is registered.
  * @param mockedClazzOrName The class or name to mock
- * @param proxy If true, unmocked methods delegate to the original
+ * @param proxy If true, unmocked methods delegate to the mock below, or to the original if there is none.
+ *        With `{spy: true}`, the method calls are recorded for getCalls()
  */
 export declare function Mock<T>(
-  mockedClazzOrName: InjectionToken<T>,
-  proxy?: boolean
+  mockedClazzOrName: Token<T>,
+  proxy?: boolean | MockOptions
 ): ClassDecorator
 
 /**
@@ -184,10 +833,89 @@ export declare function Mock<T>(
 export declare function resetMocks(): void
 
 /**
- * Reset a specific mock to its original class.
+ * Options for @Mock, mockValue(), mockFactory() and withMocks().
+ */
+export interface MockOptions {
+  /** Take everything the mock does not define from the mock below or the original instance, defaults to `spy` */
+  proxy?: boolean
+  /** Record the method calls of the mock instances, see getCalls() */
+  spy?: boolean
+}
+
+/**
+ * A method call recorded by a spy mock.
+ */
+export interface SpyCall {
+  /** The name of the called method */
+  method: string | symbol
+  /** The arguments the method was called with */
+  args: any[]
+  /** The return value, `undefined` if the method threw */
+  returnValue: unknown
+  /** The thrown error, or the rejection of the returned promise once it settles; `undefined` otherwise */
+  error: unknown
+  /** When the call was made, in milliseconds since the epoch */
+  timestamp: number
+}
+
+/**
+ * Get the method calls recorded by a spy mock in the default container, in the order they were made.
+ * @param mockedClazzOrName The mocked class or name
+ * @returns A copy of the recorded calls
+ * @throws DIError if the active mock does not record its calls
+ *
+ * @example
+ * @Mock(Mailer, {spy: true}) class MailerSpy {}
+ * resolve(SignupService).register('ada@example.com')
+ * getCalls(Mailer) // [{method: 'send', args: ['ada@example.com'], ...}]
+ */
+export declare function getCalls<T>(mockedClazzOrName: Token<T>): SpyCall[]
+
+/**
+ * Mock a class or name with an object instead of a mock class. Mocks stack and can be declared before the
+ * registration, like @Mock.
+ * @param mockedClazzOrName The class or name to mock
+ * @param value The mock object
+ * @param options With `proxy: true`, everything the object does not define is taken from the layer below
+ */
+export declare function mockValue<T>(mockedClazzOrName: Token<T>, value: Partial<T>, options?: MockOptions): void
+
+/**
+ * Mock a class or name with a function that builds the mock instance from the resolution parameters.
+ * @param mockedClazzOrName The class or name to mock
+ * @param factory The function that builds the mock instance
+ * @param options With `proxy: true`, everything the result does not define is taken from the layer below
+ * @throws DIError if the factory is not a function
+ */
+export declare function mockFactory<T>(
+  mockedClazzOrName: Token<T>,
+  factory: (...params: any[]) => Partial<T>,
+  options?: MockOptions
+): void
+
+/**
+ * A temporary mock for withMocks(): the key to mock, the mock class and whether to proxy unmocked methods to the
+ * layer below and to record the method calls.
+ */
+export type MockDefinition = readonly [token: Token<any>, mock: Constructor<any>, options?: MockOptions]
+
+/**
+ * Run a function with temporary mocks in the default container. The mocks are only visible to the async call tree of
+ * the function, and are removed once it returns or throws, or once the returned promise settles.
+ *
+ * @param mocks The keys to mock, each with its mock class
+ * @param fn The function to run
+ * @returns The return value of the function
+ * @throws NotRegisteredError if a key is not registered
+ * @throws MockError if a key is listed twice
+ */
+export declare function withMocks<T>(mocks: readonly MockDefinition[], fn: () => T): T
+
+/**
+ * Remove the most recent mock of a class, restoring the mock below it or the original class.
  * @param clazzOrName The class or name to reset
  */
-export declare function resetMock<T>(clazzOrName: InjectionToken<T>): void
+export declare function resetMock<T>(clazzOrName: Token<T>): void
 
 /**
  * Clear all registered instances and mocks from the container.
@@ -206,13 +934,47 @@ export declare function getContainer(): Container
  */
 export declare function setDebug(enabled: boolean): void
 
+/**
+ * Send the log events of the default container to a logger, such as pino, console or a wrapper around another
+ * library. Each event is passed as a structured object first and a readable message second.
+ * @param logger The logger, see consoleLogger for the default
+ * @param options.level The least severe level that is logged, defaults to 'info'
+ * @throws DIError if the logger is not an object or the level is not supported
+ */
+export declare function setLogger(logger: Logger, options?: { level?: LogLevel }): void
+
+/**
+ * Start recording how often each registration in the default container is resolved and how long creating its
+ * instances takes, including instances created by @Inject fields.
+ */
+export declare function startProfiling(): void
+
+/**
+ * Stop profiling the default container and get the report.
+ * @throws DIError if profiling was not started
+ */
+export declare function stopProfiling(): ProfileReport
+
+/**
+ * The default logger: writes the message with a [DI] prefix through console.log, console.warn or console.error.
+ */
+export declare const consoleLogger: Required<Logger>
+
+/**
+ * Choose how the default container reports captive dependencies: a singleton that eagerly injects a factory or
+ * scoped registration keeps that one instance for its whole lifetime.
+ * @param mode 'ignore', 'warn' (the default) or 'throw'
+ * @throws Error if the mode is not supported
+ */
+export declare function setCaptiveDependencyMode(mode: CaptiveDependencyMode): void
+
 /**
  * Check if a class or name is registered in the default container.
  * Useful for validation before injection.
  * @param clazzOrName The class or name to check
  * @returns true if registered, false otherwise
  */
-export declare function isRegistered<T>(clazzOrName: InjectionToken<T>): boolean
+export declare function isRegistered<T>(clazzOrName: Token<T>): boolean
 
 /**
  * Validate that all provided injection tokens are registered.
@@ -221,7 +983,15 @@ export declare function isRegistered<T>(clazzOrName: InjectionToken<T>): boolean
  * @param tokens Array of classes or names to validate
  * @throws Error if any token is not registered
  */
-export declare function validateRegistrations<T extends InjectionToken[]>(...tokens: T): void
+export declare function validateRegistrations<T extends Token[]>(...tokens: T): void
+
+/**
+ * Check the wiring of the whole default container without creating any instances.
+ * Every injected field of the registered classes must point to a registration (unless it is optional), aliases must
+ * point to a registration, and eagerly injected fields must not form a cycle.
+ * @throws Error listing every problem, with the class and field that asked for each missing registration
+ */
+export declare function validateContainer(): void
 
 /**
  * Resolve and return an instance by class or name.
@@ -244,7 +1014,104 @@ export declare function validateRegistrations<T extends InjectionToken[]>(...tok
  * // With a named registration:
  * const db = resolve<Database>('database')
  */
-export declare function resolve<T>(clazzOrName: InjectionToken<T>, ...params: any[]): T
+export declare function resolve<T>(clazzOrName: Token<T>, ...params: any[]): T
+
+/**
+ * Resolve all providers registered under a name with `{multi: true}` in the default container.
+ *
+ * @example
+ * const validators = resolveAll<Validator>('validators')
+ */
+export declare function resolveAll<T>(name: Token<T>, ...params: any[]): T[]
+
+/**
+ * Describe every registration in the default container and the dependencies declared by their injected fields.
+ * No instances are created.
+ *
+ * @example
+ * // Who depends on Database?
+ * const dependents = getDependencyGraph().edges.filter(edge => edge.to === Database)
+ */
+export declare function getDependencyGraph(): DependencyGraph
+
+/**
+ * Render a dependency graph as a Graphviz DOT digraph.
+ * Mocks are drawn in orange with the original they replace, lazy edges are dashed.
+ *
+ * @example
+ * fs.writeFileSync('dependencies.dot', graphToDot(getDependencyGraph()))
+ */
+export declare function graphToDot(graph: DependencyGraph): string
+
+/**
+ * Render a dependency graph as a Mermaid flowchart.
+ * Mocks use the `mock` class with the original they replace, lazy edges are dotted.
+ *
+ * @example
+ * fs.writeFileSync('dependencies.mmd', graphToMermaid(getDependencyGraph()))
+ */
+export declare function graphToMermaid(graph: DependencyGraph): string
+
+/**
+ * Render a dependency graph as a stable JSON document, with nodes and edges sorted by their string ids.
+ *
+ * @example
+ * fs.writeFileSync('dependencies.json', graphToJSON(getDependencyGraph()))
+ */
+export declare function graphToJSON(graph: DependencyGraph): string
+
+/**
+ * Register a pre-built value in the default container, such as a configuration object or a third-party client.
+ * The value is injected as is and is never disposed by the container.
+ *
+ * @example
+ * registerValue('config', {apiUrl: 'https://api.example.com'})
+ */
+export declare function registerValue<T>(token: Token<T>, value: T): void
+
+/**
+ * Register a factory function in the default container. It is called with the container and the injection parameters.
+ *
+ * @example
+ * registerFactoryFunction('logger', (container, name) => pino({name}))
+ */
+export declare function registerFactoryFunction<T>(
+  token: Token<T>,
+  factory: FactoryFunction<T>,
+  options?: FactoryFunctionOptions
+): void
+
+/**
+ * Register an alias in the default container, so that resolving the new key resolves the existing key instead.
+ *
+ * @example
+ * registerAlias('database', PostgresDatabase)
+ */
+export declare function registerAlias<T>(newToken: Token<T>, existingToken: Token<T>): void
+
+/**
+ * Resolve an instance by class or name, waiting for asynchronous initialization.
+ * Uses a static `create(...params)` method instead of the constructor if the class has one, then awaits `init()`
+ * and async @PostConstruct methods. Concurrent calls for the same singleton share one in-flight promise.
+ *
+ * @param clazzOrName The class or name to resolve
+ * @param params Optional parameters to pass to create() or the constructor
+ * @returns A promise for the ready instance
+ *
+ * @example
+ * const db = await resolveAsync(Database)
+ */
+export declare function resolveAsync<T>(clazzOrName: Token<T>, ...params: any[]): Promise<T>
+
+/**
+ * Run a function inside a new scope of the default container.
+ * Every @Scoped registration resolved within the async call tree of the function shares one instance.
+ * The scope is torn down once the function returns, or once the returned promise settles.
+ *
+ * @param fn The function to run
+ * @returns The return value of the function
+ */
+export declare function runInScope<T>(fn: () => T): T
 
 /**
  * Create a proxy that delegates to the mock first, then falls back to the original.
@@ -254,3 +1121,12 @@ export declare function resolve<T>(clazzOrName: InjectionToken<T>, ...params: an
  * @param original The original instance to fall back to
  */
 export declare function createProxy<T extends object>(mock: T, original: T): T
+
+/**
+ * Create a proxy that forwards to the instance and records every method call in `calls`.
+ * This is an internal utility but exported for advanced use cases.
+ *
+ * @param instance The instance to spy on
+ * @param calls The list to add the calls to
+ */
+export declare function createSpyProxy<T extends object>(instance: T, calls?: SpyCall[]): T
@@ -7,6 +7,10 @@
  */
 
 import {Container} from './src/Container.js'
+import {addLifecycleHook, POST_CONSTRUCT, PRE_DESTROY} from './src/lifecycle.js'
+import {tokenName} from './src/tokens.js'
+import {recordInjectionPoint} from './src/graph.js'
+import {DIError, InvalidDecoratorTargetError, NotRegisteredError} from './src/errors.js'
 
 /** @type {Container} The default global container */
 const defaultContainer = new Container()
@@ -14,8 +18,9 @@ const defaultContainer = new Container()
 /**
  * Creates a lazy accessor descriptor with WeakMap-based caching.
  * @param {WeakMap} cache - WeakMap for per-instance caching
- * @param {Function} getValue - Factory function to create the value
- * @param {string} name - The accessor name for error messages
+ * @param {function(Object, string|symbol): *} getValue - Factory function to create the value, called with the
+ *        instance and the accessor name
+ * @param {string|symbol} name - The accessor name for error messages
  * @returns {{init: Function, get: Function, set: Function}} Accessor descriptor
  * @private
  */
@@ -23,43 +28,133 @@ function createLazyAccessor(cache, getValue, name) {
   return {
     init(initialValue) {
       if (initialValue) {
-        throw new Error(`Cannot assign value to injected accessor "${name}"`)
+        throw new DIError(`Cannot assign value to injected accessor "${name}"`, {code: 'ERR_DI_INJECTED_FIELD_ASSIGNMENT'})
       }
       return undefined
     },
     get() {
       if (!cache.has(this)) {
-        cache.set(this, getValue())
+        cache.set(this, getValue(this, name))
       }
       return cache.get(this)
     },
     set() {
-      throw new Error(`Cannot assign value to injected accessor "${name}"`)
+      throw new DIError(`Cannot assign value to injected accessor "${name}"`, {code: 'ERR_DI_INJECTED_FIELD_ASSIGNMENT'})
     }
   }
 }
 
+/**
+ * Split the options off the injection parameters. A trailing plain object whose only key is `optional` is treated as
+ * options, every other parameter is passed to the constructor.
+ * @param {Array} params The parameters given to @Inject or @InjectLazy
+ * @returns {{params: Array, optional: boolean}} The constructor parameters and whether the injection is optional
+ * @private
+ */
+function splitOptions(params) {
+  const last = params.at(-1)
+  const isOptions = last !== null && typeof last === 'object' &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(last)) &&
+    Object.keys(last).length === 1 && 'optional' in last
+  return isOptions ? {params: params.slice(0, -1), optional: Boolean(last.optional)} : {params, optional: false}
+}
+
+/**
+ * Describe the field a dependency is injected into, so circular and captive dependency errors can name it.
+ * @param {Object|Function} target The instance, or the class for static fields
+ * @param {string|symbol} field The field or accessor name
+ * @param {boolean} lazy Whether the dependency is injected on first access
+ * @returns {{consumer: string, field: string|symbol, lazy: boolean}}
+ * @private
+ */
+function injectionPointOf(target, field, lazy) {
+  return {consumer: typeof target === 'function' ? target.name : target?.constructor?.name, field, lazy}
+}
+
+/**
+ * Creates the function that resolves an injected dependency from the container that creates the target, or the
+ * default container for objects created with `new`.
+ * Optional injections return the default value instead of throwing if nothing is registered under the name.
+ * @param {string|symbol|InjectionToken|Function} clazzOrName The class or name to resolve
+ * @param {Array} params Parameters to pass to the constructor
+ * @param {boolean} optional Whether a missing registration is allowed
+ * @param {*} [defaultValue] The value to inject if an optional registration is missing
+ * @returns {function(Object, string|symbol, boolean=): *} The resolver, called with the target, the field name and
+ *          whether the field is lazy
+ * @private
+ */
+function createResolver(clazzOrName, params, optional, defaultValue) {
+  return (target, field, lazy = false) => {
+    const container = defaultContainer.getInjector(target)
+    if (optional && !container.has(clazzOrName)) {
+      return defaultValue
+    }
+    const injectionPoint = injectionPointOf(target, field, lazy)
+    const instanceContext = container.getContext(clazzOrName, injectionPoint)
+    return container.getInstance(instanceContext, params, injectionPoint)
+  }
+}
+
+/**
+ * Creates a field or accessor decorator that eagerly injects the value returned by a resolver.
+ * The injected field is recorded in the class metadata for the dependency graph.
+ * @param {string} decoratorName The decorator name for error messages
+ * @param {string|symbol|InjectionToken|Function} clazzOrName The class or name that is injected
+ * @param {{optional?: boolean, multi?: boolean}} flags How the dependency is injected
+ * @param {function(Object, string|symbol): *} getValue The resolver, called with the target and the field name
+ * @returns {(function(*, {kind: string, name: string}): function(): Object)}
+ * @private
+ */
+function createEagerInjection(decoratorName, clazzOrName, flags, getValue) {
+  return function (_, context) {
+    if (context.kind === 'field' || context.kind === 'accessor') {
+      recordInjectionPoint(context, clazzOrName, flags)
+    }
+
+    if (context.kind === 'field') {
+      return function (initialValue) {
+        if (initialValue) {
+          throw new DIError(`Cannot assign value to injected field "${context.name}"`, {code: 'ERR_DI_INJECTED_FIELD_ASSIGNMENT'})
+        }
+        return getValue(this, context.name)
+      }
+    }
+
+    if (context.kind === 'accessor') {
+      const cache = new WeakMap()
+      return createLazyAccessor(cache, getValue, context.name)
+    }
+
+    throw new InvalidDecoratorTargetError(`Invalid injection target: ${decoratorName} can only be used on fields or accessors`)
+  }
+}
+
 /**
  * Register a class as a singleton. If a name is provided, it will be used as the key in the singleton map.
  * Singleton instances only ever have one instance created via the @Inject decorator.
  *
- * @param {string} [name] The name of the singleton. If not provided, the class will be used as the key.
+ * @param {string|symbol|InjectionToken} [name] The name of the singleton. If not provided, the class will be used as the key.
+ * @param {Object} [options]
+ * @param {boolean} [options.multi=false] If true, the class is added to the providers of the name, see @InjectAll
+ * @param {number} [options.order=0] The position among the multi providers of the name, lower values come first
  * @returns {(function(Function, {kind: string}): void)}
  * @example @Singleton() class MySingleton {}
  * @example @Singleton('customName') class MySingleton {}
- * @throws {Error} If the injection target is not a class
- * @throws {Error} If a singleton or factory with the same name is already defined
- * @throws {Error} If the target is not a class constructor
+ * @example @Singleton(LOGGER_TOKEN) class MySingleton {}
+ * @example @Singleton('validators', {multi: true, order: 10}) class EmailValidator {}
+ * @throws {InvalidDecoratorTargetError} If the injection target is not a class
+ * @throws {DuplicateRegistrationError} If a singleton or factory with the same name is already defined
+ * @throws {InvalidDecoratorTargetError} If the target is not a class constructor
  */
-export function Singleton(name) {
+export function Singleton(name, options) {
   return function (clazz, context) {
     if (context.kind !== 'class') {
-      throw new Error('Invalid injection target')
+      throw new InvalidDecoratorTargetError('Invalid injection target')
     }
     if (typeof clazz !== 'function' || !clazz.prototype) {
-      throw new Error('Target must be a class constructor')
+      throw new InvalidDecoratorTargetError('Target must be a class constructor')
     }
-    defaultContainer.registerSingleton(clazz, name)
+    defaultContainer.registerSingleton(clazz, name, options)
   }
 }
 
@@ -67,23 +162,54 @@ export function Singleton(name) {
  * Register a class as a factory. If a name is provided, it will be used as the key in the factory map.
  * Factory instances are created via the @Inject decorator. Each call to the factory will create a new instance.
  *
- * @param {string} [name] The name of the factory. If not provided, the class will be used as the key.
+ * @param {string|symbol|InjectionToken} [name] The name of the factory. If not provided, the class will be used as the key.
+ * @param {Object} [options]
+ * @param {boolean} [options.multi=false] If true, the class is added to the providers of the name, see @InjectAll
+ * @param {number} [options.order=0] The position among the multi providers of the name, lower values come first
  * @returns {(function(Function, {kind: string}): void)}
  * @example @Factory() class MyFactory {}
  * @example @Factory('customName') class MyFactory {}
- * @throws {Error} If the injection target is not a class
- * @throws {Error} If a factory or singleton with the same name is already defined
- * @throws {Error} If the target is not a class constructor
+ * @throws {InvalidDecoratorTargetError} If the injection target is not a class
+ * @throws {DuplicateRegistrationError} If a factory or singleton with the same name is already defined
+ * @throws {InvalidDecoratorTargetError} If the target is not a class constructor
  */
-export function Factory(name) {
+export function Factory(name, options) {
   return function (clazz, context) {
     if (context.kind !== 'class') {
-      throw new Error('Invalid injection target')
+      throw new InvalidDecoratorTargetError('Invalid injection target')
     }
     if (typeof clazz !== 'function' || !clazz.prototype) {
-      throw new Error('Target must be a class constructor')
+      throw new InvalidDecoratorTargetError('Target must be a class constructor')
     }
-    defaultContainer.registerFactory(clazz, name)
+    defaultContainer.registerFactory(clazz, name, options)
+  }
+}
+
+/**
+ * Register a class as scoped. If a name is provided, it will be used as the key in the container.
+ * Scoped instances are created once per scope opened with runInScope() and shared by every injection and resolve()
+ * call inside the async call tree of that scope.
+ *
+ * @param {string|symbol|InjectionToken} [name] The name of the scoped registration. If not provided, the class will be used as the key.
+ * @param {Object} [options]
+ * @param {boolean} [options.multi=false] If true, the class is added to the providers of the name, see @InjectAll
+ * @param {number} [options.order=0] The position among the multi providers of the name, lower values come first
+ * @returns {(function(Function, {kind: string}): void)}
+ * @example @Scoped() class RequestContext {}
+ * @example @Scoped('customName') class RequestContext {}
+ * @throws {InvalidDecoratorTargetError} If the injection target is not a class
+ * @throws {DuplicateRegistrationError} If a registration with the same name is already defined
+ * @throws {InvalidDecoratorTargetError} If the target is not a class constructor
+ */
+export function Scoped(name, options) {
+  return function (clazz, context) {
+    if (context.kind !== 'class') {
+      throw new InvalidDecoratorTargetError('Invalid injection target')
+    }
+    if (typeof clazz !== 'function' || !clazz.prototype) {
+      throw new InvalidDecoratorTargetError('Target must be a class constructor')
+    }
+    defaultContainer.registerScoped(clazz, name, options)
   }
 }
 
@@ -97,39 +223,42 @@ export function Factory(name) {
  * - Accessors: @Inject(MyClass) accessor myField
  * - Private accessors: @Inject(MyClass) accessor #myField
  *
- * @param {string|Function} clazzOrName The singleton or factory class or name
+ * @param {string|symbol|InjectionToken|Function} clazzOrName The singleton or factory class or name
  * @param {...*} params Parameters to pass to the constructor. Recommended to use only with factories.
+ *                      A trailing `{optional: true}` injects undefined instead of throwing if nothing is registered.
  * @returns {(function(*, {kind: string, name: string}): function(): Object)}
  * @example @Inject(MySingleton) mySingleton
  * @example @Inject("myCustomName") myFactory
+ * @example @Inject(LOGGER_TOKEN) logger
  * @example @Inject(MyService) #privateService
  * @example @Inject(MyService) accessor myService
- * @throws {Error} If the injection target is not a field or accessor
- * @throws {Error} If the injected field is assigned a value
+ * @example @Inject(Metrics, {optional: true}) metrics
+ * @throws {InvalidDecoratorTargetError} If the injection target is not a field or accessor
+ * @throws {DIError} If the injected field is assigned a value
  */
 export function Inject(clazzOrName, ...params) {
-  return function (_, context) {
-    const getValue = () => {
-      const instanceContext = defaultContainer.getContext(clazzOrName)
-      return defaultContainer.getInstance(instanceContext, params)
-    }
-
-    if (context.kind === 'field') {
-      return function (initialValue) {
-        if (initialValue) {
-          throw new Error(`Cannot assign value to injected field "${context.name}"`)
-        }
-        return getValue()
-      }
-    }
-
-    if (context.kind === 'accessor') {
-      const cache = new WeakMap()
-      return createLazyAccessor(cache, getValue, context.name)
-    }
+  const options = splitOptions(params)
+  const {optional} = options
+  return createEagerInjection('@Inject', clazzOrName, {optional}, createResolver(clazzOrName, options.params, optional))
+}
 
-    throw new Error('Invalid injection target: @Inject can only be used on fields or accessors')
-  }
+/**
+ * Inject a singleton or factory instance into a class field if it is registered, or a default value otherwise.
+ * Useful for libraries that use a service such as metrics or tracing only if the host application provides one.
+ *
+ * Supports the same targets as @Inject: public and private fields and accessors.
+ *
+ * @param {string|symbol|InjectionToken|Function} clazzOrName The singleton or factory class or name
+ * @param {*} [defaultValue] The value to inject if nothing is registered under the class or name
+ * @returns {(function(*, {kind: string, name: string}): function(): Object)}
+ * @example @InjectOptional(Tracer) tracer
+ * @example @InjectOptional('metrics', noopMetrics) metrics
+ * @throws {InvalidDecoratorTargetError} If the injection target is not a field or accessor
+ * @throws {DIError} If the injected field is assigned a value
+ */
+export function InjectOptional(clazzOrName, defaultValue) {
+  const getValue = createResolver(clazzOrName, [], true, defaultValue)
+  return createEagerInjection('@InjectOptional', clazzOrName, {optional: true}, getValue)
 }
 
 /**
@@ -150,33 +279,38 @@ export function Inject(clazzOrName, ...params) {
  * returning a getter-based proxy. For accessors, it's achieved through the accessor's
  * get/set methods directly.
  *
- * @param {string|Function} clazzOrName The singleton or factory class or name
+ * @param {string|symbol|InjectionToken|Function} clazzOrName The singleton or factory class or name
  * @param {...*} params Parameters to pass to the constructor. Recommended to use only with factories.
+ *                      A trailing `{optional: true}` injects undefined instead of throwing if nothing is registered.
  * @returns {(function(*, {kind: string, name: string, addInitializer: Function}): void)}
  * @example @InjectLazy(MySingleton) mySingleton
  * @example @InjectLazy("myCustomName") myFactory
  * @example @InjectLazy(MyService) #privateService
- * @throws {Error} If the injection target is not a field or accessor
- * @throws {Error} If the injected field is assigned a value
+ * @example @InjectLazy(Tracer, {optional: true}) accessor #tracer
+ * @throws {InvalidDecoratorTargetError} If the injection target is not a field or accessor
+ * @throws {DIError} If the injected field is assigned a value
  */
 export function InjectLazy(clazzOrName, ...params) {
   const cache = new WeakMap()
-
-  const getValue = () => {
-    const instanceContext = defaultContainer.getContext(clazzOrName)
-    return defaultContainer.getInstance(instanceContext, params)
-  }
+  const options = splitOptions(params)
+  const getValue = createResolver(clazzOrName, options.params, options.optional)
 
   return (_, context) => {
+    if (context.kind === 'field' || context.kind === 'accessor') {
+      // Private fields are created eagerly, see below
+      const lazy = context.kind === 'accessor' || !context.private
+      recordInjectionPoint(context, clazzOrName, {lazy, optional: options.optional})
+    }
+
     if (context.kind === 'field') {
       // For private fields, we cannot use Object.defineProperty to create a lazy getter.
       // Instead, we eagerly create the value. For true lazy behavior, use accessor syntax.
       if (context.private) {
         return function (initialValue) {
           if (initialValue) {
-            throw new Error(`Cannot assign value to lazy-injected field "${context.name}"`)
+            throw new DIError(`Cannot assign value to lazy-injected field "${context.name}"`, {code: 'ERR_DI_INJECTED_FIELD_ASSIGNMENT'})
           }
-          return getValue()
+          return getValue(this, context.name)
         }
       }
 
@@ -185,12 +319,12 @@ export function InjectLazy(clazzOrName, ...params) {
         Object.defineProperty(this, context.name, {
           get() {
             if (!cache.has(this)) {
-              cache.set(this, getValue())
+              cache.set(this, getValue(this, context.name, true))
             }
             return cache.get(this)
           },
           set() {
-            throw new Error(`Cannot assign value to lazy-injected field "${context.name}"`)
+            throw new DIError(`Cannot assign value to lazy-injected field "${context.name}"`, {code: 'ERR_DI_INJECTED_FIELD_ASSIGNMENT'})
           },
           configurable: true,
           enumerable: true
@@ -200,34 +334,154 @@ export function InjectLazy(clazzOrName, ...params) {
     }
 
     if (context.kind === 'accessor') {
-      return createLazyAccessor(cache, getValue, context.name)
+      return createLazyAccessor(cache, (target, name) => getValue(target, name, true), context.name)
+    }
+
+    throw new InvalidDecoratorTargetError('Invalid injection target: @InjectLazy can only be used on fields or accessors')
+  }
+}
+
+/**
+ * Inject all providers registered under a name with `{multi: true}` into a class field, as an array sorted by their
+ * order and then by registration order. Injects an empty array if there are no providers.
+ *
+ * Supports the same targets as @Inject: public and private fields and accessors.
+ *
+ * @param {string|symbol|InjectionToken} name The name the providers are registered under
+ * @param {...*} params Parameters to pass to the constructors
+ * @returns {(function(*, {kind: string, name: string}): function(): Array)}
+ * @example
+ * @Singleton('validators', {multi: true}) class EmailValidator {}
+ * @Singleton('validators', {multi: true}) class PasswordValidator {}
+ *
+ * class SignupForm {
+ *   @InjectAll('validators') validators
+ * }
+ * @throws {InvalidDecoratorTargetError} If the injection target is not a field or accessor
+ * @throws {DIError} If the injected field is assigned a value
+ */
+export function InjectAll(name, ...params) {
+  return createEagerInjection('@InjectAll', name, {multi: true}, (target, field) => {
+    const container = defaultContainer.getInjector(target)
+    const injectionPoint = injectionPointOf(target, field, false)
+    return container.getAllContexts(name)
+      .map(instanceContext => container.getInstance(instanceContext, params, injectionPoint))
+  })
+}
+
+/**
+ * Mark a method to be called after the container has created an instance and all of its eagerly injected fields are
+ * ready. Lazy injections are still created on first access. Only instances created by the container run the hook.
+ *
+ * @returns {(function(Function, {kind: string, static: boolean}): void)}
+ * @example
+ * @Singleton()
+ * class Cache {
+ *   @Inject(Database) db
+ *   @PostConstruct() warmUp() { this.entries = this.db.loadAll() }
+ * }
+ * @throws {InvalidDecoratorTargetError} If the decorator is not used on an instance method
+ */
+export function PostConstruct() {
+  return function (_, context) {
+    if (context.kind !== 'method' || context.static) {
+      throw new InvalidDecoratorTargetError('Invalid injection target: @PostConstruct can only be used on instance methods')
     }
+    addLifecycleHook(POST_CONSTRUCT, context)
+  }
+}
 
-    throw new Error('Invalid injection target: @InjectLazy can only be used on fields or accessors')
+/**
+ * Mark a method to be called when the container evicts an instance, i.e. when a singleton is removed by
+ * clearContainer() or resetMock(), or when the scope of a scoped instance ends.
+ *
+ * @returns {(function(Function, {kind: string, static: boolean}): void)}
+ * @example
+ * @Singleton()
+ * class Pool {
+ *   @PreDestroy() close() { this.connections.forEach(c => c.end()) }
+ * }
+ * @throws {InvalidDecoratorTargetError} If the decorator is not used on an instance method
+ */
+export function PreDestroy() {
+  return function (_, context) {
+    if (context.kind !== 'method' || context.static) {
+      throw new InvalidDecoratorTargetError('Invalid injection target: @PreDestroy can only be used on instance methods')
+    }
+    addLifecycleHook(PRE_DESTROY, context)
   }
 }
 
 /**
  * Mark a class as a mock. This will replace the class with a mock instance when injected.
+ * Mocking an already mocked class stacks the new mock on top, until resetMock() removes it again. A mock for a class
+ * or name that is not registered yet is applied once it is registered, validateContainer() reports it until then.
  *
- * @param {string|Function} mockedClazzOrName The singleton or factory class or name to be mocked
- * @param {boolean} [proxy=false] If true, the mock will proxy to the original class.
- *                                Any methods not defined in the mock will be called on the original class.
+ * @param {string|symbol|InjectionToken|Function} mockedClazzOrName The singleton or factory class or name to be mocked
+ * @param {boolean|{proxy?: boolean, spy?: boolean}} [proxy=false] If true, the mock will proxy to the mock below it,
+ *        or to the original class. Any methods not defined in the mock will be called on the layer below.
+ *        With `spy: true`, the method calls of the mock are recorded for getCalls(); spies proxy unless `proxy: false`.
  * @returns {(function(Function, {kind: string}): void)}
  * @example @Mock(MySingleton) class MyMock {}
  * @example @Mock("myCustomName", true) class MyMock {}
- * @throws {Error} If the injection target is not a class
- * @throws {Error} If the injection source is not found
+ * @example @Mock(Mailer, {spy: true}) class MailerSpy {}
+ * @throws {InvalidDecoratorTargetError} If the injection target is not a class
  */
 export function Mock(mockedClazzOrName, proxy = false) {
   return function (clazz, context) {
     if (context.kind !== 'class') {
-      throw new Error('Invalid injection target')
+      throw new InvalidDecoratorTargetError('Invalid injection target')
     }
     defaultContainer.registerMock(mockedClazzOrName, clazz, proxy)
   }
 }
 
+/**
+ * Mock a class or name with an object instead of a mock class, e.g. a stub with the one method a test needs.
+ * Mocks stack and can be declared before the registration, like @Mock.
+ *
+ * @param {string|symbol|InjectionToken|Function} mockedClazzOrName The class or name to mock
+ * @param {Object} value The mock object
+ * @param {{proxy?: boolean, spy?: boolean}} [options] With `proxy: true`, everything the object does not define is
+ *        taken from the mock below or the original instance. With `spy: true`, its method calls are recorded
+ * @example
+ * mockValue(Mailer, {send: jest.fn()}, {proxy: true})
+ */
+export function mockValue(mockedClazzOrName, value, options) {
+  defaultContainer.mockValue(mockedClazzOrName, value, options)
+}
+
+/**
+ * Mock a class or name with a function that builds the mock instance from the resolution parameters.
+ * Mocks stack and can be declared before the registration, like @Mock.
+ *
+ * @param {string|symbol|InjectionToken|Function} mockedClazzOrName The class or name to mock
+ * @param {function(...*): *} factory The function that builds the mock instance
+ * @param {{proxy?: boolean, spy?: boolean}} [options] With `proxy: true`, everything the result does not define is
+ *        taken from the mock below or the original instance. With `spy: true`, its method calls are recorded
+ * @throws {DIError} If the factory is not a function
+ * @example
+ * mockFactory(HttpClient, baseUrl => new FakeHttpClient(baseUrl))
+ */
+export function mockFactory(mockedClazzOrName, factory, options) {
+  defaultContainer.mockFactory(mockedClazzOrName, factory, options)
+}
+
+/**
+ * Get the method calls recorded by a spy mock, e.g. of a service injected deep inside the object graph.
+ *
+ * @param {string|symbol|InjectionToken|Function} mockedClazzOrName The mocked class or name
+ * @returns {Array<{method: string|symbol, args: Array<*>, returnValue: *, error: *, timestamp: number}>}
+ * @throws {DIError} If the active mock does not record its calls
+ * @example
+ * @Mock(Mailer, {spy: true}) class MailerSpy {}
+ * resolve(SignupService).register('ada@example.com')
+ * expect(getCalls(Mailer)).toEqual([expect.objectContaining({method: 'send', args: ['ada@example.com']})])
+ */
+export function getCalls(mockedClazzOrName) {
+  return defaultContainer.getCalls(mockedClazzOrName)
+}
+
 /**
  * Reset all mocks to their original classes.
  */
@@ -236,16 +490,38 @@ export function resetMocks() {
 }
 
 /**
- * Reset a specific mock to its original class.
+ * Remove the most recent mock of a class, restoring the mock below it or the original class.
  *
- * @param {string|Function} clazzOrName The singleton or factory class or name to reset
+ * @param {string|symbol|InjectionToken|Function} clazzOrName The singleton or factory class or name to reset
  */
 export function resetMock(clazzOrName) {
   defaultContainer.resetMock(clazzOrName)
 }
 
+/**
+ * Run a function with temporary mocks in the default container. The mocks are only visible to the async call tree of
+ * the function, and are removed once it returns or throws, or once the returned promise settles.
+ *
+ * @template T
+ * @param {Array<[string|symbol|InjectionToken|Function, Function, {proxy?: boolean}?]>} mocks The keys to mock, each
+ *        with its mock class and whether to proxy unmocked methods to the layer below
+ * @param {function(): T} fn The function to run
+ * @returns {T} The return value of the function
+ * @throws {NotRegisteredError} If a key is not registered
+ * @throws {MockError} If a key is listed twice
+ * @example
+ * it('sends a welcome mail', () => withMocks([[Mailer, MailerSpy]], async () => {
+ *   await resolve(SignupService).signup('ada@example.com')
+ *   expect(MailerSpy.sent).toHaveLength(1)
+ * }))
+ */
+export function withMocks(mocks, fn) {
+  return defaultContainer.withMocks(mocks, fn)
+}
+
 /**
  * Clear all registered instances and mocks from the container.
+ * Runs the @PreDestroy methods of all created singletons.
  * Useful for complete test isolation between test suites.
  */
 export function clearContainer() {
@@ -276,11 +552,46 @@ export function setDebug(enabled) {
   defaultContainer.setDebug(enabled)
 }
 
+/**
+ * Send the log events of the default container to a logger, such as pino, console or a wrapper around another
+ * library. Each event is passed as a structured object first and a readable message second.
+ *
+ * @param {import('./src/logger.js').Logger} logger The logger, see consoleLogger for the default
+ * @param {Object} [options]
+ * @param {import('./src/logger.js').LogLevel} [options.level='info'] The least severe level that is logged
+ * @throws {DIError} If the logger is not an object or the level is not supported
+ * @example
+ * setLogger(pino().child({module: 'di'}), {level: 'debug'})
+ * // {"module":"di","event":"create","type":"singleton","durationMs":0.42,"mocked":false,"async":false,"msg":"Creating singleton: UserService"}
+ */
+export function setLogger(logger, options) {
+  defaultContainer.setLogger(logger, options)
+}
+
+/**
+ * Configure what happens when a singleton eagerly injects a factory or scoped registration. The singleton keeps the
+ * injected instance for its whole lifetime, which is almost always a mistake.
+ * The check runs when such an instance is injected and in validateContainer().
+ *
+ * @param {'ignore'|'warn'|'throw'} mode 'ignore', 'warn' (the default, logs a warning) or 'throw'
+ * @throws {DIError} If the mode is not supported
+ * @example
+ * setCaptiveDependencyMode('throw')
+ *
+ * @Singleton()
+ * class UserService {
+ *   @Inject(RequestLogger) logger // Error: Captive dependency: singleton "UserService" injects factory ...
+ * }
+ */
+export function setCaptiveDependencyMode(mode) {
+  defaultContainer.setCaptiveDependencyMode(mode)
+}
+
 /**
  * Check if a class or name is registered in the default container.
  * Useful for validation before injection.
  *
- * @param {string|Function} clazzOrName The class or name to check
+ * @param {string|symbol|InjectionToken|Function} clazzOrName The class or name to check
  * @returns {boolean} true if registered, false otherwise
  * @example
  * if (!isRegistered(MyService)) {
@@ -296,8 +607,8 @@ export function isRegistered(clazzOrName) {
  * Throws an error with details about missing registrations.
  * Useful for fail-fast validation at application startup.
  *
- * @param {...(string|Function)} tokens Classes or names to validate
- * @throws {Error} If any token is not registered
+ * @param {...(string|symbol|InjectionToken|Function)} tokens Classes or names to validate
+ * @throws {NotRegisteredError} If any token is not registered
  * @example
  * // At app startup:
  * validateRegistrations(UserService, AuthService, 'databaseConnection')
@@ -305,24 +616,44 @@ export function isRegistered(clazzOrName) {
 export function validateRegistrations(...tokens) {
   const missing = tokens.filter(token => !defaultContainer.has(token))
   if (missing.length > 0) {
-    const names = missing.map(t => typeof t === 'string' ? t : t.name).join(', ')
-    throw new Error(
+    const names = missing.map(tokenName).join(', ')
+    throw new NotRegisteredError(
       `Missing registrations: [${names}]. ` +
-      `Ensure these classes are decorated with @Singleton() or @Factory() before use.`
+      `Ensure these classes are decorated with @Singleton() or @Factory() before use.`,
+      {token: missing[0], tokens: missing}
     )
   }
 }
 
+/**
+ * Check the wiring of the whole default container without creating any instances.
+ * Every @Inject and @InjectLazy field of the registered classes must point to a registration (unless it is optional),
+ * aliases must point to a registration, and eagerly injected fields must not form a cycle.
+ * All problems are reported together, with the class and field that asked for each missing registration.
+ * Classes that are not registered themselves are not checked.
+ *
+ * @throws {ValidationError} If any problem is found
+ * @example
+ * // At app startup, once all modules are imported:
+ * validateContainer()
+ * // Error: Container validation failed:
+ * //   - UserService.db: "Database" is not registered
+ * //   - Circular dependency detected: A -> B -> A (fields: A.b -> B.a). Use @InjectLazy to break the cycle.
+ */
+export function validateContainer() {
+  defaultContainer.validate()
+}
+
 /**
  * Resolve and return an instance by class or name.
  * This allows non-decorator code (plain functions, modules, etc.) to retrieve
  * instances from the DI container.
  *
  * @template T
- * @param {string|Function} clazzOrName The class or name to resolve
+ * @param {string|symbol|InjectionToken|Function} clazzOrName The class or name to resolve
  * @param {...*} params Parameters to pass to the constructor
  * @returns {T} The resolved instance
- * @throws {Error} If the class or name is not registered
+ * @throws {NotRegisteredError} If the class or name is not registered
  * @example
  * // In a plain function:
  * function handleRequest(req) {
@@ -340,8 +671,178 @@ export function resolve(clazzOrName, ...params) {
   return defaultContainer.resolve(clazzOrName, ...params)
 }
 
+/**
+ * Resolve all providers registered under a name with `{multi: true}`, sorted by their order and then by
+ * registration order.
+ *
+ * @template T
+ * @param {string|symbol|InjectionToken} name The name the providers are registered under
+ * @param {...*} params Parameters to pass to the constructors
+ * @returns {Array<T>} The resolved instances, or an empty array if there are no providers
+ * @example
+ * const errors = resolveAll('validators').flatMap(validator => validator.validate(form))
+ */
+export function resolveAll(name, ...params) {
+  return defaultContainer.resolveAll(name, ...params)
+}
+
+/**
+ * Start recording how often each registration in the default container is resolved and how long creating its
+ * instances takes, including instances created by @Inject fields. Restarts the recording if it is already running.
+ *
+ * @example
+ * startProfiling()
+ * await import('./app.js')
+ * console.table(stopProfiling().entries.slice(0, 10))
+ */
+export function startProfiling() {
+  defaultContainer.startProfiling()
+}
+
+/**
+ * Stop profiling the default container and get the report: the resolutions, cache hits, creations and creation times
+ * of each registration, the highest self time first, and a tree of the creations nested in each other.
+ *
+ * @returns {{durationMs: number, entries: Array<Object>, tree: Array<Object>}} The report
+ * @throws {DIError} If profiling was not started
+ */
+export function stopProfiling() {
+  return defaultContainer.stopProfiling()
+}
+
+/**
+ * Describe every registration in the default container and the dependencies between them, as declared by the
+ * @Inject, @InjectLazy, @InjectOptional and @InjectAll fields of the registered classes. No instances are created.
+ *
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}} The registrations and their injected fields
+ * @example
+ * // Who depends on Database?
+ * const {edges} = getDependencyGraph()
+ * edges.filter(edge => edge.to === Database).forEach(edge => console.log(`${edge.consumer.name}.${edge.field}`))
+ */
+export function getDependencyGraph() {
+  return defaultContainer.getDependencyGraph()
+}
+
+/**
+ * Register a pre-built value in the default container, such as a configuration object or a third-party client.
+ * The value is injected as is and is never disposed by the container.
+ *
+ * @param {string|symbol|InjectionToken|Function} token The key to register the value under
+ * @param {*} value The value
+ * @throws {DuplicateRegistrationError} If the key is already registered
+ * @example
+ * registerValue('config', {apiUrl: 'https://api.example.com'})
+ *
+ * class ApiClient {
+ *   @Inject('config') config
+ * }
+ */
+export function registerValue(token, value) {
+  defaultContainer.registerValue(token, value)
+}
+
+/**
+ * Register a factory function in the default container. It is called with the container and the injection parameters.
+ *
+ * @param {string|symbol|InjectionToken|Function} token The key to register the factory function under
+ * @param {function(Container, ...*): *} factory The factory function
+ * @param {Object} [options]
+ * @param {boolean} [options.singleton=false] If true, the factory function is only called once and its result cached
+ * @throws {DuplicateRegistrationError} If the key is already registered
+ * @example
+ * registerFactoryFunction('logger', (container, name) => pino({name}))
+ * registerFactoryFunction('db', container => new Pool(container.resolve('config').db), {singleton: true})
+ */
+export function registerFactoryFunction(token, factory, options) {
+  defaultContainer.registerFactoryFunction(token, factory, options)
+}
+
+/**
+ * Register an alias in the default container, so that resolving the new key resolves the existing key instead.
+ *
+ * @param {string|symbol|InjectionToken|Function} newToken The alias key
+ * @param {string|symbol|InjectionToken|Function} existingToken The key the alias points to
+ * @throws {DuplicateRegistrationError} If the alias key is already registered
+ * @throws {CircularDependencyError} If the alias would create a cycle
+ * @example
+ * registerAlias('database', PostgresDatabase)
+ */
+export function registerAlias(newToken, existingToken) {
+  defaultContainer.registerAlias(newToken, existingToken)
+}
+
+/**
+ * Resolve an instance by class or name, waiting for asynchronous initialization.
+ * Classes can provide a static `async create(...params)` method that is used instead of the constructor, and an
+ * `async init()` method that is awaited before the instance is handed out. Async @PostConstruct methods are awaited
+ * as well. Concurrent calls for the same singleton share one in-flight promise, so it is only created once.
+ *
+ * @template T
+ * @param {string|symbol|InjectionToken|Function} clazzOrName The class or name to resolve
+ * @param {...*} params Parameters to pass to create() or the constructor
+ * @returns {Promise<T>} The ready instance
+ * @throws {NotRegisteredError} If the class or name is not registered
+ * @example
+ * @Singleton()
+ * class Database {
+ *   static async create() {
+ *     const db = new Database()
+ *     db.connection = await connect(process.env.DB_URL)
+ *     return db
+ *   }
+ * }
+ *
+ * // At startup, before anything injects it:
+ * const db = await resolveAsync(Database)
+ */
+export function resolveAsync(clazzOrName, ...params) {
+  return defaultContainer.resolveAsync(clazzOrName, ...params)
+}
+
+/**
+ * Run a function inside a new scope of the default container.
+ * Every @Scoped registration resolved within the async call tree of the function shares one instance.
+ * The scope is torn down once the function returns, or once the returned promise settles.
+ *
+ * @template T
+ * @param {function(): T} fn The function to run
+ * @returns {T} The return value of the function
+ * @example
+ * async function handleRequest(req) {
+ *   return runInScope(async () => {
+ *     resolve(RequestContext).user = req.user
+ *     return resolve(OrderController).list()
+ *   })
+ * }
+ */
+export function runInScope(fn) {
+  return defaultContainer.runInScope(fn)
+}
+
 // Export Container class for advanced use cases (e.g., isolated containers)
 export {Container}
 
-// Export createProxy for advanced proxy use cases
-export {createProxy} from './src/proxy.js'
+// Export InjectionToken for collision-free registration keys
+export {InjectionToken} from './src/tokens.js'
+
+// Export the error classes, so callers can branch on the kind of failure instead of its message
+export {
+  DIError,
+  NotRegisteredError,
+  DuplicateRegistrationError,
+  CircularDependencyError,
+  MockError,
+  InvalidDecoratorTargetError,
+  ValidationError,
+  ResolutionError
+} from './src/errors.js'
+
+// Export the default logger, so it can be restored or wrapped
+export {consoleLogger} from './src/logger.js'
+
+// Export the dependency graph exporters for diagrams and documentation
+export {graphToDot, graphToMermaid, graphToJSON} from './src/graph.js'
+
+// Export createProxy and createSpyProxy for advanced proxy use cases
+export {createProxy, createSpyProxy} from './src/proxy.js'
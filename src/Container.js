@@ -1,225 +1,2056 @@
+/**
+ * @typedef {string|symbol|import('./tokens.js').InjectionToken|Function} Token
+ *          A registration key: a name, a Symbol, an InjectionToken or a class
+ */
+
+/**
+ * @typedef {Object} Provider
+ * @property {Function} [clazz] - A class constructor that is instantiated with `new`.
+ * @property {function(Container, ...*): *} [factory] - A factory function called with the container and parameters.
+ * @property {*} [value] - A pre-built value that is returned as is (only present if the key exists).
+ */
+
 /**
  * @typedef {Object} InstanceContext
- * @property {'singleton'|'factory'} type - The type of the instance.
- * @property {Function} clazz - The class constructor for the instance.
+ * @property {'singleton'|'factory'|'scoped'} type - The type of the instance.
+ * @property {Token} token - The key the registration was made under.
+ * @property {Function} [clazz] - The class constructor for the instance.
+ * @property {function(Container, ...*): *} [factory] - The factory function for the instance.
+ * @property {*} [value] - The pre-built value for the instance.
+ * @property {Provider} [original] - The original provider if this is a mock.
  * @property {Function} [originalClazz] - The original class if this is a mock.
  * @property {Object} [instance] - The singleton instance, if created.
- * @property {Object} [originalInstance] - The original instance if this is a mock.
- * @property {boolean} [proxy=false] - If true, the mock will proxy to the original class for undefined methods/properties.
+ * @property {Object} [originalInstance] - The singleton instance created before the mock, destroyed when it is reset.
+ * @property {boolean} [proxy=false] - If true, the mock will proxy to the layer below for undefined methods/properties.
+ * @property {*} [mock] - The mock class, value or factory function the active mock was created from.
+ * @property {boolean} [spy] - Whether the method calls of the active mock are recorded.
+ * @property {Array<import('./proxy.js').SpyCall>} [calls] - The recorded method calls of the active mock.
+ * @property {Array<MockLayer>} [layers] - The mocks hidden by the active one, the oldest first.
+ * @property {Container} owner - The container the registration was made in.
+ * @property {InstanceContext} [inherited] - The parent registration this context shadows (child container mocks).
+ * @property {Promise<Object>} [pending] - The in-flight singleton creation started by resolveAsync().
+ * @property {boolean} [multi] - Whether this is one of several providers registered under the same token.
+ * @property {number} [order] - The sort order of a multi provider.
+ */
+
+/**
+ * @typedef {Provider} MockLayer A mock hidden by a mock stacked on top of it.
+ * @property {*} mock - The mock class, value or factory function the layer was created from.
+ * @property {boolean} proxy - Whether the layer proxies to the layer below.
+ * @property {boolean} [spy] - Whether the method calls of the layer are recorded.
+ * @property {Array<import('./proxy.js').SpyCall>} [calls] - The recorded method calls of the layer.
+ * @property {Object} [instance] - The last instance created by the layer.
+ */
+
+/**
+ * @typedef {Object} InjectionPoint
+ * @property {string} consumer - The name of the class the dependency is injected into.
+ * @property {string|symbol} field - The name of the field or accessor the dependency is injected into.
+ * @property {boolean} [lazy=false] - Whether the dependency is injected on first access (@InjectLazy).
+ */
+
+/**
+ * @typedef {Object} ResolutionFrame
+ * @property {InstanceContext} instanceContext - The registration being constructed.
+ * @property {InjectionPoint} [injectionPoint] - The field that requested it, if it was injected.
+ * @property {Array} params - The parameters it is created with.
+ * @property {Container} container - The container its injected fields and factory function resolve from.
+ */
+
+/**
+ * @typedef {'ignore'|'warn'|'throw'} CaptiveDependencyMode
+ *          What to do when a singleton eagerly injects a factory or scoped registration
+ */
+
+/**
+ * @typedef {Object} MockOptions
+ * @property {boolean} [proxy=false] - Take everything the mock does not define from the mock below or the original.
+ *           Defaults to true for spies.
+ * @property {boolean} [spy=false] - Record the method calls of the mocked instances, see getCalls().
+ */
+
+/**
+ * @typedef {Object} RegistrationOptions
+ * @property {boolean} [multi=false] - Add the class to the providers of the name instead of claiming the name.
+ * @property {number} [order=0] - The position of a multi provider, lower values are resolved first.
+ */
+
+/**
+ * @typedef {'register'|'resolve'|'create'|'cacheHit'|'mock'|'resetMock'|'clear'|'dispose'} ContainerEvent
+ *          The events a container emits to listeners added with on()
+ */
+
+/**
+ * @typedef {Object} Scope
+ * @property {Map<InstanceContext, Object>} instances - The scoped instances created in this scope.
+ * @property {Map<InstanceContext, Promise<Object>>} pending - Scoped instances being created by resolveAsync().
+ * @property {boolean} closed - Whether the scope has already been torn down.
+ */
+
+/**
+ * @typedef {Object} MockOverlay
+ * @property {Container} owner - The container withMocks() was called on.
+ * @property {Map<Token, InstanceContext>} mocks - The mocked contexts, by registration key.
+ * @property {Map<InstanceContext, Object>} instances - The singletons created while the overlay is active.
+ * @property {Map<InstanceContext, Promise<Object>>} pending - Singletons being created by resolveAsync().
+ * @property {MockOverlay} [parent] - The overlay of the enclosing withMocks() call, if any.
+ * @property {boolean} closed - Whether the mocks have already been restored.
+ */
+
+import {AsyncLocalStorage} from 'node:async_hooks'
+import {performance} from 'node:perf_hooks'
+import {createProxy, createSpyProxy, providerOf, proxyChain} from './proxy.js'
+import {tokenName} from './tokens.js'
+import {suggestTokens} from './suggestions.js'
+import {consoleLogger, isLevelEnabled, LOG_LEVELS, writeLog} from './logger.js'
+import {Profiler} from './profiler.js'
+import {
+  CircularDependencyError,
+  DIError,
+  DuplicateRegistrationError,
+  MockError,
+  NotRegisteredError,
+  ResolutionError,
+  ValidationError
+} from './errors.js'
+import {aliasEdgeOf, aliasNodeOf, edgesOf, nodeOf} from './graph.js'
+import {
+  ASYNC_DISPOSE,
+  destroyInstance,
+  DISPOSE,
+  disposeInstance,
+  disposeInstanceAsync,
+  needsTeardown,
+  POST_CONSTRUCT,
+  runLifecycleHooks,
+  trackConstructed
+} from './lifecycle.js'
+
+/** @type {Array<ContainerEvent>} The events listeners can be added for */
+const CONTAINER_EVENTS = ['register', 'resolve', 'create', 'cacheHit', 'mock', 'resetMock', 'clear', 'dispose']
+
+/** @type {WeakMap<Object, Container>} The container lazily injected fields of a constructed object resolve from */
+const injectors = new WeakMap()
+
+/**
+ * Get a readable name for a context: the (mock) class name, or the registration key for other providers.
+ * @param {InstanceContext} instanceContext The instance context
+ * @returns {string}
+ */
+function nameOf(instanceContext) {
+  return instanceContext.clazz?.name || tokenName(instanceContext.token)
+}
+
+/**
+ * Get the options of a mock from the proxy flag or the options passed by the caller.
+ * @param {boolean|MockOptions} [options] Whether to proxy, or the mock options
+ * @returns {{proxy: boolean, spy: boolean}}
+ */
+function mockOptionsOf(options = {}) {
+  if (typeof options === 'boolean') {
+    return {proxy: options, spy: false}
+  }
+  const spy = Boolean(options.spy)
+  return {proxy: options.proxy ?? spy, spy}
+}
+
+/**
+ * Replace the class, factory function or value of a context with another provider.
+ * @param {InstanceContext} instanceContext The context to update
+ * @param {Provider} provider The new provider
  */
+function replaceProvider(instanceContext, provider) {
+  delete instanceContext.clazz
+  delete instanceContext.factory
+  delete instanceContext.value
+  Object.assign(instanceContext, provider)
+}
+
+/**
+ * Make a mock the active one of a context.
+ * @param {InstanceContext} instanceContext The context to update
+ * @param {{mock: *, proxy: boolean, spy?: boolean, calls?: Array<import('./proxy.js').SpyCall>}} layer The mock
+ */
+function setMock(instanceContext, {mock, proxy, spy, calls}) {
+  Object.assign(instanceContext, {mock, proxy})
+  delete instanceContext.spy
+  delete instanceContext.calls
+  if (spy) {
+    Object.assign(instanceContext, {spy: true, calls})
+  }
+}
 
-import {createProxy} from './proxy.js'
+/**
+ * Describe a mock for log messages: the mock class name, or what kind of mock it is.
+ * @param {Provider & {mock: *}} source The mock provider, with the class, value or function it was created from
+ * @returns {string}
+ */
+function describeMock(source) {
+  if ('value' in source) {
+    return 'value'
+  }
+  if (source.factory) {
+    return source.mock.name ? `factory ${source.mock.name}` : 'factory function'
+  }
+  return source.clazz.name
+}
 
 /**
  * A dependency injection container that manages singleton and factory instances.
  * Supports mocking for testing purposes.
  */
 export class Container {
-  /** @type {Map<string|Function, InstanceContext>} */
+  /** @type {Map<Token, InstanceContext>} */
   #instances = new Map()
 
-  /** @type {boolean} Enable debug logging */
-  #debug = false
+  /** @type {Map<Token, Array<InstanceContext>>} Multi providers per key, sorted by order and registration order */
+  #multi = new Map()
+
+  /** @type {Map<Token, Token>} Alias keys mapped to the key they point to */
+  #aliases = new Map()
+
+  /** @type {Map<Token, Array<Provider & {mock: *, options: MockOptions}>>} Mocks waiting for their key to be registered */
+  #deferredMocks = new Map()
+
+  /** @type {import('./logger.js').Logger} Receives the structured log events */
+  #logger = consoleLogger
+
+  /** @type {import('./logger.js').LogLevel} The least severe level that is logged */
+  #logLevel = 'warn'
+
+  /** @type {Map<ContainerEvent, Set<function(Object): void>>} The listeners added with on() */
+  #listeners = new Map()
+
+  /** @type {Profiler|null} Records resolutions between startProfiling() and stopProfiling() */
+  #profiler = null
+
+  /** @type {CaptiveDependencyMode} What to do when a singleton eagerly injects a shorter-lived registration */
+  #captiveDependencyMode = 'warn'
+
+  /** @type {Container|null} The parent container to fall back to for lookups */
+  #parent = null
+
+  /** @type {AsyncLocalStorage<Scope>} The active scope, shared with all containers in the same hierarchy */
+  #scopes
+
+  /** @type {AsyncLocalStorage<MockOverlay>} The active withMocks() overlay, shared like the scopes */
+  #overlays
+
+  /**
+   * @type {Set<Object>} Singleton and factory instances created from this container's registrations that have
+   *       something to tear down, in creation order
+   */
+  #created = new Set()
+
+  /** @type {Array<ResolutionFrame>} The registrations being constructed, shared with all containers in the same hierarchy */
+  #resolving
+
+  /**
+   * @param {Container} [parent] Optional parent container. Lookups that miss in this container fall back to it.
+   */
+  constructor(parent) {
+    this.#parent = parent ?? null
+    this.#scopes = parent ? parent.#scopes : new AsyncLocalStorage()
+    this.#overlays = parent ? parent.#overlays : new AsyncLocalStorage()
+    this.#resolving = parent ? parent.#resolving : []
+  }
+
+  /**
+   * Create a child container that falls back to this container for anything it does not register itself.
+   * Registrations and mocks made on the child never affect this container.
+   * @returns {Container} The child container
+   */
+  createChild() {
+    return new Container(this)
+  }
+
+  /**
+   * The parent container, or null for a root container.
+   * @returns {Container|null}
+   */
+  get parent() {
+    return this.#parent
+  }
 
   /**
    * Enable or disable debug logging.
-   * When enabled, logs when instances are created.
+   * When enabled, every event is logged, including registrations, creations and cache hits. When disabled, only
+   * warnings and errors are logged. The logger set with setLogger() is kept.
    * @param {boolean} enabled Whether to enable debug mode
    */
   setDebug(enabled) {
-    this.#debug = enabled
+    this.#logLevel = enabled ? 'trace' : 'warn'
+  }
+
+  /**
+   * Send the log events of this container to a logger, such as pino, console or a wrapper around another library.
+   * Each event is passed as a structured object first and a readable message second, e.g.
+   * `logger.info({event: 'create', token, type, durationMs, mocked, async}, 'Creating singleton: Database')`.
+   * @param {import('./logger.js').Logger} logger The logger, see consoleLogger for the default
+   * @param {Object} [options]
+   * @param {import('./logger.js').LogLevel} [options.level='info'] The least severe level that is logged
+   * @throws {DIError} If the logger is not an object or the level is not supported
+   */
+  setLogger(logger, {level = 'info'} = {}) {
+    if (logger === null || typeof logger !== 'object') {
+      throw new DIError('Logger must be an object with level methods such as info() and warn()', {
+        code: 'ERR_DI_INVALID_ARGUMENT'
+      })
+    }
+    if (!LOG_LEVELS.includes(level)) {
+      throw new DIError(`Invalid log level "${level}". Use ${LOG_LEVELS.map(name => `'${name}'`).join(', ')}`, {
+        code: 'ERR_DI_INVALID_ARGUMENT'
+      })
+    }
+    this.#logger = logger
+    this.#logLevel = level
+  }
+
+  /**
+   * Add a listener for an event of this container. Listeners are called synchronously with a payload object:
+   * - `register`: `{token, type}`, plus `multi` for multi providers and `target` for aliases
+   * - `resolve`: `{token, type, params, injectionPoint}` for every instance that is requested
+   * - `create`: `{token, type, instance, durationMs, mocked, async}` once a new instance is ready
+   * - `cacheHit`: `{token, type, instance}` when a cached singleton or scoped instance is returned
+   * - `mock`: `{token, mock, proxy}` and `resetMock`: `{token, mock}`
+   * - `clear` and `dispose`: `{instances}`, the instances that are torn down
+   * Only calls made on this container emit events, not calls made on its parent or child containers.
+   * @param {ContainerEvent} event The event name
+   * @param {function(Object): void} listener Called with the payload of each event
+   * @returns {function(): void} Removes the listener again
+   * @throws {DIError} If the event is not supported
+   * @example
+   * let databases = 0
+   * container.on('create', ({token}) => { if (token === Database) databases++ })
+   */
+  on(event, listener) {
+    if (!CONTAINER_EVENTS.includes(event)) {
+      throw new DIError(`Unknown event "${String(event)}". Use ${CONTAINER_EVENTS.map(name => `'${name}'`).join(', ')}`, {
+        code: 'ERR_DI_INVALID_ARGUMENT'
+      })
+    }
+    if (!this.#listeners.has(event)) {
+      this.#listeners.set(event, new Set())
+    }
+    this.#listeners.get(event).add(listener)
+    return () => this.off(event, listener)
+  }
+
+  /**
+   * Start recording how often each registration is resolved and how long creating its instances takes. Restarts the
+   * recording if profiling is already running.
+   * @example
+   * container.startProfiling()
+   * container.resolve(App)
+   * console.table(container.stopProfiling().entries.slice(0, 10))
+   */
+  startProfiling() {
+    this.#profiler = new Profiler()
+  }
+
+  /**
+   * Stop profiling and get the report. Its `entries` list the resolutions, cache hits, creations and creation times
+   * of each registration, the highest self time (excluding nested injections) first, and its `tree` shows which
+   * creations were nested in which.
+   * @returns {import('./profiler.js').ProfileReport} The report
+   * @throws {DIError} If profiling was not started
+   */
+  stopProfiling() {
+    if (!this.#profiler) {
+      throw new DIError('Profiling was not started. Call startProfiling() first', {code: 'ERR_DI_NOT_PROFILING'})
+    }
+    const report = this.#profiler.report()
+    this.#profiler = null
+    return report
+  }
+
+  /**
+   * Remove a listener added with on().
+   * @param {ContainerEvent} event The event name
+   * @param {function(Object): void} listener The listener to remove
+   */
+  off(event, listener) {
+    this.#listeners.get(event)?.delete(listener)
+  }
+
+  /**
+   * Configure what happens when a singleton eagerly injects a factory or scoped registration. The singleton keeps the
+   * injected instance for its whole lifetime, which is almost always a mistake.
+   * The check runs when such an instance is injected and when the container is validated.
+   * @param {CaptiveDependencyMode} mode 'ignore', 'warn' (the default) or 'throw'
+   * @throws {DIError} If the mode is not supported
+   */
+  setCaptiveDependencyMode(mode) {
+    if (!['ignore', 'warn', 'throw'].includes(mode)) {
+      throw new DIError(`Invalid captive dependency mode "${mode}". Use 'ignore', 'warn' or 'throw'`, {
+        code: 'ERR_DI_INVALID_ARGUMENT'
+      })
+    }
+    this.#captiveDependencyMode = mode
+  }
+
+  /**
+   * Report a singleton that eagerly injects a factory or scoped registration, according to the captive dependency mode.
+   * @param {InstanceContext} singleton The singleton registration
+   * @param {InstanceContext} dependency The shorter-lived registration it injects
+   * @param {InjectionPoint} injectionPoint The field it is injected into
+   * @returns {string|undefined} The problem, if the mode is 'throw'
+   * @private
+   */
+  #reportCaptive(singleton, dependency, injectionPoint) {
+    if (this.#captiveDependencyMode === 'ignore') {
+      return undefined
+    }
+    const message = `Captive dependency: singleton "${nameOf(singleton)}" injects ${dependency.type} ` +
+      `"${nameOf(dependency)}" into ${injectionPoint.consumer}.${String(injectionPoint.field)}, ` +
+      `so it keeps the same instance for its whole lifetime`
+    if (this.#captiveDependencyMode === 'throw') {
+      return message
+    }
+    this.#log('warn', {
+      event: 'captive',
+      token: dependency.token,
+      type: dependency.type,
+      singleton: singleton.token,
+      consumer: injectionPoint.consumer,
+      field: injectionPoint.field
+    }, message)
+    return undefined
+  }
+
+  /**
+   * Check whether a factory or scoped instance is eagerly injected into the singleton that is being constructed.
+   * @param {InstanceContext} instanceContext The requested registration
+   * @param {InjectionPoint} [injectionPoint] The field it is injected into
+   * @throws {DIError} If it is captured and the captive dependency mode is 'throw'
+   * @private
+   */
+  #checkCaptive(instanceContext, injectionPoint) {
+    const consumer = this.#resolving.at(-1)?.instanceContext
+    if (!injectionPoint || injectionPoint.lazy || instanceContext.type === 'singleton' || consumer?.type !== 'singleton') {
+      return
+    }
+    const problem = this.#reportCaptive(consumer, instanceContext, injectionPoint)
+    if (problem) {
+      throw new DIError(problem, {code: 'ERR_DI_CAPTIVE_DEPENDENCY', token: instanceContext.token})
+    }
+  }
+
+  /**
+   * Log an event if its level is enabled.
+   * @param {Exclude<import('./logger.js').LogLevel, 'silent'>} level The level of the event
+   * @param {import('./logger.js').LogEvent} event The structured event
+   * @param {string} message The readable message
+   * @private
+   */
+  #log(level, event, message) {
+    if (isLevelEnabled(level, this.#logLevel)) {
+      writeLog(this.#logger, level, event, message)
+    }
   }
 
   /**
-   * Log a debug message if debug mode is enabled.
-   * @param {string} message The message to log
+   * Call the listeners of an event.
+   * @param {ContainerEvent} event The event name
+   * @param {Object} payload The payload passed to each listener
    * @private
    */
-  #log(message) {
-    if (this.#debug) {
-      console.log(`[DI] ${message}`)
+  #emit(event, payload) {
+    const listeners = this.#listeners.get(event)
+    if (listeners?.size > 0) {
+      for (const listener of [...listeners]) {
+        listener(payload)
+      }
     }
   }
 
+  /**
+   * Log an event and call its listeners with the same payload.
+   * @param {Exclude<import('./logger.js').LogLevel, 'silent'>} level The level of the event
+   * @param {ContainerEvent} event The event name
+   * @param {Object} payload The payload
+   * @param {string} message The readable message
+   * @private
+   */
+  #notify(level, event, payload, message) {
+    this.#log(level, {event, ...payload}, message)
+    this.#emit(event, payload)
+  }
+
+  /**
+   * Report that a cached singleton or scoped instance is returned.
+   * @param {InstanceContext} instanceContext The instance context
+   * @param {Object} instance The cached instance
+   * @returns {Object} The cached instance
+   * @private
+   */
+  #cacheHit(instanceContext, instance) {
+    const {token, type} = instanceContext
+    this.#log('trace', {event: 'cacheHit', token, type}, `Returning cached ${type}: ${nameOf(instanceContext)}`)
+    this.#emit('cacheHit', {token, type, instance})
+    this.#profiler?.cacheHit(instanceContext, nameOf(instanceContext))
+    return instance
+  }
+
+  /**
+   * Report that an instance was created, with the time it took. The message keeps the format of the original debug
+   * output, the duration is only part of the structured event.
+   * @param {InstanceContext} instanceContext The instance context
+   * @param {Object} instance The new instance
+   * @param {number} start The time construction started, from performance.now()
+   * @param {boolean} async Whether it was created by resolveAsync()
+   * @returns {Object} The new instance
+   * @private
+   */
+  #instanceCreated(instanceContext, instance, start, async) {
+    const durationMs = performance.now() - start
+    const {token, type} = instanceContext
+    const details = {token, type, durationMs, mocked: Boolean(instanceContext.original), async}
+    this.#log('info', {event: 'create', ...details}, `Creating ${type}: ${nameOf(instanceContext)}`)
+    this.#emit('create', {...details, instance})
+    return instance
+  }
+
   /**
    * Register a class as a singleton.
    * @param {Function} clazz The class constructor
-   * @param {string} [name] Optional name key
+   * @param {string|symbol|InjectionToken} [name] Optional name key
+   * @param {RegistrationOptions} [options] Multi registration options
    */
-  registerSingleton(clazz, name) {
-    this.#register(clazz, 'singleton', name)
+  registerSingleton(clazz, name, options) {
+    this.#register(clazz, 'singleton', name, options)
   }
 
   /**
    * Register a class as a factory.
    * @param {Function} clazz The class constructor
-   * @param {string} [name] Optional name key
+   * @param {string|symbol|InjectionToken} [name] Optional name key
+   * @param {RegistrationOptions} [options] Multi registration options
    */
-  registerFactory(clazz, name) {
-    this.#register(clazz, 'factory', name)
+  registerFactory(clazz, name, options) {
+    this.#register(clazz, 'factory', name, options)
   }
 
   /**
-   * Internal registration logic.
+   * Register a class as scoped. One instance is created per scope opened with runInScope().
    * @param {Function} clazz The class constructor
-   * @param {'singleton'|'factory'} type The registration type
-   * @param {string} [name] Optional name key
-   * @private
+   * @param {string|symbol|InjectionToken} [name] Optional name key
+   * @param {RegistrationOptions} [options] Multi registration options
    */
-  #register(clazz, type, name) {
-    const key = name ?? clazz
-    if (this.#instances.has(key)) {
-      throw new Error(
-        'A different class is already registered under this name. ' +
-        'This may be a circular dependency. Try using @InjectLazy'
-      )
-    }
-    this.#instances.set(key, {clazz, type})
-    this.#log(`Registered ${type}: ${name || clazz.name}`)
+  registerScoped(clazz, name, options) {
+    this.#register(clazz, 'scoped', name, options)
   }
 
   /**
-   * Get the context for a given class or name.
-   * @param {string|Function} clazzOrName The class or name to look up
-   * @returns {InstanceContext}
-   * @throws {Error} If the context is not found
-   */
-  getContext(clazzOrName) {
-    if (this.#instances.has(clazzOrName)) {
-      return this.#instances.get(clazzOrName)
-    }
-    const available = Array.from(this.#instances.keys())
-      .map(k => typeof k === 'string' ? k : k.name)
-      .join(', ')
-    throw new Error(
-      `Cannot find injection source for "${clazzOrName?.name || clazzOrName}". ` +
-      `Available: [${available}]`
-    )
+   * Register a pre-built value, such as a configuration object or a third-party client instance.
+   * The value is returned as is and is never disposed by the container.
+   * @param {Token} token The key to register the value under
+   * @param {*} value The value
+   */
+  registerValue(token, value) {
+    this.#add(token, {type: 'singleton', value})
+    this.#notify('debug', 'register', {token, type: 'value'}, `Registered value: ${tokenName(token)}`)
+    this.#applyDeferredMocks()
   }
 
   /**
-   * Check if a class or name is registered.
-   * @param {string|Function} clazzOrName The class or name to check
-   * @returns {boolean}
+   * Register a factory function that builds the instance. It is called with the container and the injection parameters.
+   * @param {Token} token The key to register the factory function under
+   * @param {function(Container, ...*): *} factory The factory function
+   * @param {Object} [options]
+   * @param {boolean} [options.singleton=false] If true, the factory function is only called once and its result cached
+   * @throws {DIError} If the factory is not a function
    */
-  has(clazzOrName) {
-    return this.#instances.has(clazzOrName)
+  registerFactoryFunction(token, factory, {singleton = false} = {}) {
+    if (typeof factory !== 'function') {
+      throw new DIError('Factory must be a function', {code: 'ERR_DI_INVALID_ARGUMENT', token})
+    }
+    const type = singleton ? 'singleton' : 'factory'
+    this.#add(token, {type, factory})
+    this.#notify('debug', 'register', {token, type}, `Registered ${type} function: ${tokenName(token)}`)
+    this.#applyDeferredMocks()
   }
 
   /**
-   * Resolve and return an instance by class or name.
-   * This allows non-decorator code to retrieve instances from the container.
-   * @template T
-   * @param {string|Function} clazzOrName The class or name to resolve
-   * @param {...*} params Parameters to pass to the constructor
-   * @returns {T} The resolved instance
-   * @throws {Error} If the class or name is not registered
+   * Register an alias, so that resolving the new key resolves the existing key instead.
+   * The existing key does not have to be registered yet. Aliases are followed from the container that resolves them,
+   * so child containers can override the target.
+   * @param {Token} newToken The alias key
+   * @param {Token} existingToken The key the alias points to
+   * @throws {DuplicateRegistrationError} If the alias key is already registered
+   * @throws {CircularDependencyError} If the alias would create a cycle
    */
-  resolve(clazzOrName, ...params) {
-    const instanceContext = this.getContext(clazzOrName)
-    return this.getInstance(instanceContext, params)
+  registerAlias(newToken, existingToken) {
+    this.#assertAvailable(newToken)
+    for (let target = existingToken; target !== undefined; target = this.#aliasOf(target)) {
+      if (target === newToken) {
+        throw new CircularDependencyError(`Alias "${tokenName(newToken)}" would point to itself`, {token: newToken})
+      }
+    }
+    this.#aliases.set(newToken, existingToken)
+    this.#notify('debug', 'register', {token: newToken, type: 'alias', target: existingToken},
+      `Registered alias: ${tokenName(newToken)} -> ${tokenName(existingToken)}`)
+    this.#applyDeferredMocks()
   }
 
   /**
-   * Get or create an instance based on the context.
-   * @param {InstanceContext} instanceContext The instance context
-   * @param {Array} params Constructor parameters
-   * @returns {Object} The instance
+   * Internal registration logic.
+   * @param {Function} clazz The class constructor
+   * @param {'singleton'|'factory'|'scoped'} type The registration type
+   * @param {string|symbol|InjectionToken} [name] Optional name key
+   * @param {RegistrationOptions} [options] Multi registration options
+   * @private
    */
-  getInstance(instanceContext, params) {
-    if (instanceContext.type === 'singleton' && !instanceContext.originalClazz && instanceContext.instance) {
-      this.#log(`Returning cached singleton: ${instanceContext.clazz.name}`)
-      return instanceContext.instance
+  #register(clazz, type, name, {multi = false, order = 0} = {}) {
+    if (multi) {
+      this.#addMulti(name, {clazz, type, order})
+      this.#notify('debug', 'register', {token: name, type, multi: true},
+        `Registered ${type} (multi): ${tokenName(name)}`)
+      return
     }
+    this.#add(name ?? clazz, {clazz, type})
+    this.#notify('debug', 'register', {token: name ?? clazz, type},
+      `Registered ${type}: ${tokenName(name ?? clazz)}`)
+    this.#applyDeferredMocks()
+  }
 
-    let instance
-    try {
-      this.#log(`Creating ${instanceContext.type}: ${instanceContext.clazz.name}`)
-      instance = new instanceContext.clazz(...params)
-    } catch (err) {
-      if (err instanceof RangeError) {
-        throw new Error(
-          `Circular dependency detected for ${instanceContext.clazz.name || instanceContext.clazz}. ` +
-          `Use @InjectLazy to break the cycle.`
-        )
+  /**
+   * Apply the deferred mocks whose key can be resolved now, in the order they were registered.
+   * @private
+   */
+  #applyDeferredMocks() {
+    for (const [key, mocks] of this.#deferredMocks) {
+      if (this.#lookup(key)) {
+        this.#deferredMocks.delete(key)
+        mocks.forEach(({mock, options, ...provider}) => this.#mock(key, provider, mock, options))
       }
-      throw err
     }
+  }
 
-    if (instanceContext.proxy && instanceContext.originalClazz) {
-      const originalInstance = new instanceContext.originalClazz(...params)
-      instance = createProxy(instance, originalInstance)
+  /**
+   * Add a provider to the multi providers of a key, keeping them sorted by order and then registration order.
+   * @param {Token} key The registration key
+   * @param {Object} fields The type, provider fields and order of the context
+   * @throws {DIError|DuplicateRegistrationError} If no key is given or the key has a regular registration
+   * @private
+   */
+  #addMulti(key, fields) {
+    if (key === undefined) {
+      throw new DIError('Multi registrations require a name', {code: 'ERR_DI_INVALID_ARGUMENT'})
+    }
+    if (this.#instances.has(key) || this.#aliases.has(key)) {
+      throw new DuplicateRegistrationError(
+        `Cannot add a multi provider for "${tokenName(key)}": it already has a regular registration`,
+        {token: key}
+      )
     }
+    const providers = this.#multi.get(key) ?? []
+    const index = providers.findIndex(provider => provider.order > fields.order)
+    providers.splice(index === -1 ? providers.length : index, 0, {...fields, token: key, owner: this, multi: true})
+    this.#multi.set(key, providers)
+  }
 
-    if (instanceContext.type === 'singleton') {
-      instanceContext.instance = instance
+  /**
+   * Add a new context to this container.
+   * @param {Token} key The registration key
+   * @param {Object} fields The type and provider fields of the context
+   * @throws {DuplicateRegistrationError} If the key is already registered
+   * @private
+   */
+  #add(key, fields) {
+    this.#assertAvailable(key)
+    this.#instances.set(key, {...fields, token: key, owner: this})
+  }
+
+  /**
+   * Ensure a key is not registered in this container yet.
+   * @param {Token} key The registration key
+   * @throws {DuplicateRegistrationError} If the key is already registered
+   * @private
+   */
+  #assertAvailable(key) {
+    if (this.#multi.has(key)) {
+      throw new DuplicateRegistrationError(
+        `"${tokenName(key)}" has multi providers. Register further providers with {multi: true}`,
+        {token: key}
+      )
+    }
+    if (this.#instances.has(key) || this.#aliases.has(key)) {
+      throw new DuplicateRegistrationError(
+        'A different class is already registered under this name. ' +
+        'This may be a circular dependency. Try using @InjectLazy',
+        {token: key}
+      )
     }
+  }
 
-    return instance
+  /**
+   * Get the key an alias points to, looking in this container and then in its ancestors.
+   * A registration in a closer container hides an alias further up.
+   * @param {Token} key The key to look up
+   * @returns {Token|undefined} The target key, if the key is an alias
+   * @private
+   */
+  #aliasOf(key) {
+    if (this.#instances.has(key)) {
+      return undefined
+    }
+    return this.#aliases.has(key) ? this.#aliases.get(key) : this.#parent?.#aliasOf(key)
   }
 
   /**
-   * Register a mock for an existing class.
-   * @param {string|Function} targetClazzOrName The class or name to mock
-   * @param {Function} mockClazz The mock class
-   * @param {boolean} [useProxy=false] Whether to proxy unmocked methods to original
+   * Follow aliases to the key of the registration they point to.
+   * @param {Token} clazzOrName The class or name to look up
+   * @returns {Token} The key itself if it is not an alias
+   * @throws {CircularDependencyError} If the aliases form a cycle
+   * @private
    */
-  registerMock(targetClazzOrName, mockClazz, useProxy = false) {
-    const instanceContext = this.getContext(targetClazzOrName)
-    if (instanceContext.originalClazz) {
-      throw new Error('Mock already defined, reset before mocking again')
+  #resolveAlias(clazzOrName) {
+    const seen = new Set([clazzOrName])
+    let key = clazzOrName
+    for (let target = this.#aliasOf(key); target !== undefined; target = this.#aliasOf(key)) {
+      if (seen.has(target)) {
+        throw new CircularDependencyError(`Alias "${tokenName(clazzOrName)}" points to itself`, {token: clazzOrName})
+      }
+      seen.add(target)
+      key = target
     }
-    instanceContext.originalClazz = instanceContext.clazz
-    instanceContext.proxy = useProxy
-    instanceContext.clazz = mockClazz
-    const targetName = typeof targetClazzOrName === 'string' ? targetClazzOrName : targetClazzOrName.name
-    this.#log(`Mocked ${targetName} with ${mockClazz.name}${useProxy ? ' (proxy)' : ''}`)
+    return key
   }
 
   /**
-   * Reset a specific mock to its original class.
-   * @param {string|Function} clazzOrName The class or name to reset
-   * @throws {Error} If the class or name is not registered
+   * Look up a context in this container, then in its ancestors, following aliases.
+   * @param {Token} clazzOrName The class or name to look up
+   * @returns {InstanceContext|undefined}
+   * @throws {CircularDependencyError} If the aliases form a cycle
+   * @private
    */
-  resetMock(clazzOrName) {
-    this.#restoreOriginal(this.#instances.get(clazzOrName), clazzOrName)
+  #lookup(clazzOrName) {
+    return this.#find(this.#resolveAlias(clazzOrName))
   }
 
   /**
-   * Reset all mocks to their original classes.
+   * Find the context registered under a key in this container or its ancestors, without following aliases.
+   * @param {Token} key The key to look up
+   * @returns {InstanceContext|undefined}
+   * @private
    */
-  resetAllMocks() {
-    for (const instanceContext of this.#instances.values()) {
-      this.#restoreOriginal(instanceContext)
+  #find(key) {
+    return this.#overlayMock(key) ?? this.#instances.get(key) ?? this.#parent?.#find(key)
+  }
+
+  /**
+   * Find a mock installed on this container by the active withMocks() calls, the innermost one first.
+   * @param {Token} key The registration key
+   * @returns {InstanceContext|undefined}
+   * @private
+   */
+  #overlayMock(key) {
+    for (const overlay of this.#activeOverlays()) {
+      if (overlay.owner === this && overlay.mocks.has(key)) {
+        return overlay.mocks.get(key)
+      }
     }
+    return undefined
   }
 
   /**
-   * Clear all registered instances and mocks.
-   * Useful for test isolation.
+   * List the withMocks() overlays of the current async context that have not been restored, the innermost first.
+   * @returns {Array<MockOverlay>}
+   * @private
    */
-  clear() {
-    this.#instances.clear()
+  #activeOverlays() {
+    const overlays = []
+    for (let overlay = this.#overlays.getStore(); overlay; overlay = overlay.parent) {
+      if (!overlay.closed) {
+        overlays.push(overlay)
+      }
+    }
+    return overlays
   }
 
   /**
-   * Internal function to restore an instance context to its original.
-   * @param {InstanceContext} instanceContext The instance context to reset
-   * @param {string|Function} [clazzOrName] Optional identifier for error messages
-   * @throws {Error} If instanceContext is null or undefined
+   * Get the cached instance of a singleton, from the registration or from the active withMocks() overlays.
+   * @param {InstanceContext} instanceContext The instance context
+   * @returns {Object|undefined}
    * @private
    */
-  #restoreOriginal(instanceContext, clazzOrName) {
-    if (!instanceContext) {
-      const name = clazzOrName?.name || clazzOrName || 'unknown'
-      throw new Error(`Cannot reset mock for "${name}": not registered`)
+  #cachedSingleton(instanceContext) {
+    if (instanceContext.instance) {
+      return instanceContext.instance
     }
-    if (instanceContext.originalClazz) {
-      instanceContext.clazz = instanceContext.originalClazz
-      delete instanceContext.instance
-      delete instanceContext.originalClazz
-      delete instanceContext.originalInstance
-      delete instanceContext.proxy
+    return this.#activeOverlays().find(overlay => overlay.instances.has(instanceContext))?.instances.get(instanceContext)
+  }
+
+  /**
+   * Get the in-flight creation of a singleton by resolveAsync(), from the registration or from the active withMocks()
+   * overlays.
+   * @param {InstanceContext} instanceContext The instance context
+   * @returns {Promise<Object>|undefined}
+   * @private
+   */
+  #pendingSingleton(instanceContext) {
+    if (instanceContext.pending) {
+      return instanceContext.pending
+    }
+    return this.#activeOverlays().find(overlay => overlay.pending.has(instanceContext))?.pending.get(instanceContext)
+  }
+
+  /**
+   * Find the multi providers registered under a key. A child container that has its own providers for the key hides
+   * the providers of its ancestors.
+   * @param {Token} key The key to look up
+   * @returns {Array<InstanceContext>} The providers in resolution order, or an empty array if there are none
+   * @private
+   */
+  #findMulti(key) {
+    return this.#multi.get(key) ?? this.#parent?.#findMulti(key) ?? []
+  }
+
+  /**
+   * Get the context for a given class or name.
+   * Falls back to the parent container if this container has no registration for it.
+   * The returned context's `owner` is the container that satisfied the lookup.
+   * @param {Token} clazzOrName The class or name to look up
+   * @param {InjectionPoint} [injectionPoint] The field that asked for it, named in the error if it is not found
+   * @returns {InstanceContext}
+   * @throws {NotRegisteredError} If the context is not found, with suggestions for similar registrations
+   * @throws {DIError} If the key only has multi providers
+   */
+  getContext(clazzOrName, injectionPoint) {
+    const instanceContext = this.#lookup(clazzOrName)
+    if (instanceContext) {
+      if (instanceContext.owner !== this) {
+        this.#log('trace', {event: 'resolveFromParent', token: clazzOrName},
+          `Resolved ${tokenName(clazzOrName)} from parent container`)
+      }
+      return instanceContext
+    }
+    if (this.#findMulti(clazzOrName).length > 0) {
+      throw new DIError(
+        `"${tokenName(clazzOrName)}" has multiple providers. ` +
+        `Use @InjectAll or resolveAll() to inject all of them.`,
+        {code: 'ERR_DI_MULTIPLE_PROVIDERS', token: clazzOrName}
+      )
+    }
+    const target = injectionPoint?.consumer
+      ? ` (injected into ${injectionPoint.consumer}.${String(injectionPoint.field)})`
+      : ''
+    const hints = this.#suggest(clazzOrName)
+    throw new NotRegisteredError(
+      [`Cannot find injection source for "${tokenName(clazzOrName)}"${target}.`, ...hints].join(' '),
+      {token: clazzOrName}
+    )
+  }
+
+  /**
+   * Suggest registrations that a missing key may have been meant to refer to.
+   * @param {Token} key The key that could not be found
+   * @returns {Array<string>} Hint sentences, see suggestTokens()
+   * @private
+   */
+  #suggest(key) {
+    return suggestTokens(key, this.#visibleRegistrations().keys())
+  }
+
+  /**
+   * Check if a class or name is registered in this container or any of its ancestors.
+   * @param {Token} clazzOrName The class or name to check
+   * @returns {boolean}
+   */
+  has(clazzOrName) {
+    return this.#lookup(clazzOrName) !== undefined || this.#findMulti(clazzOrName).length > 0
+  }
+
+  /**
+   * Check if a class or name is registered directly in this container, ignoring ancestors.
+   * @param {Token} clazzOrName The class or name to check
+   * @returns {boolean}
+   */
+  hasOwn(clazzOrName) {
+    return this.#instances.has(clazzOrName) || this.#aliases.has(clazzOrName) || this.#multi.has(clazzOrName)
+  }
+
+  /**
+   * Resolve and return an instance by class or name.
+   * This allows non-decorator code to retrieve instances from the container.
+   * @template T
+   * @param {Token} clazzOrName The class or name to resolve
+   * @param {...*} params Parameters to pass to the constructor
+   * @returns {T} The resolved instance
+   * @throws {NotRegisteredError} If the class or name is not registered
+   */
+  resolve(clazzOrName, ...params) {
+    const instanceContext = this.getContext(clazzOrName)
+    return this.getInstance(instanceContext, params)
+  }
+
+  /**
+   * Resolve all providers registered under a name with `{multi: true}`, sorted by their order and then by
+   * registration order. Falls back to the parent container if this container has no providers for the name.
+   * @template T
+   * @param {Token} clazzOrName The name to resolve
+   * @param {...*} params Parameters to pass to the constructors
+   * @returns {Array<T>} The resolved instances, or an empty array if there are no providers
+   */
+  resolveAll(clazzOrName, ...params) {
+    return this.getAllContexts(clazzOrName).map(instanceContext => this.getInstance(instanceContext, params))
+  }
+
+  /**
+   * Get the contexts of all providers registered under a name with `{multi: true}`, in resolution order.
+   * Falls back to the parent container if this container has no providers for the name.
+   * @param {Token} name The name to look up
+   * @returns {Array<InstanceContext>} The contexts, or an empty array if there are no providers
+   */
+  getAllContexts(name) {
+    return this.#findMulti(name)
+  }
+
+  /**
+   * Describe every registration visible from this container and the dependencies between them, as declared by the
+   * @Inject, @InjectLazy, @InjectOptional and @InjectAll fields of the registered classes. No instances are created.
+   * Registrations of ancestor containers are included unless this container overrides them.
+   * @returns {import('./graph.js').DependencyGraph}
+   * @example
+   * const {edges} = container.getDependencyGraph()
+   * const dependents = edges.filter(edge => edge.to === Database).map(edge => edge.consumer.name)
+   */
+  getDependencyGraph() {
+    const nodes = []
+    const edges = []
+    for (const [key, registration] of this.#visibleRegistrations()) {
+      if (registration.alias !== undefined) {
+        nodes.push(aliasNodeOf(key, registration.owner !== this))
+        edges.push(aliasEdgeOf(key, registration.alias))
+        continue
+      }
+      for (const instanceContext of registration.contexts) {
+        nodes.push(nodeOf(instanceContext, instanceContext.owner !== this || Boolean(instanceContext.inherited)))
+        edges.push(...edgesOf(instanceContext))
+      }
+    }
+    return {nodes, edges}
+  }
+
+  /**
+   * Check the wiring of every registration visible from this container without creating any instances.
+   * All @Inject and @InjectLazy fields of the registered classes must point to a registration (unless they are
+   * optional), aliases must point to a registration, the eager fields must not form a cycle and every mock registered
+   * before its key must have been applied.
+   * Singletons that eagerly inject factory or scoped registrations are reported according to the captive dependency
+   * mode. Every problem is reported in a single error.
+   * @throws {ValidationError} If any problem is found
+   */
+  validate() {
+    const problems = []
+    const contexts = []
+    for (const [key, registration] of this.#visibleRegistrations()) {
+      if (registration.alias === undefined) {
+        contexts.push(...registration.contexts)
+      } else if (!this.#lookup(key)) {
+        problems.push(
+          `Alias "${tokenName(key)}" points to "${tokenName(registration.alias)}", which is not registered`
+        )
+      }
+    }
+    for (const instanceContext of contexts) {
+      for (const edge of edgesOf(instanceContext)) {
+        const problem = this.#checkEdge(edge)
+        if (problem) {
+          problems.push(problem)
+        }
+        if (instanceContext.type === 'singleton') {
+          problems.push(...this.#findCaptives(instanceContext, edge))
+        }
+      }
+    }
+    problems.push(...this.#findCycles(contexts))
+    for (const [key, mocks] of this.#deferredMocks) {
+      problems.push(this.#describeDeferred(key, mocks))
+    }
+    if (problems.length > 0) {
+      throw new ValidationError(
+        `Container validation failed:\n${problems.map(problem => `  - ${problem}`).join('\n')}`,
+        {problems}
+      )
+    }
+  }
+
+  /**
+   * Explain why deferred mocks were never applied.
+   * @param {Token} key The key the mocks are waiting for
+   * @param {Array<Provider & {mock: *}>} mocks The deferred mocks
+   * @returns {string}
+   * @private
+   */
+  #describeDeferred(key, mocks) {
+    const name = tokenName(key)
+    const prefix = `Mock ${mocks.map(describeMock).join(', ')} of "${name}" was never applied`
+    if (this.#findMulti(key).length > 0) {
+      return `${prefix}: "${name}" has multiple providers, which cannot be mocked`
+    }
+    return [`${prefix}: "${name}" is not registered.`, ...this.#suggest(key)].join(' ')
+  }
+
+  /**
+   * Check that an injected field can be resolved.
+   * @param {import('./graph.js').GraphEdge} edge The injected field
+   * @returns {string|undefined} The problem, if any
+   * @private
+   */
+  #checkEdge(edge) {
+    if (edge.multi || this.#lookup(edge.to)) {
+      return undefined
+    }
+    const field = `${edge.consumer.name}.${String(edge.field)}`
+    if (this.#findMulti(edge.to).length > 0) {
+      return `${field}: "${tokenName(edge.to)}" has multiple providers. Use @InjectAll to inject all of them`
+    }
+    if (edge.optional) {
+      return undefined
+    }
+    const problem = `${field}: "${tokenName(edge.to)}" is not registered`
+    const hints = this.#suggest(edge.to)
+    return hints.length > 0 ? `${problem}. ${hints.join(' ')}` : problem
+  }
+
+  /**
+   * Find the factory and scoped registrations a singleton captures through an injected field.
+   * @param {InstanceContext} singleton The singleton registration
+   * @param {import('./graph.js').GraphEdge} edge The injected field
+   * @returns {Array<string>} The problems, if the captive dependency mode is 'throw'
+   * @private
+   */
+  #findCaptives(singleton, edge) {
+    const injectionPoint = {consumer: edge.consumer.name, field: edge.field}
+    return this.#eagerDependencies(edge)
+      .filter(dependency => dependency.type !== 'singleton')
+      .map(dependency => this.#reportCaptive(singleton, dependency, injectionPoint))
+      .filter(Boolean)
+  }
+
+  /**
+   * Get the registrations an injected field creates while its consumer is being constructed.
+   * Lazy fields and static fields are not created during construction.
+   * @param {import('./graph.js').GraphEdge} edge The injected field
+   * @returns {Array<InstanceContext>}
+   * @private
+   */
+  #eagerDependencies(edge) {
+    if (edge.lazy || edge.static) {
+      return []
+    }
+    if (edge.multi) {
+      return this.#findMulti(edge.to)
+    }
+    const instanceContext = this.#lookup(edge.to)
+    return instanceContext ? [instanceContext] : []
+  }
+
+  /**
+   * Find the cycles formed by the eager injected fields of the registrations, with a depth-first search.
+   * @param {Array<InstanceContext>} contexts The registrations to start from
+   * @returns {Array<string>} A description of each cycle found
+   * @private
+   */
+  #findCycles(contexts) {
+    const cycles = []
+    const visited = new Set()
+    /** @type {Array<ResolutionFrame>} */
+    const frames = []
+    const visit = (instanceContext, injectionPoint) => {
+      const index = frames.findIndex(frame => frame.instanceContext === instanceContext)
+      if (index !== -1) {
+        cycles.push(this.#describeCycle(frames.slice(index), injectionPoint))
+        return
+      }
+      if (visited.has(instanceContext)) {
+        return
+      }
+      frames.push({instanceContext, injectionPoint})
+      for (const edge of edgesOf(instanceContext)) {
+        for (const dependency of this.#eagerDependencies(edge)) {
+          visit(dependency, {consumer: edge.consumer.name, field: edge.field})
+        }
+      }
+      frames.pop()
+      visited.add(instanceContext)
+    }
+    contexts.forEach(instanceContext => visit(instanceContext))
+    return cycles
+  }
+
+  /**
+   * Collect the registrations visible from this container: those of its ancestors, overridden by its own.
+   * @returns {Map<Token, {contexts: Array<InstanceContext>}|{alias: Token, owner: Container}>}
+   * @private
+   */
+  #visibleRegistrations() {
+    const registrations = this.#parent?.#visibleRegistrations() ?? new Map()
+    for (const [key, target] of this.#aliases) {
+      registrations.set(key, {alias: target, owner: this})
+    }
+    for (const [key, instanceContext] of this.#instances) {
+      registrations.set(key, {contexts: [instanceContext]})
+    }
+    for (const [key, providers] of this.#multi) {
+      registrations.set(key, {contexts: providers})
+    }
+    return registrations
+  }
+
+  /**
+   * Run a function inside a new scope. Every scoped registration resolved within the async call tree of the function
+   * shares one instance. The scope is torn down once the function returns, or once the returned promise settles.
+   * @template T
+   * @param {function(): T} fn The function to run
+   * @returns {T} The return value of the function
+   */
+  runInScope(fn) {
+    /** @type {Scope} */
+    const scope = {instances: new Map(), pending: new Map(), closed: false}
+    const close = () => {
+      scope.closed = true
+      const instances = [...scope.instances.values()].reverse()
+      scope.instances.clear()
+      this.#log('debug', {event: 'closeScope'}, 'Closed scope')
+      return instances
+    }
+    this.#log('debug', {event: 'openScope'}, 'Opened scope')
+    let result
+    try {
+      result = this.#scopes.run(scope, fn)
+    } catch (err) {
+      this.#disposeInstances(close())
+      throw err
+    }
+    if (typeof result?.then === 'function') {
+      return Promise.resolve(result).finally(() => this.#disposeInstancesAsync(close()))
+    }
+    this.#disposeInstances(close())
+    return result
+  }
+
+  /**
+   * Get or create an instance based on the context.
+   * @param {InstanceContext} instanceContext The instance context
+   * @param {Array} params Constructor parameters
+   * @param {InjectionPoint} [injectionPoint] The field the instance is injected into, used in error messages
+   * @returns {Object} The instance
+   * @throws {DIError} If a scoped instance is requested outside of a scope
+   * @throws {DIError} If the singleton is still being created by resolveAsync()
+   * @throws {CircularDependencyError} If the instance depends on itself
+   * @throws {DIError} If a singleton captures the instance and the captive dependency mode is 'throw'
+   */
+  getInstance(instanceContext, params, injectionPoint) {
+    this.#checkCaptive(instanceContext, injectionPoint)
+    this.#emit('resolve', {token: instanceContext.token, type: instanceContext.type, params, injectionPoint})
+    this.#profiler?.resolved(instanceContext, nameOf(instanceContext))
+
+    if (instanceContext.type === 'scoped') {
+      return this.#getScopedInstance(instanceContext, params, injectionPoint)
+    }
+
+    if (instanceContext.type === 'singleton' && !instanceContext.original && this.#cachedSingleton(instanceContext)) {
+      return this.#cacheHit(instanceContext, this.#cachedSingleton(instanceContext))
+    }
+
+    if (this.#pendingSingleton(instanceContext)) {
+      throw new DIError(
+        `Singleton "${nameOf(instanceContext)}" is still being initialized asynchronously. ` +
+        `Use resolveAsync() or wait for it to be ready before injecting it.`,
+        {code: 'ERR_DI_PENDING', token: instanceContext.token}
+      )
+    }
+
+    const instance = this.#createInstance(instanceContext, params, injectionPoint)
+    this.#store(instanceContext, instance)
+    return instance
+  }
+
+  /**
+   * Resolve an instance by class or name, waiting for asynchronous initialization.
+   * Classes can provide a static `async create(...params)` method that is used instead of the constructor, and an
+   * `async init()` method that is awaited before the instance is handed out. Async @PostConstruct methods are awaited
+   * as well. Concurrent calls for the same singleton share one in-flight promise.
+   * @template T
+   * @param {Token} clazzOrName The class or name to resolve
+   * @param {...*} params Parameters to pass to create() or the constructor
+   * @returns {Promise<T>} The ready instance
+   * @throws {NotRegisteredError} If the class or name is not registered
+   */
+  async resolveAsync(clazzOrName, ...params) {
+    const instanceContext = this.getContext(clazzOrName)
+    return this.getInstanceAsync(instanceContext, params)
+  }
+
+  /**
+   * Get or create an instance based on the context, waiting for asynchronous initialization.
+   * @param {InstanceContext} instanceContext The instance context
+   * @param {Array} params Parameters to pass to create() or the constructor
+   * @returns {Promise<Object>} The ready instance
+   * @throws {DIError} If a scoped instance is requested outside of a scope
+   */
+  async getInstanceAsync(instanceContext, params) {
+    this.#emit('resolve', {token: instanceContext.token, type: instanceContext.type, params, injectionPoint: undefined})
+    this.#profiler?.resolved(instanceContext, nameOf(instanceContext))
+    if (instanceContext.type === 'scoped') {
+      const scope = this.#getScope(instanceContext)
+      if (scope.instances.has(instanceContext)) {
+        return this.#cacheHit(instanceContext, scope.instances.get(instanceContext))
+      }
+      if (!scope.pending.has(instanceContext)) {
+        const pending = this.#createInstanceAsync(instanceContext, params)
+          .then(instance => {
+            scope.instances.set(instanceContext, instance)
+            return instance
+          })
+          .finally(() => scope.pending.delete(instanceContext))
+        scope.pending.set(instanceContext, pending)
+      }
+      return scope.pending.get(instanceContext)
+    }
+
+    if (instanceContext.type === 'singleton' && !instanceContext.original && this.#cachedSingleton(instanceContext)) {
+      return this.#cacheHit(instanceContext, this.#cachedSingleton(instanceContext))
+    }
+
+    if (this.#pendingSingleton(instanceContext)) {
+      return this.#pendingSingleton(instanceContext)
+    }
+
+    const overlay = this.#activeOverlays()[0]
+    const pending = this.#createInstanceAsync(instanceContext, params)
+      .then(instance => {
+        this.#store(instanceContext, instance, overlay)
+        return instance
+      })
+    if (instanceContext.type !== 'singleton') {
+      return pending
+    }
+    if (overlay && !instanceContext.original) {
+      const shared = pending.finally(() => overlay.pending.delete(instanceContext))
+      overlay.pending.set(instanceContext, shared)
+      return shared
+    }
+    instanceContext.pending = pending.finally(() => delete instanceContext.pending)
+    return instanceContext.pending
+  }
+
+  /**
+   * Remember a newly created singleton or factory instance for caching and disposal.
+   * Singletons created inside withMocks() are cached by its overlay instead, as they may depend on its mocks.
+   * Only instances with @PreDestroy or dispose methods are kept for disposal, so factory instances without any
+   * do not pile up.
+   * @param {InstanceContext} instanceContext The instance context
+   * @param {Object} instance The new instance
+   * @param {MockOverlay} [overlay] The overlay that was active when the creation started
+   * @private
+   */
+  #store(instanceContext, instance, overlay = this.#activeOverlays()[0]) {
+    if (instanceContext.type === 'singleton' && !instanceContext.original && overlay && !overlay.closed) {
+      overlay.instances.set(instanceContext, instance)
+      return
+    }
+    if (needsTeardown(instance)) {
+      instanceContext.owner.#created.add(instance)
+    }
+    if (instanceContext.type === 'singleton') {
+      instanceContext.instance = instance
+    }
+  }
+
+  /**
+   * Get the active scope for a scoped registration.
+   * @param {InstanceContext} instanceContext The instance context
+   * @returns {Scope} The active scope
+   * @throws {DIError} If there is no active scope or it has already been torn down
+   * @private
+   */
+  #getScope(instanceContext) {
+    const scope = this.#scopes.getStore()
+    const name = nameOf(instanceContext)
+    if (!scope) {
+      throw new DIError(`Cannot resolve scoped "${name}" outside of a scope. Wrap the call in runInScope().`, {
+        code: 'ERR_DI_NO_SCOPE',
+        token: instanceContext.token
+      })
+    }
+    if (scope.closed) {
+      throw new DIError(`Cannot resolve scoped "${name}": the scope has already ended`, {
+        code: 'ERR_DI_SCOPE_ENDED',
+        token: instanceContext.token
+      })
+    }
+    return scope
+  }
+
+  /**
+   * Get or create the instance of a scoped registration for the active scope.
+   * @param {InstanceContext} instanceContext The instance context
+   * @param {Array} params Constructor parameters
+   * @param {InjectionPoint} [injectionPoint] The field the instance is injected into
+   * @returns {Object} The instance
+   * @throws {DIError} If there is no active scope or it has already been torn down
+   * @private
+   */
+  #getScopedInstance(instanceContext, params, injectionPoint) {
+    const scope = this.#getScope(instanceContext)
+    if (scope.instances.has(instanceContext)) {
+      return this.#cacheHit(instanceContext, scope.instances.get(instanceContext))
+    }
+    const instance = this.#createInstance(instanceContext, params, injectionPoint)
+    scope.instances.set(instanceContext, instance)
+    return instance
+  }
+
+  /**
+   * Get the providers to build for a context: its own provider, plus the layers below for proxy mocks.
+   * @param {InstanceContext} instanceContext The instance context
+   * @returns {Array<Provider>} The providers to build
+   * @private
+   */
+  #providersFor(instanceContext) {
+    return instanceContext.original ? proxyChain(instanceContext) : [providerOf(instanceContext)]
+  }
+
+  /**
+   * Build the object for a single provider.
+   * @param {Provider} provider The provider
+   * @param {InstanceContext} instanceContext The instance context
+   * @param {Array} params Constructor or factory parameters
+   * @returns {*} The built object
+   * @private
+   */
+  #build(provider, instanceContext, params) {
+    if ('value' in provider) {
+      return provider.value
+    }
+    const container = this.#injectorOf(instanceContext)
+    if (provider.factory) {
+      return provider.factory(container, ...params)
+    }
+    const instance = new provider.clazz(...params)
+    injectors.set(instance, container)
+    return instance
+  }
+
+  /**
+   * Get the container the injected fields and the factory function of a registration resolve from: the container
+   * that resolves it, so that the overrides of a child container reach its dependencies. Singletons resolve from the
+   * container they are registered in instead, as their instance is shared with every container below it.
+   * @param {InstanceContext} instanceContext The instance context
+   * @returns {Container}
+   * @private
+   */
+  #injectorOf(instanceContext) {
+    return instanceContext.type === 'singleton' ? instanceContext.owner : this
+  }
+
+  /**
+   * Get the container that the fields injected into an object resolve from: the container that is constructing it,
+   * or the one that constructed it for lazily injected fields. Falls back to this container for objects that were not
+   * created by a container in the same hierarchy.
+   * @param {Object} target The object with the injected field
+   * @returns {Container}
+   */
+  getInjector(target) {
+    const container = injectors.get(target) ?? this.#resolving.at(-1)?.container
+    return container?.#resolving === this.#resolving ? container : this
+  }
+
+  /**
+   * Run a function that constructs an instance for the context, keeping track of the registrations being constructed
+   * so that a dependency cycle is detected as soon as a registration is requested again while it is being constructed.
+   * Errors thrown by the function are wrapped in a ResolutionError that lists the registrations being constructed,
+   * unless they are already errors of the container.
+   * @template T
+   * @param {InstanceContext} instanceContext The instance context
+   * @param {InjectionPoint|undefined} injectionPoint The field the instance is injected into
+   * @param {Array} params The parameters the instance is created with
+   * @param {function(): T} construct The function that constructs the instance
+   * @returns {T} The return value of the function
+   * @throws {CircularDependencyError} If the context is already being constructed
+   * @throws {ResolutionError} If the function throws
+   * @private
+   */
+  #construct(instanceContext, injectionPoint, params, construct) {
+    const index = this.#resolving.findIndex(frame => frame.instanceContext === instanceContext)
+    if (index !== -1) {
+      throw new CircularDependencyError(this.#describeCycle(this.#resolving.slice(index), injectionPoint), {
+        token: instanceContext.token
+      })
+    }
+    this.#resolving.push({instanceContext, injectionPoint, params, container: this.#injectorOf(instanceContext)})
+    try {
+      return construct()
+    } catch (error) {
+      throw error instanceof DIError ? error : this.#describeFailure(error)
+    } finally {
+      this.#resolving.pop()
+    }
+  }
+
+  /**
+   * Run and await a step of an asynchronous creation, wrapping a rejection in a ResolutionError like #construct()
+   * wraps synchronous errors. The resolution stack is gone once the step is awaited, so the error only names the
+   * registration being created.
+   * @template T
+   * @param {InstanceContext} instanceContext The instance context
+   * @param {Array} params The parameters the instance is created with
+   * @param {function(): (T|Promise<T>)} step The step, e.g. awaiting create(), init() or the @PostConstruct methods
+   * @returns {Promise<T>} The result of the step
+   * @throws {ResolutionError} If the step throws or rejects
+   * @private
+   */
+  async #settle(instanceContext, params, step) {
+    try {
+      return await step()
+    } catch (error) {
+      throw error instanceof DIError
+        ? error
+        : this.#describeFailure(error, [{instanceContext, injectionPoint: undefined, params, container: this}])
+    }
+  }
+
+  /**
+   * Wrap an error thrown while constructing the registration on top of the resolution stack.
+   * @param {*} cause The error that was thrown
+   * @param {Array<ResolutionFrame>} [frames] The registrations being constructed, the failed one last
+   * @returns {ResolutionError}
+   * @private
+   */
+  #describeFailure(cause, frames = this.#resolving) {
+    const {instanceContext, params} = frames.at(-1)
+    const fields = frames
+      .map(frame => frame.injectionPoint)
+      .filter(Boolean)
+      .map(({consumer, field}) => `${consumer}.${String(field)}`)
+    const message = `Failed to create "${nameOf(instanceContext)}"` +
+      (frames.length > 1 ? ` while resolving ${frames.map(frame => nameOf(frame.instanceContext)).join(' -> ')}` : '') +
+      (fields.length > 0 ? ` (fields: ${fields.join(' -> ')})` : '') +
+      `: ${cause instanceof Error ? cause.message : String(cause)}`
+    return new ResolutionError(message, {
+      token: instanceContext.token,
+      cause,
+      params,
+      chain: frames.map(frame => ({
+        token: frame.instanceContext.token,
+        name: nameOf(frame.instanceContext),
+        injectionPoint: frame.injectionPoint
+      }))
+    })
+  }
+
+  /**
+   * Build the error message for a dependency cycle, listing the registrations and the fields that form it.
+   * @param {Array<ResolutionFrame>} frames The frames from the first request of the registration to the last
+   * @param {InjectionPoint|undefined} injectionPoint The field that requested the registration again
+   * @returns {string} The error message
+   * @private
+   */
+  #describeCycle(frames, injectionPoint) {
+    const path = [...frames, frames[0]].map(frame => nameOf(frame.instanceContext))
+    const fields = [...frames.slice(1).map(frame => frame.injectionPoint), injectionPoint]
+      .filter(Boolean)
+      .map(({consumer, field}) => `${consumer}.${String(field)}`)
+    return `Circular dependency detected: ${path.join(' -> ')}` +
+      (fields.length > 0 ? ` (fields: ${fields.join(' -> ')})` : '') +
+      '. Use @InjectLazy to break the cycle.'
+  }
+
+  /**
+   * Construct a new instance for the context, applying proxy mocks if configured.
+   * Runs the @PostConstruct methods of every constructed object once its injected fields are ready. Async
+   * @PostConstruct methods are not awaited, their rejections are logged as 'postConstructError' events.
+   * @param {InstanceContext} instanceContext The instance context
+   * @param {Array} params Constructor parameters
+   * @param {InjectionPoint} [injectionPoint] The field the instance is injected into
+   * @returns {Object} The new instance
+   * @throws {CircularDependencyError} If the context is already being constructed
+   * @private
+   */
+  #createInstance(instanceContext, params, injectionPoint) {
+    const start = performance.now()
+    const profiler = this.#profiler
+    const frame = profiler?.enter(instanceContext, nameOf(instanceContext))
+    let instance
+    try {
+      instance = this.#construct(instanceContext, injectionPoint, params, () => {
+        const constructed = this.#providersFor(instanceContext)
+          .map(provider => ({target: this.#build(provider, instanceContext, params), ...provider}))
+
+        for (const {target, clazz} of constructed) {
+          this.#logRejections(target, runLifecycleHooks(target, clazz, POST_CONSTRUCT))
+        }
+        return this.#assemble(instanceContext, constructed)
+      })
+    } finally {
+      profiler?.exit(frame)
+    }
+    return this.#instanceCreated(instanceContext, instance, start, false)
+  }
+
+  /**
+   * Log the rejections of the async @PostConstruct methods that the synchronous path does not await.
+   * @param {Object} target The object the methods ran on
+   * @param {Array} results The return values of the methods
+   * @private
+   */
+  #logRejections(target, results) {
+    results
+      .filter(result => typeof result?.then === 'function')
+      .forEach(promise => Promise.resolve(promise).catch(error => {
+        this.#log('error', {event: 'postConstructError', instance: target, error},
+          `Asynchronous @PostConstruct of ${target.constructor?.name ?? 'instance'} failed: ${error?.message ?? error}. ` +
+          'Use resolveAsync() to await it.')
+      }))
+  }
+
+  /**
+   * Asynchronously create a new instance for the context, applying proxy mocks if configured.
+   * Uses a static create() method instead of the constructor if the class has one, then awaits init() and the
+   * @PostConstruct methods of every constructed object.
+   * @param {InstanceContext} instanceContext The instance context
+   * @param {Array} params Parameters to pass to create() or the constructor
+   * @returns {Promise<Object>} The ready instance
+   * @private
+   */
+  async #createInstanceAsync(instanceContext, params) {
+    const start = performance.now()
+    const constructed = []
+    for (const provider of this.#providersFor(instanceContext)) {
+      const {clazz} = provider
+      if (!clazz) {
+        const built = await this.#settle(instanceContext, params, () => {
+          return this.#construct(instanceContext, undefined, params, () => this.#build(provider, instanceContext, params))
+        })
+        constructed.push({target: built, ...provider})
+        continue
+      }
+      // Only the synchronous part of construction is tracked, so concurrent resolutions cannot see each other
+      const target = await this.#settle(instanceContext, params, () => {
+        return this.#construct(instanceContext, undefined, params, () => {
+          return typeof clazz.create === 'function' ? clazz.create(...params) : new clazz(...params)
+        })
+      })
+      if (Object(target) === target) {
+        injectors.set(target, this.#injectorOf(instanceContext))
+      }
+      if (typeof target?.init === 'function') {
+        await this.#settle(instanceContext, params, () => target.init())
+      }
+      constructed.push({target, clazz})
+    }
+
+    for (const {target, clazz} of constructed) {
+      await this.#settle(instanceContext, params, () => Promise.all(runLifecycleHooks(target, clazz, POST_CONSTRUCT)))
+    }
+    this.#profiler?.record(instanceContext, nameOf(instanceContext), performance.now() - start)
+    return this.#instanceCreated(instanceContext, this.#assemble(instanceContext, constructed), start, true)
+  }
+
+  /**
+   * Combine the built objects into the instance handed out by the container.
+   * Registered values are not tracked, as the container does not own them.
+   * @param {InstanceContext} instanceContext The context the instance is built for
+   * @param {Array<{target: *, clazz?: Function, value?: *}>} constructed The mock (or real) object, plus the
+   *        layers it proxies to for proxy mocks
+   * @returns {*} The instance, wrapped in a spy if the active mock records its calls
+   * @private
+   */
+  #assemble(instanceContext, constructed) {
+    const assembled = constructed
+      .map(part => part.target)
+      .reduceRight((fallback, target) => createProxy(target, fallback))
+    const instance = instanceContext.spy ? createSpyProxy(assembled, instanceContext.calls) : assembled
+    const owned = constructed.filter(part => !('value' in part))
+    if (owned.length > 0) {
+      trackConstructed(instance, owned)
+    }
+    return instance
+  }
+
+  /**
+   * Run the @PreDestroy methods of instances evicted from the container.
+   * All instances are processed even if some hooks throw, the errors are reported together afterwards.
+   * @param {Array<Object>} instances The evicted instances, in the order they should be destroyed
+   * @throws {AggregateError} If any @PreDestroy method throws
+   * @private
+   */
+  #destroyInstances(instances) {
+    this.#teardown(instances, destroyInstance)
+  }
+
+  /**
+   * Run the @PreDestroy methods and dispose methods of instances.
+   * @param {Array<Object>} instances The instances, in the order they should be disposed
+   * @throws {AggregateError} If any @PreDestroy or dispose method throws
+   * @private
+   */
+  #disposeInstances(instances) {
+    this.#teardown(instances, disposeInstance)
+  }
+
+  /**
+   * Tear down instances one by one, collecting errors instead of stopping at the first one.
+   * Async hooks and dispose methods are not awaited, their rejections are logged as 'teardownError' events.
+   * @param {Array<Object>} instances The instances, in teardown order
+   * @param {function(Object): Array<Promise>} teardown The teardown function for a single instance, returning the
+   *        promises it did not await
+   * @throws {AggregateError} If tearing down any instance throws
+   * @private
+   */
+  #teardown(instances, teardown) {
+    const errors = []
+    for (const instance of instances) {
+      this.#created.delete(instance)
+      try {
+        teardown(instance).forEach(promise => Promise.resolve(promise).catch(error => {
+          this.#log('error', {event: 'teardownError', instance, error},
+            `Asynchronous teardown of ${instance.constructor?.name ?? 'instance'} failed: ${error?.message ?? error}`)
+        }))
+      } catch (err) {
+        errors.push(err)
+      }
+    }
+    if (errors.length > 0) {
+      throw new AggregateError(errors, 'Errors were thrown while destroying instances')
+    }
+  }
+
+  /**
+   * Asynchronous version of #disposeInstances() that awaits every instance before disposing the next one.
+   * @param {Array<Object>} instances The instances, in the order they should be disposed
+   * @returns {Promise<void>}
+   * @throws {AggregateError} If any @PreDestroy or dispose method throws or rejects
+   * @private
+   */
+  async #disposeInstancesAsync(instances) {
+    const errors = []
+    for (const instance of instances) {
+      this.#created.delete(instance)
+      try {
+        await disposeInstanceAsync(instance)
+      } catch (err) {
+        errors.push(err)
+      }
+    }
+    if (errors.length > 0) {
+      throw new AggregateError(errors, 'Errors were thrown while destroying instances')
+    }
+  }
+
+  /**
+   * Remove all created singletons and tracked factory instances and return them in reverse creation order.
+   * Registrations and mocks are kept, so the container can be used again afterwards.
+   * @returns {Array<Object>} The evicted instances
+   * @private
+   */
+  #evictAll() {
+    const instances = [...this.#created].reverse()
+    this.#created.clear()
+    for (const instanceContext of this.#instances.values()) {
+      delete instanceContext.instance
+      delete instanceContext.originalInstance
+    }
+    for (const providers of this.#multi.values()) {
+      providers.forEach(instanceContext => delete instanceContext.instance)
+    }
+    return instances
+  }
+
+  /**
+   * Dispose all created singletons and tracked factory instances in reverse creation order.
+   * Runs their @PreDestroy methods and then their [Symbol.dispose](), close() or destroy() method.
+   * Registrations are kept, resolving again afterwards creates new instances.
+   * @throws {AggregateError} If disposing any instance throws. All instances are disposed regardless.
+   */
+  dispose() {
+    const instances = this.#evictAll()
+    this.#log('info', {event: 'dispose'}, 'Disposing container')
+    this.#emit('dispose', {instances})
+    this.#disposeInstances(instances)
+  }
+
+  /**
+   * Dispose all created singletons and tracked factory instances in reverse creation order, awaiting each one.
+   * Runs their @PreDestroy methods and then their [Symbol.asyncDispose](), [Symbol.dispose](), close() or destroy()
+   * method. Registrations are kept, resolving again afterwards creates new instances.
+   * @returns {Promise<void>}
+   * @throws {AggregateError} If disposing any instance throws or rejects. All instances are disposed regardless.
+   */
+  async disposeAsync() {
+    const instances = this.#evictAll()
+    this.#log('info', {event: 'dispose'}, 'Disposing container')
+    this.#emit('dispose', {instances})
+    await this.#disposeInstancesAsync(instances)
+  }
+
+  /**
+   * Support for `using container = new Container()`.
+   */
+  [DISPOSE]() {
+    this.dispose()
+  }
+
+  /**
+   * Support for `await using container = new Container()`.
+   * @returns {Promise<void>}
+   */
+  [ASYNC_DISPOSE]() {
+    return this.disposeAsync()
+  }
+
+  /**
+   * Register a mock for a class or name.
+   * Mocks stack: mocking an already mocked registration hides the existing mock until resetMock() removes the new one.
+   * A mock for a key that is not registered yet is deferred, and applied as soon as this container registers the key.
+   * validate() reports deferred mocks that were never applied.
+   * @param {Token} targetClazzOrName The class or name to mock
+   * @param {Function} mockClazz The mock class
+   * @param {boolean|MockOptions} [options=false] Whether to proxy unmocked methods to the mock below, or to the
+   *        original if there is none, or the mock options
+   * @throws {DIError} If the key only has multi providers
+   */
+  registerMock(targetClazzOrName, mockClazz, options = false) {
+    this.#mock(targetClazzOrName, {clazz: mockClazz}, mockClazz, mockOptionsOf(options))
+  }
+
+  /**
+   * Mock a class or name with an object instead of a mock class. The object is handed out as is, or, with
+   * `proxy: true`, wrapped in a proxy that falls back to the mock below or the original instance for anything the
+   * object does not define. Stacks and defers like registerMock().
+   * @param {Token} targetClazzOrName The class or name to mock
+   * @param {Object} value The mock object, e.g. a partial object with the methods a test needs
+   * @param {MockOptions} [options] Whether to proxy everything the object does not define to the layer below, and
+   *        whether to record the method calls
+   * @throws {DIError} If the key only has multi providers
+   * @example
+   * container.mockValue(Mailer, {send: jest.fn()}, {proxy: true})
+   */
+  mockValue(targetClazzOrName, value, options) {
+    this.#mock(targetClazzOrName, {value}, value, mockOptionsOf(options))
+  }
+
+  /**
+   * Mock a class or name with a function that builds the instance. It is called with the parameters of each
+   * resolution, and its result is used like an instance of a mock class. Stacks and defers like registerMock().
+   * @param {Token} targetClazzOrName The class or name to mock
+   * @param {function(...*): *} factory The function that builds the mock instance
+   * @param {MockOptions} [options] Whether to proxy everything the result does not define to the layer below, and
+   *        whether to record the method calls
+   * @throws {DIError} If the factory is not a function
+   * @throws {DIError} If the key only has multi providers
+   * @example
+   * container.mockFactory(Connection, url => new FakeConnection(url))
+   */
+  mockFactory(targetClazzOrName, factory, options) {
+    if (typeof factory !== 'function') {
+      throw new DIError('Factory must be a function', {code: 'ERR_DI_INVALID_ARGUMENT', token: targetClazzOrName})
+    }
+    this.#mock(targetClazzOrName, {factory: (_, ...params) => factory(...params)}, factory, mockOptionsOf(options))
+  }
+
+  /**
+   * Mock a key with a provider, or defer the mock until the key is registered.
+   * @param {Token} targetClazzOrName The class or name to mock
+   * @param {Provider} provider The mock provider
+   * @param {*} mock The mock class, value or factory function the provider was created from
+   * @param {{proxy: boolean, spy: boolean}} options Whether to proxy to the layer below and to record the calls
+   * @throws {DIError} If the key only has multi providers
+   * @private
+   */
+  #mock(targetClazzOrName, provider, mock, options) {
+    if (!this.has(targetClazzOrName)) {
+      const deferred = this.#deferredMocks.get(targetClazzOrName) ?? []
+      this.#deferredMocks.set(targetClazzOrName, [...deferred, {...provider, mock, options}])
+      const description = describeMock({...provider, mock})
+      this.#log('info', {event: 'deferMock', token: targetClazzOrName, mock},
+        `Deferred mock of ${tokenName(targetClazzOrName)} with ${description} until it is registered`)
+      return
+    }
+    let instanceContext = this.getContext(targetClazzOrName)
+    if (instanceContext.owner !== this) {
+      // Shadow the parent registration so the mock stays local to this container
+      instanceContext = this.#shadow(instanceContext)
+      this.#instances.set(instanceContext.token, instanceContext)
+    }
+    this.#applyMock(instanceContext, targetClazzOrName, provider, mock, options)
+  }
+
+  /**
+   * Run a function with temporary mocks. The mocks are only visible to the async call tree of the function, so
+   * concurrent calls do not see each other's mocks, and they are removed once the function returns or throws, or once
+   * the returned promise settles. Singletons created inside the function are cached for the function only and
+   * destroyed afterwards, as they may hold on to the mocks.
+   * @template T
+   * @param {Array<[Token, Function, MockOptions?]>} mocks The keys to mock, each with its mock class and whether to
+   *        proxy unmocked methods to the layer below and to record the calls
+   * @param {function(): T} fn The function to run
+   * @returns {T} The return value of the function
+   * @throws {NotRegisteredError} If a key is not registered
+   * @throws {MockError} If a key is listed twice
+   * @example
+   * await container.withMocks([[Database, InMemoryDatabase], [Mailer, MailerSpy, {proxy: true}]], async () => {
+   *   await container.resolve(SignupService).signup('ada@example.com')
+   * })
+   */
+  withMocks(mocks, fn) {
+    /** @type {MockOverlay} */
+    const overlay = {
+      owner: this,
+      mocks: new Map(),
+      instances: new Map(),
+      pending: new Map(),
+      parent: this.#overlays.getStore(),
+      closed: false
+    }
+    for (const [token, mockClazz, options] of mocks) {
+      const instanceContext = this.getContext(token)
+      if (overlay.mocks.has(instanceContext.token)) {
+        throw new MockError(`"${tokenName(token)}" is mocked twice`, {token})
+      }
+      const mocked = this.#layerOver(instanceContext)
+      this.#applyMock(mocked, token, {clazz: mockClazz}, mockClazz, mockOptionsOf(options))
+      overlay.mocks.set(instanceContext.token, mocked)
+    }
+    const restore = () => {
+      overlay.closed = true
+      const instances = [...overlay.instances.values()].reverse()
+      overlay.instances.clear()
+      for (const [key, instanceContext] of overlay.mocks) {
+        if (instanceContext.instance !== undefined) {
+          instances.push(instanceContext.instance)
+        }
+        this.#notify('info', 'resetMock', {token: key, mock: instanceContext.mock}, `Reset mock of ${tokenName(key)}`)
+      }
+      return instances
+    }
+    let result
+    try {
+      result = this.#overlays.run(overlay, fn)
+    } catch (err) {
+      this.#destroyInstances(restore())
+      throw err
+    }
+    if (typeof result?.then === 'function') {
+      return Promise.resolve(result).finally(() => this.#destroyInstances(restore()))
+    }
+    this.#destroyInstances(restore())
+    return result
+  }
+
+  /**
+   * Create a context owned by this container that shadows a registration, using its original provider.
+   * @param {InstanceContext} instanceContext The registration to shadow
+   * @returns {InstanceContext}
+   * @private
+   */
+  #shadow(instanceContext) {
+    return {
+      ...providerOf(instanceContext.original ?? instanceContext),
+      type: instanceContext.type,
+      token: instanceContext.token,
+      owner: this,
+      inherited: instanceContext
+    }
+  }
+
+  /**
+   * Create a context owned by this container with the same provider and mocks as a registration, for withMocks() to
+   * add a mock on top of.
+   * @param {InstanceContext} instanceContext The registration to copy
+   * @returns {InstanceContext}
+   * @private
+   */
+  #layerOver(instanceContext) {
+    const layered = {...instanceContext, owner: this, inherited: instanceContext}
+    layered.layers = [...(instanceContext.layers ?? [])]
+    delete layered.instance
+    delete layered.originalInstance
+    delete layered.pending
+    return layered
+  }
+
+  /**
+   * Put a mock on top of a context. The original provider is kept for resetting, and a singleton instance created
+   * before the mock is kept until the reset evicts it. An existing mock is kept as a layer that the new mock hides and
+   * can proxy to.
+   * @param {InstanceContext} instanceContext The context to mock
+   * @param {Token} token The key the mock was requested for
+   * @param {Provider} provider The mock provider
+   * @param {*} mock The mock class, value or factory function the provider was created from
+   * @param {{proxy: boolean, spy: boolean}} options Whether to proxy unmocked methods to the layer below and to
+   *        record the method calls
+   * @private
+   */
+  #applyMock(instanceContext, token, provider, mock, {proxy, spy}) {
+    if (instanceContext.original) {
+      const {instance, calls} = instanceContext
+      const layer = {...providerOf(instanceContext), mock: instanceContext.mock, proxy: instanceContext.proxy, instance}
+      if (instanceContext.spy) {
+        Object.assign(layer, {spy: true, calls})
+      }
+      instanceContext.layers = [...(instanceContext.layers ?? []), layer]
+      delete instanceContext.instance
+    } else {
+      instanceContext.original = providerOf(instanceContext)
+      instanceContext.originalClazz = instanceContext.original.clazz
+      if (instanceContext.instance !== undefined) {
+        instanceContext.originalInstance = instanceContext.instance
+        delete instanceContext.instance
+      }
+    }
+    replaceProvider(instanceContext, provider)
+    setMock(instanceContext, {mock, proxy, spy, calls: spy ? [] : undefined})
+    const flags = [proxy && 'proxy', spy && 'spy'].filter(Boolean)
+    this.#notify('info', 'mock', {token, mock, proxy},
+      `Mocked ${tokenName(token)} with ${describeMock(instanceContext)}${flags.length ? ` (${flags.join(', ')})` : ''}`)
+  }
+
+  /**
+   * Remove the most recent mock of a class, restoring the mock below it or, if there is none, the original class.
+   * For a key that is not registered yet, the most recent deferred mock is dropped instead. Aliases reset the mock of
+   * the registration they point to, like registerMock() mocks it.
+   * @param {Token} clazzOrName The class or name to reset
+   * @throws {NotRegisteredError} If the class or name is not registered
+   */
+  resetMock(clazzOrName) {
+    const deferred = this.#deferredMocks.get(clazzOrName)
+    if (deferred) {
+      deferred.pop()
+      if (deferred.length === 0) {
+        this.#deferredMocks.delete(clazzOrName)
+      }
+      return
+    }
+    const key = this.#resolveAlias(clazzOrName)
+    if (!this.#instances.has(key) && this.#parent?.has(key)) {
+      // Inherited and not mocked locally, nothing to reset in this container
+      return
+    }
+    const instanceContext = this.#instances.get(key)
+    if (instanceContext?.layers?.length > 0) {
+      this.#destroyInstances(this.#popMock(instanceContext, key))
+      return
+    }
+    this.#destroyInstances(this.#restoreOriginal(instanceContext, key))
+  }
+
+  /**
+   * Remove the active mock of a context and make the mock below it active again.
+   * @param {InstanceContext} instanceContext The context with more than one mock
+   * @param {Token} clazzOrName The key the reset was requested for
+   * @returns {Array<Object>} The instances evicted by the reset
+   * @private
+   */
+  #popMock(instanceContext, clazzOrName) {
+    const evicted = instanceContext.instance === undefined ? [] : [instanceContext.instance]
+    this.#notify('info', 'resetMock', {token: clazzOrName, mock: instanceContext.mock},
+      `Reset mock of ${tokenName(clazzOrName)}`)
+    const {mock, proxy, spy, calls, instance, ...provider} = instanceContext.layers.pop()
+    replaceProvider(instanceContext, provider)
+    setMock(instanceContext, {mock, proxy, spy, calls})
+    delete instanceContext.instance
+    if (instance !== undefined) {
+      instanceContext.instance = instance
+    }
+    return evicted
+  }
+
+  /**
+   * Reset all mocks to their original classes, however many are stacked, and drop the deferred mocks.
+   * Only mocks registered on this container are reset, parent containers are left untouched.
+   */
+  resetAllMocks() {
+    this.#deferredMocks.clear()
+    const evicted = []
+    for (const [key, instanceContext] of this.#instances) {
+      evicted.push(...this.#restoreOriginal(instanceContext, key))
+    }
+    this.#destroyInstances(evicted)
+  }
+
+  /**
+   * Get the method calls recorded by the active spy mock of a class or name.
+   * The calls of all instances created from the mock are recorded in one list, in the order they were made.
+   * Inside withMocks(), the calls of the temporary mock are returned.
+   * @param {Token} clazzOrName The mocked class or name
+   * @returns {Array<import('./proxy.js').SpyCall>} A copy of the recorded calls
+   * @throws {NotRegisteredError} If the class or name is not registered
+   * @throws {DIError} If the active mock does not record its calls
+   * @example
+   * container.registerMock(Mailer, MailerMock, {spy: true})
+   * container.resolve(SignupService).register('ada@example.com')
+   * container.getCalls(Mailer) // [{method: 'send', args: ['ada@example.com'], ...}]
+   */
+  getCalls(clazzOrName) {
+    const instanceContext = this.getContext(clazzOrName)
+    if (!instanceContext.spy) {
+      throw new DIError(
+        `${tokenName(clazzOrName)} is not spied on. Mock it with {spy: true} to record its calls`,
+        {code: 'ERR_DI_NOT_SPIED', token: clazzOrName}
+      )
+    }
+    return [...instanceContext.calls]
+  }
+
+  /**
+   * Clear all registered instances and mocks.
+   * Only this container is cleared, parent containers keep their registrations.
+   * The @PreDestroy methods of all created singletons and tracked factory instances are run.
+   * Useful for test isolation.
+   */
+  clear() {
+    const instances = this.#evictAll()
+    this.#instances.clear()
+    this.#multi.clear()
+    this.#aliases.clear()
+    this.#deferredMocks.clear()
+    this.#log('info', {event: 'clear'}, 'Cleared container')
+    this.#emit('clear', {instances})
+    this.#destroyInstances(instances)
+  }
+
+  /**
+   * Internal function to restore an instance context to its original.
+   * @param {InstanceContext} instanceContext The instance context to reset
+   * @param {Token} [clazzOrName] Optional identifier for error messages
+   * @returns {Array<Object>} The instances evicted by the reset
+   * @throws {NotRegisteredError} If instanceContext is null or undefined
+   * @private
+   */
+  #restoreOriginal(instanceContext, clazzOrName) {
+    if (!instanceContext) {
+      throw new NotRegisteredError(`Cannot reset mock for "${tokenName(clazzOrName ?? 'unknown')}": not registered`, {
+        token: clazzOrName
+      })
+    }
+    const evicted = [...(instanceContext.layers ?? []), instanceContext]
+      .map(layer => layer.instance)
+      .concat(instanceContext.originalInstance)
+      .filter(instance => instance !== undefined)
+    if (!instanceContext.inherited && !instanceContext.original) {
+      return []
+    }
+    this.#notify('info', 'resetMock', {token: clazzOrName, mock: instanceContext.mock},
+      `Reset mock of ${tokenName(clazzOrName)}`)
+    if (instanceContext.inherited) {
+      this.#instances.delete(clazzOrName)
+      return evicted
     }
+    replaceProvider(instanceContext, instanceContext.original)
+    delete instanceContext.instance
+    delete instanceContext.mock
+    delete instanceContext.original
+    delete instanceContext.originalClazz
+    delete instanceContext.originalInstance
+    delete instanceContext.proxy
+    delete instanceContext.spy
+    delete instanceContext.calls
+    delete instanceContext.layers
+    return evicted
   }
 }
@@ -0,0 +1,146 @@
+/**
+ * @typedef {Object} DIErrorOptions
+ * @property {string} [code] - Overrides the default code of the error class.
+ * @property {import('./Container.js').Token} [token] - The registration key the error is about.
+ * @property {*} [cause] - The error that caused this one, e.g. one thrown by a constructor.
+ */
+
+/**
+ * The base class of every error thrown by the container and the decorators.
+ * Branch on `code` rather than on the message, which may change between versions.
+ * @example
+ * try {
+ *   resolve(Database)
+ * } catch (error) {
+ *   if (error instanceof DIError && error.code === 'ERR_DI_NOT_REGISTERED') {
+ *     registerValue(Database, new InMemoryDatabase())
+ *   }
+ * }
+ */
+export class DIError extends Error {
+  /**
+   * @param {string} message The error message
+   * @param {DIErrorOptions} [options]
+   */
+  constructor(message, {code = 'ERR_DI', token, cause} = {}) {
+    super(message, cause === undefined ? undefined : {cause})
+    this.name = this.constructor.name
+    /** @type {string} A stable identifier for the kind of failure */
+    this.code = code
+    /** @type {import('./Container.js').Token|undefined} The registration key the error is about */
+    this.token = token
+  }
+}
+
+/**
+ * Thrown when nothing is registered under a key that is injected, resolved, validated or reset.
+ */
+export class NotRegisteredError extends DIError {
+  /**
+   * @param {string} message The error message
+   * @param {DIErrorOptions & {tokens?: Array<import('./Container.js').Token>}} [options] `tokens` lists every missing
+   *        key if there is more than one
+   */
+  constructor(message, {tokens, ...options} = {}) {
+    super(message, {code: 'ERR_DI_NOT_REGISTERED', ...options})
+    /** @type {Array<import('./Container.js').Token>} Every missing key */
+    this.tokens = tokens ?? [options.token]
+  }
+}
+
+/**
+ * Thrown when a key is registered twice, or used for both regular and multi registrations.
+ */
+export class DuplicateRegistrationError extends DIError {
+  /**
+   * @param {string} message The error message
+   * @param {DIErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, {code: 'ERR_DI_DUPLICATE_REGISTRATION', ...options})
+  }
+}
+
+/**
+ * Thrown when a registration depends on itself through eagerly injected fields, or an alias points to itself.
+ */
+export class CircularDependencyError extends DIError {
+  /**
+   * @param {string} message The error message
+   * @param {DIErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, {code: 'ERR_DI_CIRCULAR_DEPENDENCY', ...options})
+  }
+}
+
+/**
+ * Thrown when a mock cannot be registered.
+ */
+export class MockError extends DIError {
+  /**
+   * @param {string} message The error message
+   * @param {DIErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, {code: 'ERR_DI_MOCK', ...options})
+  }
+}
+
+/**
+ * Thrown when a decorator is applied to something it does not support, e.g. @Inject on a method.
+ */
+export class InvalidDecoratorTargetError extends DIError {
+  /**
+   * @param {string} message The error message
+   * @param {DIErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, {code: 'ERR_DI_INVALID_TARGET', ...options})
+  }
+}
+
+/**
+ * Thrown by validateContainer() when the wiring of the container has problems.
+ */
+export class ValidationError extends DIError {
+  /**
+   * @param {string} message The error message
+   * @param {DIErrorOptions & {problems?: Array<string>}} [options] `problems` lists each problem that was found
+   */
+  constructor(message, {problems = [], ...options} = {}) {
+    super(message, {code: 'ERR_DI_VALIDATION', ...options})
+    /** @type {Array<string>} Each problem that was found */
+    this.problems = problems
+  }
+}
+
+/**
+ * @typedef {Object} ResolutionStep
+ * @property {import('./Container.js').Token} token - The key of the registration that was being created.
+ * @property {string} name - The readable name of the registration.
+ * @property {import('./Container.js').InjectionPoint} [injectionPoint] - The field that requested it, if it was injected.
+ */
+
+/**
+ * Thrown when a constructor, factory function, field initializer or @PostConstruct method fails while the container
+ * creates an instance. The original error is kept as `cause`, and its stack is appended to the stack of this error.
+ */
+export class ResolutionError extends DIError {
+  /**
+   * @param {string} message The error message
+   * @param {DIErrorOptions & {chain?: Array<ResolutionStep>, params?: Array}} [options] `chain` lists the
+   *        registrations being created, from the first one requested to the one that failed, and `params` the
+   *        parameters passed to the one that failed
+   */
+  constructor(message, {chain = [], params = [], ...options} = {}) {
+    super(message, {code: 'ERR_DI_RESOLUTION', ...options})
+    /** @type {Array<ResolutionStep>} The registrations being created, the failed one last */
+    this.chain = chain
+    /** @type {Array} The parameters passed to the failed registration */
+    this.params = params
+    if (typeof options.cause?.stack === 'string') {
+      this.stack = `${this.stack}\nCaused by: ${options.cause.stack}`
+    }
+  }
+}
@@ -0,0 +1,458 @@
+import {addToMetadataList, getMetadataList} from './lifecycle.js'
+import {proxyChain} from './proxy.js'
+import {tokenName} from './tokens.js'
+
+/**
+ * @typedef {Object} InjectionPointRecord
+ * @property {string|symbol} field - The name of the decorated field or accessor.
+ * @property {*} token - The class or name that is injected.
+ * @property {boolean} lazy - Whether the dependency is created on first access (@InjectLazy).
+ * @property {boolean} static - Whether the field is static.
+ * @property {boolean} optional - Whether a missing registration is allowed.
+ * @property {boolean} multi - Whether all multi providers are injected (@InjectAll).
+ */
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {*} token - The key the registration was made under.
+ * @property {string} name - A readable name for the key.
+ * @property {'singleton'|'factory'|'scoped'|'alias'} type - The type of the registration.
+ * @property {'class'|'factory'|'value'|'alias'} provider - What builds the instance.
+ * @property {Function} [clazz] - The class that is instantiated (the mock class if mocked).
+ * @property {boolean} mock - Whether the registration is currently mocked.
+ * @property {{clazz?: Function, factory?: Function, value?: *}} [original] - The provider the mock replaces.
+ * @property {boolean} multi - Whether the registration is one of several providers under the same key.
+ * @property {boolean} inherited - Whether the registration was made in an ancestor container.
+ */
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {*} from - The key of the registration that has the dependency (or the alias key).
+ * @property {*} to - The key that is injected (or the key the alias points to).
+ * @property {Function} [consumer] - The class that declares the injected field.
+ * @property {string|symbol} [field] - The name of the injected field or accessor.
+ * @property {boolean} lazy - Whether the dependency is created on first access.
+ * @property {boolean} static - Whether the field is static.
+ * @property {boolean} optional - Whether a missing registration is allowed.
+ * @property {boolean} multi - Whether all multi providers of the key are injected.
+ * @property {boolean} alias - Whether the edge is an alias rather than an injected field.
+ */
+
+/**
+ * @typedef {Object} DependencyGraph
+ * @property {Array<GraphNode>} nodes - One node per registration, multi providers have one node each.
+ * @property {Array<GraphEdge>} edges - One edge per injected field of a registered class, plus one per alias.
+ */
+
+/** Metadata key for the fields decorated with @Inject, @InjectLazy, @InjectOptional or @InjectAll */
+export const INJECTION_POINTS = Symbol('injectionPoints')
+
+/**
+ * Record an injected field in the decorator metadata of its class, so the dependency graph can be built without
+ * creating any instances. Does nothing if the context has no metadata.
+ * @param {{name: string|symbol, static: boolean, metadata: Object}} context The field or accessor decorator context
+ * @param {*} token The class or name that is injected
+ * @param {Object} [options]
+ * @param {boolean} [options.lazy=false] Whether the dependency is created on first access
+ * @param {boolean} [options.optional=false] Whether a missing registration is allowed
+ * @param {boolean} [options.multi=false] Whether all multi providers are injected
+ */
+export function recordInjectionPoint(context, token, {lazy = false, optional = false, multi = false} = {}) {
+  if (!context.metadata) {
+    // Decorators applied by hand, or by a transpiler without decorator metadata support
+    return
+  }
+  addToMetadataList(context.metadata, INJECTION_POINTS, {
+    field: context.name,
+    token,
+    lazy,
+    static: context.static,
+    optional,
+    multi
+  })
+}
+
+/**
+ * Get the injected fields of a class, including those inherited from parent classes.
+ * @param {Function} clazz The class to read from
+ * @returns {Array<InjectionPointRecord>}
+ */
+export function getInjectionPoints(clazz) {
+  return getMetadataList(clazz, INJECTION_POINTS)
+}
+
+/**
+ * Describe a registration as a graph node.
+ * @param {import('./Container.js').InstanceContext} instanceContext The instance context
+ * @param {boolean} inherited Whether the registration was made in an ancestor container
+ * @returns {GraphNode}
+ */
+export function nodeOf(instanceContext, inherited) {
+  let provider = 'class'
+  if ('value' in instanceContext) {
+    provider = 'value'
+  } else if (instanceContext.factory) {
+    provider = 'factory'
+  }
+  return {
+    token: instanceContext.token,
+    name: tokenName(instanceContext.token),
+    type: instanceContext.type,
+    provider,
+    clazz: instanceContext.clazz,
+    mock: Boolean(instanceContext.original),
+    original: instanceContext.original,
+    multi: Boolean(instanceContext.multi),
+    inherited
+  }
+}
+
+/**
+ * Describe an alias as a graph node.
+ * @param {*} token The alias key
+ * @param {boolean} inherited Whether the alias was registered in an ancestor container
+ * @returns {GraphNode}
+ */
+export function aliasNodeOf(token, inherited) {
+  return {token, name: tokenName(token), type: 'alias', provider: 'alias', mock: false, multi: false, inherited}
+}
+
+/**
+ * Describe the injected fields of a registration as graph edges. Proxy mocks also create the classes they proxy to,
+ * so the fields of all of them are included.
+ * @param {import('./Container.js').InstanceContext} instanceContext The instance context
+ * @returns {Array<GraphEdge>}
+ */
+export function edgesOf(instanceContext) {
+  const providers = instanceContext.original ? proxyChain(instanceContext) : [instanceContext]
+  return providers.map(provider => provider.clazz).filter(Boolean).flatMap(consumer => getInjectionPoints(consumer).map(point => ({
+    from: instanceContext.token,
+    to: point.token,
+    consumer,
+    field: point.field,
+    lazy: point.lazy,
+    static: point.static,
+    optional: point.optional,
+    multi: point.multi,
+    alias: false
+  })))
+}
+
+/**
+ * Describe an alias as a graph edge.
+ * @param {*} token The alias key
+ * @param {*} target The key the alias points to
+ * @returns {GraphEdge}
+ */
+export function aliasEdgeOf(token, target) {
+  return {from: token, to: target, lazy: false, static: false, optional: false, multi: false, alias: true}
+}
+
+/**
+ * @typedef {Object} ExportedNode
+ * @property {string} id - A stable, unique identifier derived from the registration name.
+ * @property {string} name - A readable name for the key.
+ * @property {'singleton'|'factory'|'scoped'|'alias'|'missing'} type - The type of the registration, or 'missing' for
+ *           keys that are injected but not registered.
+ * @property {'class'|'factory'|'value'|'alias'} [provider] - What builds the instance.
+ * @property {string} [class] - The name of the class that is instantiated (the mock class if mocked).
+ * @property {boolean} mock - Whether the registration is currently mocked.
+ * @property {string} [original] - The name of the class, factory function or value the mock replaces.
+ * @property {boolean} multi - Whether the registration is one of several providers under the same key.
+ * @property {boolean} inherited - Whether the registration was made in an ancestor container.
+ */
+
+/**
+ * @typedef {Object} ExportedEdge
+ * @property {string} from - The id of the node that has the dependency.
+ * @property {string} to - The id of the node that is injected.
+ * @property {string} [field] - The name of the injected field or accessor.
+ * @property {boolean} lazy - Whether the dependency is created on first access.
+ * @property {boolean} static - Whether the field is static.
+ * @property {boolean} optional - Whether a missing registration is allowed.
+ * @property {boolean} multi - Whether all multi providers of the key are injected.
+ * @property {boolean} alias - Whether the edge is an alias rather than an injected field.
+ */
+
+/**
+ * Describe the provider a mock replaces.
+ * @param {{clazz?: Function, factory?: Function, value?: *}} original The original provider
+ * @returns {string}
+ * @private
+ */
+function describeOriginal(original) {
+  if (original.clazz) {
+    return original.clazz.name
+  }
+  return original.factory ? 'factory function' : 'value'
+}
+
+/**
+ * Compare two strings for sorting, independent of the locale.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ * @private
+ */
+function compare(a, b) {
+  if (a === b) {
+    return 0
+  }
+  return a < b ? -1 : 1
+}
+
+/**
+ * Convert a dependency graph into plain data with string ids, sorted so that the output only changes when the
+ * registrations or injected fields change. Keys that are injected but not registered become 'missing' nodes, and
+ * edges to a multi key point to every provider of the key.
+ * @param {DependencyGraph} graph The graph returned by getDependencyGraph()
+ * @returns {{nodes: Array<ExportedNode>, edges: Array<ExportedEdge>}}
+ * @private
+ */
+function normalizeGraph(graph) {
+  const ids = new Map()
+  const used = new Set()
+  const uniqueId = base => {
+    let id = base
+    for (let i = 2; used.has(id); i++) {
+      id = `${base} (${i})`
+    }
+    used.add(id)
+    return id
+  }
+
+  const baseIdOf = node => node.multi && node.clazz ? `${node.name}[${node.clazz.name}]` : node.name
+  // Registrations that share a name get their suffixes in the order of their type and class, not of registration
+  const sortKeyOf = node => [baseIdOf(node), node.type, node.clazz?.name ?? '', node.provider]
+  const ordered = [...graph.nodes].sort((a, b) => {
+    const [keyA, keyB] = [sortKeyOf(a), sortKeyOf(b)]
+    return keyA.reduce((result, part, index) => result || compare(part, keyB[index]), 0)
+  })
+
+  const nodes = ordered.map(node => {
+    const id = uniqueId(baseIdOf(node))
+    ids.set(node, id)
+    const exported = {id, name: node.name, type: node.type, provider: node.provider}
+    if (node.clazz) {
+      exported.class = node.clazz.name
+    }
+    exported.mock = node.mock
+    if (node.original) {
+      exported.original = describeOriginal(node.original)
+    }
+    exported.multi = node.multi
+    exported.inherited = node.inherited
+    return exported
+  })
+
+  const missing = new Map()
+  const targetsOf = token => {
+    const targets = graph.nodes.filter(node => node.token === token).map(node => ids.get(node))
+    if (targets.length > 0) {
+      return targets
+    }
+    if (!missing.has(token)) {
+      const id = uniqueId(tokenName(token))
+      missing.set(token, id)
+      nodes.push({id, name: tokenName(token), type: 'missing', mock: false, multi: false, inherited: false})
+    }
+    return [missing.get(token)]
+  }
+  const sourceOf = edge => {
+    const source = graph.nodes.find(node => node.token === edge.from &&
+      (!node.multi || node.clazz === edge.consumer || node.original?.clazz === edge.consumer))
+    return ids.get(source)
+  }
+
+  const edges = graph.edges.flatMap(edge => targetsOf(edge.to).map(to => {
+    const exported = {from: sourceOf(edge), to}
+    if (edge.field !== undefined) {
+      exported.field = String(edge.field)
+    }
+    return {...exported, lazy: edge.lazy, static: edge.static, optional: edge.optional, multi: edge.multi, alias: edge.alias}
+  }))
+
+  nodes.sort((a, b) => compare(a.id, b.id))
+  edges.sort((a, b) => compare(a.from, b.from) || compare(a.to, b.to) || compare(a.field ?? '', b.field ?? ''))
+  return {nodes, edges}
+}
+
+/**
+ * Describe the active mock of an exported node: the mock class, or the kind of provider for mockValue() and
+ * mockFactory() mocks.
+ * @param {ExportedNode} node The exported node of a mocked registration
+ * @returns {string}
+ * @private
+ */
+function describeMock(node) {
+  if (node.class) {
+    return node.class
+  }
+  return node.provider === 'factory' ? 'factory function' : 'value'
+}
+
+/**
+ * Build the label of an exported node: its name, plus its type and the class or provider behind it.
+ * @param {ExportedNode} node The exported node
+ * @returns {Array<string>} The lines of the label
+ * @private
+ */
+function labelOf(node) {
+  const title = node.class && node.class !== node.name && !node.mock ? `${node.name} (${node.class})` : node.name
+  if (node.type === 'missing') {
+    return [title, 'not registered']
+  }
+  if (node.mock) {
+    return [title, `mock ${describeMock(node)} replaces ${node.original}`]
+  }
+  const provider = node.provider === 'factory' ? ' function' : node.provider === 'value' ? ' value' : ''
+  return [title, `${node.multi ? 'multi ' : ''}${node.type}${provider}`]
+}
+
+/**
+ * Build the label of an exported edge: the field name, marked if it is static or optional.
+ * @param {ExportedEdge} edge The exported edge
+ * @returns {string}
+ * @private
+ */
+function edgeLabelOf(edge) {
+  if (edge.alias) {
+    return 'alias'
+  }
+  return `${edge.static ? 'static ' : ''}${edge.field}${edge.optional ? '?' : ''}${edge.multi ? '[]' : ''}`
+}
+
+/**
+ * Quote a string for use in a Graphviz DOT file. Multiple lines are joined with DOT line breaks.
+ * @param {...string} lines
+ * @returns {string}
+ * @private
+ */
+function dotString(...lines) {
+  return `"${lines.map(line => line.replace(/\\/g, '\\\\').replace(/"/g, '\\"')).join('\\n')}"`
+}
+
+/** Graphviz node attributes for each registration type */
+const DOT_NODE_STYLES = {
+  singleton: 'shape=box',
+  factory: 'shape=box, style=dashed',
+  scoped: 'shape=box, style=rounded',
+  alias: 'shape=ellipse',
+  missing: 'shape=box, style=dotted, color=red'
+}
+
+/**
+ * Render a dependency graph as a Graphviz DOT digraph. Singletons are boxes, factories dashed boxes, scoped
+ * registrations rounded boxes and aliases ellipses. Mocks are drawn in orange with the original they replace, lazy
+ * edges are dashed and keys that are injected but not registered are dotted red boxes.
+ * @param {DependencyGraph} graph The graph returned by getDependencyGraph()
+ * @returns {string} The DOT source
+ * @example
+ * fs.writeFileSync('dependencies.dot', graphToDot(getDependencyGraph()))
+ */
+export function graphToDot(graph) {
+  const {nodes, edges} = normalizeGraph(graph)
+  const lines = ['digraph dependencies {', '  rankdir=LR;']
+  for (const node of nodes) {
+    const attributes = [`label=${dotString(...labelOf(node))}`, DOT_NODE_STYLES[node.type]]
+    if (node.mock) {
+      attributes.push('color=orange')
+    }
+    lines.push(`  ${dotString(node.id)} [${attributes.join(', ')}];`)
+  }
+  for (const edge of edges) {
+    const attributes = [`label=${dotString(edgeLabelOf(edge))}`]
+    if (edge.lazy) {
+      attributes.push('style=dashed')
+    } else if (edge.alias) {
+      attributes.push('style=dotted')
+    }
+    lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)} [${attributes.join(', ')}];`)
+  }
+  lines.push('}')
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Quote a label for use in a Mermaid flowchart.
+ * @param {Array<string>} lines The lines of the label
+ * @returns {string}
+ * @private
+ */
+function mermaidString(lines) {
+  return `"${lines.map(line => line.replace(/"/g, '#quot;')).join('<br/>')}"`
+}
+
+/**
+ * Derive Mermaid node ids from the stable node ids, so that the ids of a node do not change when other registrations
+ * are added. Characters Mermaid does not accept in ids become underscores, and ids that collide after that, or with the
+ * `end` keyword, get a numbered suffix.
+ * @param {Array<ExportedNode>} nodes The nodes, sorted
+ * @returns {Map<string, string>} The Mermaid id of every node id
+ * @private
+ */
+function mermaidIdsOf(nodes) {
+  const used = new Set(['end'])
+  return new Map(nodes.map(node => {
+    const base = node.id.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'node'
+    let id = base
+    for (let i = 2; used.has(id); i++) {
+      id = `${base}_${i}`
+    }
+    used.add(id)
+    return [node.id, id]
+  }))
+}
+
+/** Mermaid node shapes for each registration type, as opening and closing brackets */
+const MERMAID_NODE_SHAPES = {
+  singleton: ['[', ']'],
+  factory: ['[[', ']]'],
+  scoped: ['([', '])'],
+  alias: ['>', ']'],
+  missing: ['[', ']']
+}
+
+/**
+ * Render a dependency graph as a Mermaid flowchart. Singletons are rectangles, factories subroutines, scoped
+ * registrations stadiums and aliases flags. Mocks use the `mock` class with the original they replace, lazy edges are
+ * dotted and keys that are injected but not registered use the `missing` class.
+ * @param {DependencyGraph} graph The graph returned by getDependencyGraph()
+ * @returns {string} The flowchart source
+ * @example
+ * fs.writeFileSync('dependencies.mmd', graphToMermaid(getDependencyGraph()))
+ */
+export function graphToMermaid(graph) {
+  const {nodes, edges} = normalizeGraph(graph)
+  const ids = mermaidIdsOf(nodes)
+  const lines = ['flowchart LR']
+  for (const node of nodes) {
+    const [open, close] = MERMAID_NODE_SHAPES[node.type]
+    lines.push(`  ${ids.get(node.id)}${open}${mermaidString(labelOf(node))}${close}`)
+  }
+  for (const edge of edges) {
+    const arrow = edge.lazy || edge.alias ? '-.->' : '-->'
+    lines.push(`  ${ids.get(edge.from)} ${arrow}|${mermaidString([edgeLabelOf(edge)])}| ${ids.get(edge.to)}`)
+  }
+  const mocks = nodes.filter(node => node.mock).map(node => ids.get(node.id))
+  const missing = nodes.filter(node => node.type === 'missing').map(node => ids.get(node.id))
+  if (mocks.length > 0) {
+    lines.push('  classDef mock stroke:#f90,stroke-width:2px', `  class ${mocks.join(',')} mock`)
+  }
+  if (missing.length > 0) {
+    lines.push('  classDef missing stroke:#f00,stroke-dasharray:3', `  class ${missing.join(',')} missing`)
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Render a dependency graph as a stable JSON document. Nodes have string ids derived from their names, edges refer to
+ * them, and both are sorted so the document only changes when the registrations or injected fields change.
+ * @param {DependencyGraph} graph The graph returned by getDependencyGraph()
+ * @returns {string} The JSON document
+ * @example
+ * fs.writeFileSync('dependencies.json', graphToJSON(getDependencyGraph()))
+ */
+export function graphToJSON(graph) {
+  return JSON.stringify(normalizeGraph(graph), null, 2) + '\n'
+}
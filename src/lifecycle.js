@@ -0,0 +1,189 @@
+/**
+ * @typedef {Object} LifecycleHook
+ * @property {string|symbol} name - The name of the decorated method.
+ * @property {boolean} private - Whether the decorated method is a private method.
+ * @property {function(Object): Function} get - Reads the method from an instance (respects overrides for public methods).
+ */
+
+/** Metadata key for methods decorated with @PostConstruct */
+export const POST_CONSTRUCT = Symbol('postConstruct')
+
+/** Metadata key for methods decorated with @PreDestroy */
+export const PRE_DESTROY = Symbol('preDestroy')
+
+/** Decorator metadata symbol, falling back to the well-known registry symbol used by transpilers */
+export const METADATA = Symbol.metadata ?? Symbol.for('Symbol.metadata')
+
+/** Explicit resource management symbols, falling back to the registry symbols used by transpilers */
+export const DISPOSE = Symbol.dispose ?? Symbol.for('Symbol.dispose')
+export const ASYNC_DISPOSE = Symbol.asyncDispose ?? Symbol.for('Symbol.asyncDispose')
+
+/** Disposal methods in order of preference, for synchronous and asynchronous teardown */
+const DISPOSE_METHODS = [DISPOSE, 'close', 'destroy', ASYNC_DISPOSE]
+const ASYNC_DISPOSE_METHODS = [ASYNC_DISPOSE, DISPOSE, 'close', 'destroy']
+
+/** @type {WeakMap<Object, Array<{target: Object, clazz: Function}>>} The objects constructed for each live instance */
+const constructed = new WeakMap()
+
+/**
+ * Append a value to a list stored in decorator metadata without mutating the list inherited from a parent class.
+ * @param {Object} metadata The decorator context metadata object
+ * @param {symbol} key The metadata key
+ * @param {*} value The value to append
+ */
+export function addToMetadataList(metadata, key, value) {
+  if (!Object.hasOwn(metadata, key)) {
+    metadata[key] = [...(metadata[key] ?? [])]
+  }
+  metadata[key].push(value)
+}
+
+/**
+ * Read a list from the decorator metadata of a class, including entries inherited from parent classes.
+ * @param {Function} clazz The class to read from
+ * @param {symbol} key The metadata key
+ * @returns {Array} The list, or an empty array if there is none
+ */
+export function getMetadataList(clazz, key) {
+  return clazz?.[METADATA]?.[key] ?? []
+}
+
+/**
+ * Register a lifecycle hook from a method decorator context.
+ * Public methods that are already registered by a parent class are not registered twice.
+ * @param {symbol} key POST_CONSTRUCT or PRE_DESTROY
+ * @param {{name: string|symbol, private: boolean, access: {get: Function}, metadata: Object}} context
+ *        The method decorator context
+ */
+export function addLifecycleHook(key, context) {
+  const existing = context.metadata[key] ?? []
+  if (!context.private && existing.some(hook => !hook.private && hook.name === context.name)) {
+    return
+  }
+  addToMetadataList(context.metadata, key, {
+    name: context.name,
+    private: context.private,
+    get: context.access.get
+  })
+}
+
+/**
+ * Run the lifecycle hooks of a class on an instance, in declaration order (parent class hooks first).
+ * @param {Object} instance The instance to run the hooks on
+ * @param {Function} clazz The class the instance was created from
+ * @param {symbol} key POST_CONSTRUCT or PRE_DESTROY
+ * @returns {Array} The return values of the hooks (promises for async hooks)
+ */
+export function runLifecycleHooks(instance, clazz, key) {
+  return getMetadataList(clazz, key).map(hook => hook.get(instance).call(instance))
+}
+
+/**
+ * Remember the objects that were constructed for an instance, so their hooks can run when it is destroyed.
+ * A proxy mock consists of both the mock and the original instance. Primitive values are ignored.
+ * @param {*} instance The instance handed out by the container
+ * @param {Array<{target: Object, clazz: Function}>} parts The constructed objects and their classes
+ */
+export function trackConstructed(instance, parts) {
+  if (Object(instance) === instance) {
+    constructed.set(instance, parts)
+  }
+}
+
+/**
+ * Check whether an instance has anything to tear down: @PreDestroy methods, or a [Symbol.asyncDispose](),
+ * [Symbol.dispose](), close() or destroy() method. Only instances passed to trackConstructed() qualify, so
+ * registered values never do.
+ * @param {*} instance The instance handed out by the container
+ * @returns {boolean}
+ */
+export function needsTeardown(instance) {
+  const parts = constructed.get(Object(instance))
+  if (!parts) {
+    return false
+  }
+  return parts.some(({clazz}) => getMetadataList(clazz, PRE_DESTROY).length > 0) ||
+    ASYNC_DISPOSE_METHODS.some(name => typeof instance[name] === 'function')
+}
+
+/**
+ * Run the @PreDestroy methods of an instance. Instances that were already destroyed are ignored.
+ * @param {Object} instance The instance to destroy
+ * @returns {{destroyed: boolean, results: Array, hooks: Set<string|symbol>}}
+ *          Whether the instance was live, the hook return values and the names of the hooks that ran
+ * @private
+ */
+function runPreDestroy(instance) {
+  const parts = constructed.get(instance)
+  if (!parts) {
+    return {destroyed: false, results: [], hooks: new Set()}
+  }
+  constructed.delete(instance)
+  const results = []
+  const hooks = new Set()
+  for (const {target, clazz} of parts) {
+    getMetadataList(clazz, PRE_DESTROY).forEach(hook => hooks.add(hook.name))
+    results.push(...runLifecycleHooks(target, clazz, PRE_DESTROY))
+  }
+  return {destroyed: true, results, hooks}
+}
+
+/**
+ * Find the disposal method of an instance, skipping methods that already ran as @PreDestroy hooks.
+ * @param {Object} instance The instance to dispose
+ * @param {Array<string|symbol>} candidates The method names in order of preference
+ * @param {Set<string|symbol>} hooks The names of the @PreDestroy hooks that already ran
+ * @returns {string|symbol|undefined} The method name, if any
+ * @private
+ */
+function findDisposeMethod(instance, candidates, hooks) {
+  const method = candidates.find(name => typeof instance[name] === 'function')
+  return hooks.has(method) ? undefined : method
+}
+
+/**
+ * Keep the promises among the return values of teardown methods.
+ * @param {Array} results The return values
+ * @returns {Array<Promise>}
+ * @private
+ */
+function promisesIn(results) {
+  return results.filter(result => typeof result?.then === 'function')
+}
+
+/**
+ * Run the @PreDestroy methods of an instance without disposing it.
+ * Async hooks are not awaited, their promises are returned so the caller can report rejections.
+ * @param {Object} instance The instance to destroy
+ * @returns {Array<Promise>} The promises returned by async hooks
+ */
+export function destroyInstance(instance) {
+  return promisesIn(runPreDestroy(instance).results)
+}
+
+/**
+ * Run the @PreDestroy methods of an instance, then call its [Symbol.dispose](), close() or destroy() method.
+ * Instances that only implement [Symbol.asyncDispose]() have it called without waiting for the result.
+ * @param {Object} instance The instance to dispose
+ * @returns {Array<Promise>} The promises returned by async hooks and dispose methods, which are not awaited
+ */
+export function disposeInstance(instance) {
+  const {destroyed, results, hooks} = runPreDestroy(instance)
+  const method = destroyed ? findDisposeMethod(instance, DISPOSE_METHODS, hooks) : undefined
+  return promisesIn(method ? [...results, instance[method]()] : results)
+}
+
+/**
+ * Run and await the @PreDestroy methods of an instance, then call and await its [Symbol.asyncDispose](),
+ * [Symbol.dispose](), close() or destroy() method.
+ * @param {Object} instance The instance to dispose
+ * @returns {Promise<void>}
+ */
+export async function disposeInstanceAsync(instance) {
+  const {destroyed, results, hooks} = runPreDestroy(instance)
+  await Promise.all(results)
+  const method = destroyed ? findDisposeMethod(instance, ASYNC_DISPOSE_METHODS, hooks) : undefined
+  if (method) {
+    await instance[method]()
+  }
+}
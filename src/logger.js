@@ -0,0 +1,62 @@
+/**
+ * @typedef {'trace'|'debug'|'info'|'warn'|'error'|'silent'} LogLevel
+ */
+
+/**
+ * @typedef {Object} LogEvent
+ * @property {string} event - What happened, e.g. 'register', 'create' or 'captive'.
+ * @property {import('./Container.js').Token} [token] - The registration key the event is about.
+ * Other properties depend on the event, e.g. `type`, `durationMs` and `mocked` for 'create'.
+ */
+
+/**
+ * @typedef {Object} Logger
+ * Any object with pino-style level methods, called with the structured event first and the message second.
+ * pino and console work as is. A missing trace() method falls back to debug(), other missing methods are skipped.
+ * When the logger is console, trace events go to console.debug(), as console.trace() prints a stack trace.
+ * @property {function(LogEvent, string): void} [trace]
+ * @property {function(LogEvent, string): void} [debug]
+ * @property {function(LogEvent, string): void} [info]
+ * @property {function(LogEvent, string): void} [warn]
+ * @property {function(LogEvent, string): void} [error]
+ */
+
+/** Log levels from the most to the least verbose. 'silent' turns logging off. */
+export const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'silent']
+
+/**
+ * The default logger: writes the message with a [DI] prefix, through console.log for trace, debug and info events,
+ * console.warn for warnings and console.error for errors. The structured event is not printed.
+ * @type {Logger}
+ */
+export const consoleLogger = {
+  trace: (_, message) => console.log(`[DI] ${message}`),
+  debug: (_, message) => console.log(`[DI] ${message}`),
+  info: (_, message) => console.log(`[DI] ${message}`),
+  warn: (_, message) => console.warn(`[DI] ${message}`),
+  error: (_, message) => console.error(`[DI] ${message}`)
+}
+
+/**
+ * Check whether events of a level pass the configured minimum level.
+ * @param {LogLevel} level The level of the event
+ * @param {LogLevel} minimum The configured minimum level
+ * @returns {boolean}
+ */
+export function isLevelEnabled(level, minimum) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minimum)
+}
+
+/**
+ * Write an event to a logger at the given level.
+ * @param {Logger} logger The logger
+ * @param {Exclude<LogLevel, 'silent'>} level The level of the event
+ * @param {LogEvent} event The structured event
+ * @param {string} message The human readable message
+ */
+export function writeLog(logger, level, event, message) {
+  const method = level === 'trace' && (logger === console || !logger.trace) ? logger.debug : logger[level]
+  if (typeof method === 'function') {
+    method.call(logger, event, message)
+  }
+}
@@ -0,0 +1,194 @@
+import {performance} from 'node:perf_hooks'
+
+/**
+ * @typedef {Object} ProfileEntry
+ * @property {import('./Container.js').Token} token - The registration key.
+ * @property {string} name - The readable name of the registration.
+ * @property {'singleton'|'factory'|'scoped'} type - The registration type.
+ * @property {number} resolutions - How often an instance was requested.
+ * @property {number} cacheHits - How often a cached singleton or scoped instance was returned.
+ * @property {number} creations - How often an instance was created.
+ * @property {number} totalMs - The time spent creating instances, including nested injections.
+ * @property {number} selfMs - The time spent creating instances, excluding nested injections.
+ */
+
+/**
+ * @typedef {Object} ProfileNode
+ * @property {import('./Container.js').Token} token - The registration key.
+ * @property {string} name - The readable name of the registration.
+ * @property {'singleton'|'factory'|'scoped'} type - The registration type.
+ * @property {boolean} async - Whether the instance was created by resolveAsync().
+ * @property {number} totalMs - The time spent creating the instance, including nested injections.
+ * @property {number} selfMs - The time spent creating the instance, excluding nested injections.
+ * @property {Array<ProfileNode>} children - The instances created while this one was created.
+ */
+
+/**
+ * @typedef {Object} ProfileReport
+ * @property {number} durationMs - How long profiling ran.
+ * @property {Array<ProfileEntry>} entries - One entry per registration, the highest self time first.
+ * @property {Array<ProfileNode>} tree - The creations that were not nested in another one, in order, with the
+ *           creations nested in them.
+ */
+
+/**
+ * Records the resolutions of a container while it is profiling.
+ * Synchronous creations are nested: the time spent creating injected instances is subtracted from the self time of
+ * the instance they are injected into. Creations by resolveAsync() can interleave, so they are recorded as a whole.
+ * @private
+ */
+export class Profiler {
+  /** @type {number} When profiling started */
+  #start = performance.now()
+
+  /** @type {Map<import('./Container.js').InstanceContext, ProfileEntry>} The entry of each registration */
+  #entries = new Map()
+
+  /** @type {Array<ProfileNode>} The creations that are not nested in another one */
+  #roots = []
+
+  /**
+   * @type {Array<{node: ProfileNode, start: number, childMs: number, instanceContext: Object, name: string}>}
+   *       The synchronous creations in progress, the innermost last
+   */
+  #stack = []
+
+  /**
+   * Count a request for an instance.
+   * @param {import('./Container.js').InstanceContext} instanceContext The requested registration
+   * @param {string} name The readable name of the registration
+   */
+  resolved(instanceContext, name) {
+    this.#entry(instanceContext, name).resolutions++
+  }
+
+  /**
+   * Count a cached instance that was returned.
+   * @param {import('./Container.js').InstanceContext} instanceContext The registration
+   * @param {string} name The readable name of the registration
+   */
+  cacheHit(instanceContext, name) {
+    this.#entry(instanceContext, name).cacheHits++
+  }
+
+  /**
+   * Start timing the synchronous creation of an instance.
+   * @param {import('./Container.js').InstanceContext} instanceContext The registration
+   * @param {string} name The readable name of the registration
+   * @returns {Object} The frame to pass to exit()
+   */
+  enter(instanceContext, name) {
+    const node = this.#add(instanceContext, name, false)
+    const frame = {node, start: performance.now(), childMs: 0, instanceContext, name}
+    this.#stack.push(frame)
+    return frame
+  }
+
+  /**
+   * Stop timing a creation started with enter(), whether it succeeded or not.
+   * @param {Object} frame The frame returned by enter()
+   */
+  exit(frame) {
+    const index = this.#stack.lastIndexOf(frame)
+    if (index === -1) {
+      return
+    }
+    this.#stack.length = index
+    const totalMs = performance.now() - frame.start
+    const parent = this.#stack.at(-1)
+    if (parent) {
+      parent.childMs += totalMs
+    }
+    this.#finish(frame.instanceContext, frame.name, frame.node, totalMs, totalMs - frame.childMs)
+  }
+
+  /**
+   * Record the creation of an instance by resolveAsync().
+   * @param {import('./Container.js').InstanceContext} instanceContext The registration
+   * @param {string} name The readable name of the registration
+   * @param {number} durationMs How long the creation took
+   */
+  record(instanceContext, name, durationMs) {
+    const node = this.#add(instanceContext, name, true)
+    this.#finish(instanceContext, name, node, durationMs, durationMs)
+  }
+
+  /**
+   * Build the report of everything recorded so far.
+   * @returns {ProfileReport}
+   */
+  report() {
+    return {
+      durationMs: performance.now() - this.#start,
+      entries: [...this.#entries.values()]
+        .map(entry => ({...entry}))
+        .sort((a, b) => b.selfMs - a.selfMs),
+      tree: this.#roots.map(copyNode)
+    }
+  }
+
+  /**
+   * Get or create the entry of a registration.
+   * @param {import('./Container.js').InstanceContext} instanceContext The registration
+   * @param {string} name The readable name of the registration
+   * @returns {ProfileEntry}
+   */
+  #entry(instanceContext, name) {
+    if (!this.#entries.has(instanceContext)) {
+      this.#entries.set(instanceContext, {
+        token: instanceContext.token,
+        name,
+        type: instanceContext.type,
+        resolutions: 0,
+        cacheHits: 0,
+        creations: 0,
+        totalMs: 0,
+        selfMs: 0
+      })
+    }
+    return this.#entries.get(instanceContext)
+  }
+
+  /**
+   * Add a tree node for a creation, under the creation in progress if there is one.
+   * @param {import('./Container.js').InstanceContext} instanceContext The registration
+   * @param {string} name The readable name of the registration
+   * @param {boolean} async Whether the instance is created by resolveAsync()
+   * @returns {ProfileNode}
+   */
+  #add(instanceContext, name, async) {
+    const {token, type} = instanceContext
+    const node = {token, name, type, async, totalMs: 0, selfMs: 0, children: []}
+    const parent = async ? undefined : this.#stack.at(-1)
+    const siblings = parent ? parent.node.children : this.#roots
+    siblings.push(node)
+    return node
+  }
+
+  /**
+   * Store the times of a finished creation on its node and entry.
+   * @param {import('./Container.js').InstanceContext} instanceContext The registration
+   * @param {string} name The readable name of the registration
+   * @param {ProfileNode} node The tree node of the creation
+   * @param {number} totalMs The time including nested creations
+   * @param {number} selfMs The time excluding nested creations
+   */
+  #finish(instanceContext, name, node, totalMs, selfMs) {
+    node.totalMs = totalMs
+    node.selfMs = selfMs
+    const entry = this.#entry(instanceContext, name)
+    entry.creations++
+    entry.totalMs += totalMs
+    entry.selfMs += selfMs
+  }
+}
+
+/**
+ * Copy a tree node and its children, so the report does not change when profiling continues.
+ * @param {ProfileNode} node The node to copy
+ * @returns {ProfileNode}
+ * @private
+ */
+function copyNode(node) {
+  return {...node, children: node.children.map(copyNode)}
+}
@@ -1,3 +1,39 @@
+/**
+ * Get the provider fields (class, factory function or value) of a context.
+ * @param {import('./Container.js').InstanceContext|import('./Container.js').Provider} source The context or provider
+ *        to copy from
+ * @returns {import('./Container.js').Provider}
+ */
+export function providerOf(source) {
+  if ('value' in source) {
+    return {value: source.value}
+  }
+  if (source.factory) {
+    return {factory: source.factory}
+  }
+  return {clazz: source.clazz}
+}
+
+/**
+ * Get the providers whose objects make up the instance of a mocked registration: the active mock, followed by each
+ * layer below it for as long as the layer above proxies to it, down to the original provider.
+ *
+ * @param {import('./Container.js').InstanceContext} instanceContext The mocked instance context
+ * @returns {Array<import('./Container.js').Provider>} The providers, the active mock first
+ */
+export function proxyChain(instanceContext) {
+  const chain = [providerOf(instanceContext)]
+  let proxy = instanceContext.proxy
+  for (const layer of [...(instanceContext.layers ?? [])].reverse()) {
+    if (!proxy) {
+      return chain
+    }
+    chain.push(providerOf(layer))
+    proxy = layer.proxy
+  }
+  return proxy ? [...chain, instanceContext.original] : chain
+}
+
 /**
  * Create a proxy that delegates to the mock first, then falls back to the original.
  * This allows partial mocking where only specific methods are overridden.
@@ -40,3 +76,85 @@ export function createProxy(mock, original) {
     }
   })
 }
+
+/**
+ * @typedef {Object} SpyCall
+ * @property {string|symbol} method - The name of the called method.
+ * @property {Array} args - The arguments the method was called with.
+ * @property {*} [returnValue] - What the method returned, a promise for async methods.
+ * @property {*} [error] - What the method threw, or what the promise it returned rejected with.
+ * @property {number} timestamp - When the method was called, in milliseconds since the epoch.
+ */
+
+/**
+ * Create a proxy that forwards everything to an instance, and records every method call in a list.
+ * Methods are called on the instance itself, so private fields keep working, but calls a method makes on `this` are
+ * not recorded.
+ *
+ * @param {Object} instance The instance to spy on
+ * @param {Array<SpyCall>} [calls=[]] The list to add the calls to
+ * @returns {Proxy} A proxy that records the method calls
+ * @example
+ * const calls = []
+ * const mailer = createSpyProxy(new Mailer(), calls)
+ * mailer.send('ada@example.com')
+ * // calls: [{method: 'send', args: ['ada@example.com'], returnValue: true, error: undefined, timestamp: 1760000000000}]
+ */
+export function createSpyProxy(instance, calls = []) {
+  const spies = new Map()
+  return new Proxy(instance, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target)
+      if (typeof value !== 'function' || prop === 'constructor') {
+        return value
+      }
+      if (spies.get(prop)?.method !== value) {
+        spies.set(prop, {method: value, spy: spyOn(target, prop, value, calls)})
+      }
+      return spies.get(prop).spy
+    },
+
+    set(target, prop, value) {
+      return Reflect.set(target, prop, value, target)
+    }
+  })
+}
+
+/**
+ * Wrap a method so that its calls are recorded. When the method returns a promise, its rejection is recorded as the
+ * error of the call once it settles, and the recorded return value is the promise handed to the caller.
+ * @param {Object} target The instance the method is called on
+ * @param {string|symbol} prop The name of the method
+ * @param {Function} method The method
+ * @param {Array<SpyCall>} calls The list to add the calls to
+ * @returns {Function}
+ * @private
+ */
+function spyOn(target, prop, method, calls) {
+  return function (...args) {
+    const call = {method: prop, args, returnValue: undefined, error: undefined, timestamp: Date.now()}
+    calls.push(call)
+    try {
+      const result = Reflect.apply(method, target, args)
+      call.returnValue = typeof result?.then === 'function' ? recordRejection(result, call) : result
+      return call.returnValue
+    } catch (err) {
+      call.error = err
+      throw err
+    }
+  }
+}
+
+/**
+ * Chain onto the promise returned by a spied method, recording its rejection as the error of the call.
+ * @param {PromiseLike} promise The returned promise
+ * @param {SpyCall} call The recorded call
+ * @returns {PromiseLike} A promise that settles like the returned one
+ * @private
+ */
+function recordRejection(promise, call) {
+  return promise.then(value => value, err => {
+    call.error = err
+    throw err
+  })
+}
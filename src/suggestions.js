@@ -0,0 +1,124 @@
+import {InjectionToken, tokenName} from './tokens.js'
+
+/** The maximum number of similar names listed in a suggestion */
+const MAX_SUGGESTIONS = 3
+
+/**
+ * Compute the Levenshtein distance between two strings: the number of single character insertions, deletions and
+ * substitutions needed to turn one into the other.
+ * @param {string} a The first string
+ * @param {string} b The second string
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({length: b.length + 1}, (_, index) => index)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution))
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Get the bare name of a registration key, without the Symbol() wrapper or the token description.
+ * @param {import('./Container.js').Token} token The registration key
+ * @returns {string}
+ * @private
+ */
+function baseName(token) {
+  if (typeof token === 'symbol') {
+    return token.description ?? ''
+  }
+  if (token instanceof InjectionToken) {
+    return token.name
+  }
+  return tokenName(token)
+}
+
+/**
+ * Describe what kind of registration key a token is.
+ * @param {import('./Container.js').Token} token The registration key
+ * @returns {'class'|'string name'|'symbol'|'InjectionToken'}
+ * @private
+ */
+function kindOf(token) {
+  if (typeof token === 'function') {
+    return 'class'
+  }
+  if (typeof token === 'symbol') {
+    return 'symbol'
+  }
+  return token instanceof InjectionToken ? 'InjectionToken' : 'string name'
+}
+
+/**
+ * Explain why a key with the same name as the requested one does not match it.
+ * @param {import('./Container.js').Token} token The requested key
+ * @param {import('./Container.js').Token} candidate A registered key with the same name
+ * @returns {string}
+ * @private
+ */
+function sameNameHint(token, candidate) {
+  const name = baseName(token)
+  const kind = kindOf(candidate)
+  if (kind === kindOf(token)) {
+    return kind === 'class'
+      ? `A different class named "${name}" is registered. Check that both sides import it from the same module.`
+      : `A different ${kind} named "${name}" is registered. Check that both sides use the same ${kind}.`
+  }
+  return `"${name}" is registered by ${kind}, not by ${kindOf(token)}: did you mean the ${kind} ${tokenName(candidate)}?`
+}
+
+/**
+ * Join quoted names into a readable list: "a", "b" or "c".
+ * @param {Array<string>} names The names to list
+ * @returns {string}
+ * @private
+ */
+function listNames(names) {
+  const quoted = names.map(name => `"${name}"`)
+  return quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted.at(-1)}` : quoted[0]
+}
+
+/**
+ * Suggest registrations a missing key may have been meant to refer to.
+ * Keys with the same name but a different identity (another class with the same name, or a string name for a class
+ * registration) are explained first, followed by up to three similarly spelled names ranked by edit distance.
+ * @param {import('./Container.js').Token} token The key that could not be found
+ * @param {Iterable<import('./Container.js').Token>} candidates The registered keys
+ * @returns {Array<string>} Hint sentences, or an empty array if nothing looks similar
+ * @example
+ * suggestTokens('UserServce', [UserService, 'logger'])
+ * // ['Did you mean "UserService"?']
+ */
+export function suggestTokens(token, candidates) {
+  const name = baseName(token)
+  const hints = []
+  const similar = []
+  for (const candidate of candidates) {
+    if (candidate === token) {
+      continue
+    }
+    const candidateName = baseName(candidate)
+    if (candidateName === name) {
+      hints.push(sameNameHint(token, candidate))
+      continue
+    }
+    const distance = editDistance(name.toLowerCase(), candidateName.toLowerCase())
+    if (distance <= Math.max(1, Math.floor(name.length / 3))) {
+      similar.push({name: tokenName(candidate), distance})
+    }
+  }
+  const names = [...new Set(similar
+    .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+    .map(suggestion => suggestion.name))]
+    .slice(0, MAX_SUGGESTIONS)
+  if (names.length > 0) {
+    hints.push(`Did you mean ${listNames(names)}?`)
+  }
+  return hints
+}
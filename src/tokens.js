@@ -0,0 +1,45 @@
+/**
+ * A unique key for registrations that are not identified by a class.
+ * Unlike string names, two tokens with the same name never collide, so libraries can register their own
+ * `new InjectionToken('logger')` without clashing with the host application.
+ *
+ * @template T The type of the instance registered under this token
+ * @example
+ * export const DATABASE = new InjectionToken('Database', {description: 'Primary PostgreSQL connection'})
+ *
+ * @Singleton(DATABASE)
+ * class PostgresDatabase {}
+ */
+export class InjectionToken {
+  /**
+   * @param {string} name A short name for the token, used in diagnostics
+   * @param {Object} [options]
+   * @param {string} [options.description] A longer description, printed next to the name in diagnostics
+   */
+  constructor(name, {description} = {}) {
+    this.name = name
+    this.description = description
+  }
+
+  /**
+   * @returns {string} The name and description of the token, as printed in diagnostics
+   */
+  toString() {
+    return this.description ? `${this.name} (${this.description})` : this.name
+  }
+}
+
+/**
+ * Get a readable name for any registration key: a string name, a Symbol, an InjectionToken or a class.
+ * @param {string|symbol|InjectionToken|Function} token The registration key
+ * @returns {string}
+ */
+export function tokenName(token) {
+  if (typeof token === 'string') {
+    return token
+  }
+  if (typeof token === 'symbol' || token instanceof InjectionToken) {
+    return token.toString()
+  }
+  return token?.name || String(token)
+}
@@ -0,0 +1,255 @@
+import {
+  Singleton,
+  Factory,
+  Scoped,
+  Inject,
+  InjectLazy,
+  InjectAll,
+  runInScope,
+  resolve,
+  setCaptiveDependencyMode,
+  validateContainer,
+  clearContainer
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('Captive dependency detection', () => {
+  let warnSpy
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    setCaptiveDependencyMode('warn')
+    clearContainer()
+    warnSpy.mockRestore()
+  })
+
+  describe('when injecting', () => {
+    it('should warn when a singleton eagerly injects a factory by default', () => {
+      @Factory()
+      class RequestLogger {}
+
+      @Singleton()
+      class UserService {
+        @Inject(RequestLogger) logger
+      }
+
+      expect(resolve(UserService).logger).toBeInstanceOf(RequestLogger)
+      expect(warnSpy).toHaveBeenCalledWith(
+        '[DI] Captive dependency: singleton "UserService" injects factory "RequestLogger" into UserService.logger, ' +
+        'so it keeps the same instance for its whole lifetime'
+      )
+    })
+
+    it('should throw in throw mode', () => {
+      setCaptiveDependencyMode('throw')
+
+      @Factory()
+      class RequestLogger {}
+
+      @Singleton()
+      class UserService {
+        @Inject(RequestLogger) #logger
+
+        getLogger() {
+          return this.#logger
+        }
+      }
+
+      expect(() => resolve(UserService)).toThrow(
+        'Captive dependency: singleton "UserService" injects factory "RequestLogger" into UserService.#logger'
+      )
+    })
+
+    it('should do nothing in ignore mode', () => {
+      setCaptiveDependencyMode('ignore')
+
+      @Factory()
+      class RequestLogger {}
+
+      @Singleton()
+      class UserService {
+        @Inject(RequestLogger) logger
+      }
+
+      expect(resolve(UserService).logger).toBeInstanceOf(RequestLogger)
+      expect(warnSpy).not.toHaveBeenCalled()
+    })
+
+    it('should detect scoped registrations captured by singletons', () => {
+      setCaptiveDependencyMode('throw')
+
+      @Scoped()
+      class RequestContext {}
+
+      @Singleton()
+      class AuditService {
+        @Inject(RequestContext) context
+      }
+
+      runInScope(() => {
+        expect(() => resolve(AuditService)).toThrow(
+          'Captive dependency: singleton "AuditService" injects scoped "RequestContext" into AuditService.context'
+        )
+      })
+    })
+
+    it('should detect multi providers captured by @InjectAll', () => {
+      setCaptiveDependencyMode('throw')
+
+      @Singleton('validators', {multi: true})
+      class EmailValidator {}
+
+      @Factory('validators', {multi: true})
+      class RateLimitValidatorFactory {}
+
+      @Singleton()
+      class SignupService {
+        @InjectAll('validators') validators
+      }
+
+      expect(() => resolve(SignupService)).toThrow(
+        'Captive dependency: singleton "SignupService" injects factory "RateLimitValidatorFactory" into ' +
+        'SignupService.validators'
+      )
+      expect(EmailValidator).toBeDefined()
+    })
+
+    it('should allow lazy injection of shorter-lived registrations', () => {
+      setCaptiveDependencyMode('throw')
+
+      @Factory()
+      class RequestLogger {}
+
+      @Singleton()
+      class UserService {
+        @InjectLazy(RequestLogger) logger
+        @InjectLazy(RequestLogger) accessor #accessorLogger
+
+        constructor() {
+          this.fromConstructor = this.logger
+        }
+
+        getLogger() {
+          return this.#accessorLogger
+        }
+      }
+
+      const service = resolve(UserService)
+      expect(service.fromConstructor).toBeInstanceOf(RequestLogger)
+      expect(service.getLogger()).toBeInstanceOf(RequestLogger)
+    })
+
+    it('should allow any injection into factories and plain classes', () => {
+      setCaptiveDependencyMode('throw')
+
+      @Singleton()
+      class Database {}
+
+      @Factory()
+      class RequestLogger {}
+
+      @Factory()
+      class RequestHandlerFactory {
+        @Inject(RequestLogger) logger
+        @Inject(Database) db
+      }
+
+      class Controller {
+        @Inject(RequestLogger) logger
+      }
+
+      expect(resolve(RequestHandlerFactory).logger).toBeInstanceOf(RequestLogger)
+      expect(new Controller().logger).toBeInstanceOf(RequestLogger)
+    })
+
+    it('should only blame the singleton that directly injects the factory', () => {
+      setCaptiveDependencyMode('throw')
+
+      @Factory()
+      class Connection {}
+
+      @Factory()
+      class QueryFactory {
+        @Inject(Connection) connection
+      }
+
+      @Singleton()
+      class ReportService {
+        @InjectLazy(QueryFactory) query
+      }
+
+      expect(resolve(ReportService).query.connection).toBeInstanceOf(Connection)
+    })
+  })
+
+  describe('when validating', () => {
+    it('should report captive dependencies in throw mode', () => {
+      setCaptiveDependencyMode('throw')
+
+      @Factory('logger')
+      class LoggerFactory {}
+
+      @Singleton()
+      class UserService {
+        @Inject('logger') logger
+        @InjectLazy('logger') lazyLogger
+      }
+
+      expect(() => validateContainer()).toThrow(
+        'Container validation failed:\n' +
+        '  - Captive dependency: singleton "UserService" injects factory "LoggerFactory" into UserService.logger, ' +
+        'so it keeps the same instance for its whole lifetime'
+      )
+    })
+
+    it('should warn about captive dependencies in warn mode without failing', () => {
+      @Scoped()
+      class RequestContext {}
+
+      @Singleton()
+      class AuditService {
+        @Inject(RequestContext) context
+      }
+
+      expect(() => validateContainer()).not.toThrow()
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining(
+        'singleton "AuditService" injects scoped "RequestContext" into AuditService.context'
+      ))
+    })
+
+    it('should not report anything in ignore mode', () => {
+      setCaptiveDependencyMode('ignore')
+
+      @Factory()
+      class RequestLogger {}
+
+      @Singleton()
+      class UserService {
+        @Inject(RequestLogger) logger
+      }
+
+      expect(() => validateContainer()).not.toThrow()
+      expect(warnSpy).not.toHaveBeenCalled()
+    })
+  })
+
+  it('should reject unsupported modes', () => {
+    expect(() => setCaptiveDependencyMode('error')).toThrow(
+      'Invalid captive dependency mode "error". Use \'ignore\', \'warn\' or \'throw\''
+    )
+  })
+
+  it('should be configured per container', () => {
+    class RequestLogger {}
+
+    const container = new Container()
+    container.setCaptiveDependencyMode('throw')
+    container.registerFactory(RequestLogger)
+    container.registerSingleton(class Holder {}, 'holder')
+
+    expect(() => container.validate()).not.toThrow()
+  })
+})
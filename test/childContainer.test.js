@@ -0,0 +1,237 @@
+import {Container} from '../src/Container.js'
+import {Factory, Inject, InjectAll, InjectLazy, Singleton, clearContainer, getContainer} from '../index.js'
+
+describe('Child Containers', () => {
+  let parent
+  let child
+
+  beforeEach(() => {
+    parent = new Container()
+    child = parent.createChild()
+  })
+
+  it('should expose the parent container', () => {
+    expect(child.parent).toBe(parent)
+    expect(parent.parent).toBeNull()
+  })
+
+  it('should fall back to parent registrations', () => {
+    class ParentService {}
+    parent.registerSingleton(ParentService)
+
+    expect(child.has(ParentService)).toBe(true)
+    expect(child.resolve(ParentService)).toBeInstanceOf(ParentService)
+  })
+
+  it('should share parent singletons with the child', () => {
+    class SharedService {}
+    parent.registerSingleton(SharedService)
+
+    expect(child.resolve(SharedService)).toBe(parent.resolve(SharedService))
+  })
+
+  it('should cache child singletons in the child only', () => {
+    class ChildService {}
+    child.registerSingleton(ChildService)
+
+    expect(child.resolve(ChildService)).toBe(child.resolve(ChildService))
+    expect(parent.has(ChildService)).toBe(false)
+  })
+
+  it('should let the child override a parent registration', () => {
+    class Config {
+      constructor(source) {
+        this.source = source
+      }
+    }
+    parent.registerSingleton(Config, 'config')
+    child.registerSingleton(Config, 'config')
+
+    expect(child.resolve('config', 'child').source).toBe('child')
+    expect(parent.resolve('config', 'parent').source).toBe('parent')
+  })
+
+  it('should report which level satisfied the lookup', () => {
+    class ParentService {}
+    class ChildService {}
+    parent.registerSingleton(ParentService)
+    child.registerSingleton(ChildService)
+
+    expect(child.getContext(ParentService).owner).toBe(parent)
+    expect(child.getContext(ChildService).owner).toBe(child)
+    expect(child.hasOwn(ParentService)).toBe(false)
+    expect(child.hasOwn(ChildService)).toBe(true)
+  })
+
+  it('should resolve through multiple levels', () => {
+    class RootService {}
+    parent.registerSingleton(RootService)
+    const grandChild = child.createChild()
+
+    expect(grandChild.resolve(RootService)).toBe(parent.resolve(RootService))
+    expect(grandChild.getContext(RootService).owner).toBe(parent)
+  })
+
+  it('should keep mocks registered on the child local to the child', () => {
+    class Service {
+      getValue() {
+        return 'original'
+      }
+    }
+    class MockService {
+      getValue() {
+        return 'mocked'
+      }
+    }
+    parent.registerSingleton(Service)
+    child.registerMock(Service, MockService)
+
+    expect(child.resolve(Service).getValue()).toBe('mocked')
+    expect(parent.resolve(Service).getValue()).toBe('original')
+  })
+
+  it('should restore the parent registration when a child mock is reset', () => {
+    class Service {}
+    class MockService {}
+    parent.registerSingleton(Service)
+    child.registerMock(Service, MockService)
+    child.resetMock(Service)
+
+    expect(child.hasOwn(Service)).toBe(false)
+    expect(child.resolve(Service)).toBe(parent.resolve(Service))
+  })
+
+  it('should not reset parent mocks from the child', () => {
+    class Service {}
+    class MockService {}
+    parent.registerSingleton(Service)
+    parent.registerMock(Service, MockService)
+
+    child.resetMock(Service)
+    child.resetAllMocks()
+
+    expect(child.resolve(Service)).toBeInstanceOf(MockService)
+  })
+
+  it('should mock the target of a parent alias in the child', () => {
+    class Service {}
+    class MockService {}
+    parent.registerSingleton(Service)
+    parent.registerAlias('service', Service)
+    child.registerMock('service', MockService)
+
+    expect(child.resolve(Service)).toBeInstanceOf(MockService)
+    expect(child.resolve('service')).toBeInstanceOf(MockService)
+    expect(parent.resolve(Service)).not.toBeInstanceOf(MockService)
+
+    child.resetMock(Service)
+    expect(child.hasOwn(Service)).toBe(false)
+    expect(child.resolve('service')).toBe(parent.resolve(Service))
+  })
+
+  it('should support proxy mocks of parent registrations', () => {
+    class Service {
+      a() {
+        return 'original a'
+      }
+      b() {
+        return 'original b'
+      }
+    }
+    class PartialMock {
+      a() {
+        return 'mocked a'
+      }
+    }
+    parent.registerSingleton(Service)
+    child.registerMock(Service, PartialMock, true)
+
+    const instance = child.resolve(Service)
+    expect(instance.a()).toBe('mocked a')
+    expect(instance.b()).toBe('original b')
+  })
+
+  it('should only clear the child', () => {
+    class ParentService {}
+    class ChildService {}
+    parent.registerSingleton(ParentService)
+    child.registerSingleton(ChildService)
+
+    child.clear()
+
+    expect(child.has(ChildService)).toBe(false)
+    expect(child.has(ParentService)).toBe(true)
+  })
+
+  it('should still throw for tokens missing at every level', () => {
+    expect(() => child.getContext('missing')).toThrow('Cannot find injection source for "missing"')
+    expect(() => child.resetMock('missing')).toThrow('Cannot reset mock for "missing": not registered')
+  })
+
+  describe('injected fields', () => {
+    afterEach(() => {
+      clearContainer()
+    })
+
+    it('should resolve injected fields from the child that creates the instance', () => {
+      @Singleton()
+      class Database {}
+
+      class Service {
+        @Inject(Database) db
+        @InjectLazy(Database) lazyDb
+      }
+
+      const tenantDb = new Database()
+      const tenant = getContainer().createChild()
+      tenant.registerValue(Database, tenantDb)
+      tenant.registerFactory(Service)
+
+      const service = tenant.resolve(Service)
+      expect(service.db).toBe(tenantDb)
+      expect(service.lazyDb).toBe(tenantDb)
+    })
+
+    it('should resolve fields of parent factories from the child that resolves them', () => {
+      @Singleton('plugins', {multi: true})
+      class DefaultPlugin {}
+
+      class TenantPlugin {}
+
+      @Factory()
+      class Service {
+        @InjectAll('plugins') plugins
+      }
+
+      const tenant = getContainer().createChild()
+      tenant.registerSingleton(TenantPlugin, 'plugins', {multi: true})
+
+      expect(tenant.resolve(Service).plugins).toEqual([expect.any(TenantPlugin)])
+      expect(getContainer().resolve(Service).plugins).toEqual([expect.any(DefaultPlugin)])
+    })
+
+    it('should resolve fields of parent singletons from the parent', () => {
+      @Singleton('config')
+      class DefaultConfig {}
+
+      @Singleton()
+      class Service {
+        @Inject('config') config
+      }
+
+      const tenant = getContainer().createChild()
+      tenant.registerValue('config', {tenant: true})
+
+      expect(tenant.resolve(Service).config).toBeInstanceOf(DefaultConfig)
+    })
+
+    it('should pass the resolving child to factory functions', () => {
+      getContainer().registerFactoryFunction('greeting', container => `hello ${container.resolve('name')}`)
+      getContainer().registerValue('name', 'root')
+      const tenant = getContainer().createChild()
+      tenant.registerValue('name', 'tenant')
+
+      expect(tenant.resolve('greeting')).toBe('hello tenant')
+    })
+  })
+})
@@ -0,0 +1,251 @@
+import {
+  Singleton,
+  Factory,
+  Scoped,
+  Inject,
+  InjectLazy,
+  Mock,
+  PostConstruct,
+  resolve,
+  resolveAsync,
+  runInScope,
+  clearContainer,
+  ResolutionError
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('Circular dependency detection', () => {
+  afterEach(() => {
+    clearContainer()
+    jest.restoreAllMocks()
+  })
+
+  it('should list the full chain and the fields involved', () => {
+    @Singleton()
+    class A {
+      @Inject('B') b
+    }
+
+    @Singleton('B')
+    class B {
+      @Inject('C') c
+    }
+
+    @Singleton('C')
+    class C {
+      @Inject(A) a
+    }
+
+    expect(() => resolve(A)).toThrow(
+      'Circular dependency detected: A -> B -> C -> A (fields: A.b -> B.c -> C.a). Use @InjectLazy to break the cycle.'
+    )
+  })
+
+  it('should detect a class that injects itself', () => {
+    @Factory('NodeFactory')
+    class NodeFactory {
+      @Inject('NodeFactory') next
+    }
+
+    expect(() => resolve('NodeFactory')).toThrow(
+      'Circular dependency detected: NodeFactory -> NodeFactory (fields: NodeFactory.next)'
+    )
+  })
+
+  it('should name private fields and accessors', () => {
+    @Singleton()
+    class LeftService {
+      @Inject('RightService') #right
+
+      getRight() {
+        return this.#right
+      }
+    }
+
+    @Singleton('RightService')
+    class RightService {
+      @Inject(LeftService) accessor left
+
+      @PostConstruct()
+      init() {
+        return this.left
+      }
+    }
+
+    expect(() => resolve(LeftService)).toThrow('(fields: LeftService.#right -> RightService.left)')
+  })
+
+  it('should only include the cycle in the chain', () => {
+    @Singleton()
+    class Entry {
+      @Inject('Loop1Service') loop
+    }
+
+    @Singleton('Loop1Service')
+    class Loop1Service {
+      @Inject('Loop2Service') next
+    }
+
+    @Singleton('Loop2Service')
+    class Loop2Service {
+      @Inject('Loop1Service') previous
+    }
+
+    expect(() => resolve(Entry)).toThrow(
+      'Circular dependency detected: Loop1Service -> Loop2Service -> Loop1Service (fields: Loop1Service.next -> Loop2Service.previous)'
+    )
+  })
+
+  it('should detect cycles through constructors that call resolve()', () => {
+    @Singleton()
+    class Eager {
+      constructor() {
+        this.other = resolve('OtherService')
+      }
+    }
+
+    @Singleton('OtherService')
+    class OtherService {
+      @Inject(Eager) eager
+    }
+
+    expect(() => resolve(Eager)).toThrow(
+      'Circular dependency detected: Eager -> OtherService -> Eager (fields: OtherService.eager)'
+    )
+  })
+
+  it('should detect cycles through scoped registrations', () => {
+    @Scoped()
+    class RequestState {
+      @Inject('SessionService') session
+    }
+
+    @Scoped('SessionService')
+    class SessionService {
+      @Inject(RequestState) state
+    }
+
+    runInScope(() => {
+      expect(() => resolve(RequestState)).toThrow(
+        'Circular dependency detected: RequestState -> SessionService -> RequestState'
+      )
+    })
+  })
+
+  it('should use the mock names when mocks form a cycle', () => {
+    @Singleton()
+    class Printer {}
+
+    @Singleton('SpoolerService')
+    class SpoolerService {}
+
+    @Mock(Printer)
+    class PrinterMock {
+      @Inject('SpoolerService') spooler
+    }
+
+    @Mock('SpoolerService')
+    class SpoolerMock {
+      @Inject(Printer) printer
+    }
+
+    expect(() => resolve(Printer)).toThrow('Circular dependency detected: PrinterMock -> SpoolerMock -> PrinterMock')
+  })
+
+  it('should not report user RangeErrors as cycles', () => {
+    @Singleton()
+    class Validator {
+      constructor() {
+        throw new RangeError('Value out of range')
+      }
+    }
+
+    expect(() => resolve(Validator)).toThrow(ResolutionError)
+    expect(() => resolve(Validator)).toThrow(expect.objectContaining({cause: expect.any(RangeError)}))
+    expect(() => resolve(Validator)).toThrow('Value out of range')
+  })
+
+  it('should recover after a cycle or failure', () => {
+    let fail = true
+
+    @Singleton()
+    class Flaky {
+      constructor() {
+        if (fail) {
+          throw new Error('Not ready')
+        }
+      }
+    }
+
+    @Singleton()
+    class Consumer {
+      @Inject(Flaky) flaky
+    }
+
+    expect(() => resolve(Consumer)).toThrow('Not ready')
+    fail = false
+    expect(resolve(Consumer).flaky).toBeInstanceOf(Flaky)
+  })
+
+  it('should allow the same registration in separate branches', () => {
+    // Root captures the Branch factory, which is reported as a warning
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+    @Singleton()
+    class Shared {}
+
+    @Factory()
+    class Branch {
+      @Inject(Shared) shared
+    }
+
+    @Singleton()
+    class Root {
+      @Inject(Branch) left
+      @Inject(Branch) right
+    }
+
+    const root = resolve(Root)
+    expect(root.left.shared).toBe(root.right.shared)
+    expect(warn).toHaveBeenCalledTimes(2)
+  })
+
+  it('should allow lazy cycles', () => {
+    @Singleton()
+    class Parent {
+      @InjectLazy('ChildService') child
+    }
+
+    @Singleton('ChildService')
+    class ChildService {
+      @Inject(Parent) parent
+    }
+
+    const parent = resolve(Parent)
+    expect(parent.child.parent).toBe(parent)
+  })
+
+  it('should detect cycles with resolveAsync()', async () => {
+    @Singleton()
+    class AsyncAService {
+      @Inject('AsyncBService') b
+    }
+
+    @Singleton('AsyncBService')
+    class AsyncBService {
+      @Inject(AsyncAService) a
+    }
+
+    await expect(resolveAsync(AsyncAService)).rejects.toThrow(
+      'Circular dependency detected: AsyncAService -> AsyncBService -> AsyncAService (fields: AsyncAService.b -> AsyncBService.a)'
+    )
+  })
+
+  it('should detect cycles between factory functions in isolated containers', () => {
+    const container = new Container()
+    container.registerFactoryFunction('first', c => ({second: c.resolve('second')}))
+    container.registerFactoryFunction('second', c => ({first: c.resolve('first')}))
+
+    expect(() => container.resolve('first')).toThrow('Circular dependency detected: first -> second -> first.')
+  })
+})
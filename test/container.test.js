@@ -110,21 +110,19 @@ describe('Container', () => {
       )
     })
 
-    it('should list available registrations in error message', () => {
+    it('should suggest similar registrations in error message', () => {
       class RegisteredOne {}
       class RegisteredTwo {}
-      class Unregistered {}
+      class Unrelated {}
 
       container.registerSingleton(RegisteredOne)
       container.registerFactory(RegisteredTwo, 'customTwo')
+      container.registerSingleton(Unrelated)
 
-      try {
-        container.getContext(Unregistered)
-        fail('Expected an error to be thrown')
-      } catch (err) {
-        expect(err.message).toContain('RegisteredOne')
-        expect(err.message).toContain('customTwo')
-      }
+      expect(() => container.getContext('registeredOn')).toThrow(
+        'Cannot find injection source for "registeredOn". Did you mean "RegisteredOne"?'
+      )
+      expect(() => container.getContext('customTow')).toThrow('Did you mean "customTwo"?')
     })
   })
 
@@ -214,17 +212,20 @@ describe('Container', () => {
       expect(container.getInstance(context2, []).getValue()).toBe('original2')
     })
 
-    it('should throw when mocking already mocked class', () => {
+    it('should stack mocks of an already mocked class', () => {
       class Original {}
       class Mock1 {}
       class Mock2 {}
 
-      container.registerSingleton(Original)
+      container.registerFactory(Original)
       container.registerMock(Original, Mock1)
+      container.registerMock(Original, Mock2)
 
-      expect(() => container.registerMock(Original, Mock2)).toThrow(
-        'Mock already defined, reset before mocking again'
-      )
+      expect(container.resolve(Original)).toBeInstanceOf(Mock2)
+      container.resetMock(Original)
+      expect(container.resolve(Original)).toBeInstanceOf(Mock1)
+      container.resetMock(Original)
+      expect(container.resolve(Original)).toBeInstanceOf(Original)
     })
 
     it('should support proxy mocking', () => {
@@ -0,0 +1,206 @@
+import {
+  Singleton,
+  Factory,
+  Mock,
+  registerValue,
+  registerFactoryFunction,
+  registerAlias,
+  resolve,
+  resetMock,
+  resetMocks,
+  validateContainer,
+  clearContainer,
+  ValidationError
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('Deferred mocks', () => {
+  afterEach(() => {
+    resetMocks()
+    clearContainer()
+  })
+
+  it('should apply a mock declared before the class is registered', () => {
+    class PaymentService {
+      charge() {
+        return 'real'
+      }
+    }
+
+    @Mock(PaymentService)
+    class PaymentMock {
+      charge() {
+        return 'mock'
+      }
+    }
+
+    Singleton()(PaymentService, {kind: 'class'})
+
+    expect(resolve(PaymentService)).toBeInstanceOf(PaymentMock)
+    resetMock(PaymentService)
+    expect(resolve(PaymentService).charge()).toBe('real')
+  })
+
+  it('should apply mocks declared before a named registration', () => {
+    @Mock('mailer', true)
+    class MailerMock {
+      send() {
+        return 'mock'
+      }
+    }
+
+    @Factory('mailer')
+    class SmtpMailer {
+      send() {
+        return 'smtp'
+      }
+
+      close() {
+        return 'closed'
+      }
+    }
+
+    const mailer = resolve('mailer')
+    expect(mailer.send()).toBe('mock')
+    expect(mailer.close()).toBe('closed')
+    expect(SmtpMailer).toBeDefined()
+  })
+
+  it('should apply mocks declared before values, factory functions and aliases', () => {
+    @Mock('config')
+    class ConfigMock {}
+
+    @Mock('clock')
+    class ClockMock {}
+
+    @Mock('settings')
+    class SettingsMock {}
+
+    registerValue('config', {})
+    registerFactoryFunction('clock', () => new Date())
+    registerAlias('settings', 'environment')
+    expect(() => validateContainer()).toThrow('Mock SettingsMock of "settings" was never applied')
+    registerValue('environment', {})
+
+    expect(resolve('config')).toBeInstanceOf(ConfigMock)
+    expect(resolve('clock')).toBeInstanceOf(ClockMock)
+    expect(resolve('settings')).toBeInstanceOf(SettingsMock)
+    expect(resolve('environment')).toBeInstanceOf(SettingsMock)
+  })
+
+  it('should stack deferred mocks in the order they were declared', () => {
+    @Mock('storage')
+    class SuiteStorageMock {}
+
+    @Mock('storage')
+    class TestStorageMock {}
+
+    @Factory('storage')
+    class StorageFactory {}
+
+    expect(resolve('storage')).toBeInstanceOf(TestStorageMock)
+    resetMock('storage')
+    expect(resolve('storage')).toBeInstanceOf(SuiteStorageMock)
+    resetMock('storage')
+    expect(resolve('storage')).toBeInstanceOf(StorageFactory)
+  })
+
+  it('should drop deferred mocks with resetMock() and resetMocks()', () => {
+    @Mock('storage')
+    class SuiteStorageMock {}
+
+    @Mock('storage')
+    class TestStorageMock {}
+
+    @Mock('cache')
+    class CacheMock {}
+
+    resetMock('storage')
+    resetMocks()
+
+    @Factory('storage')
+    class StorageFactory {}
+
+    @Factory('cache')
+    class CacheFactory {}
+
+    expect(resolve('storage')).toBeInstanceOf(StorageFactory)
+    expect(resolve('cache')).toBeInstanceOf(CacheFactory)
+  })
+
+  it('should report mocks that never matched a registration', () => {
+    @Singleton('mailer')
+    class MailerService {}
+
+    @Mock('mailr')
+    class MailerMock {}
+
+    const error = (() => {
+      try {
+        validateContainer()
+      } catch (err) {
+        return err
+      }
+    })()
+    expect(error).toBeInstanceOf(ValidationError)
+    expect(error.problems).toEqual([
+      'Mock MailerMock of "mailr" was never applied: "mailr" is not registered. Did you mean "mailer"?'
+    ])
+  })
+
+  it('should report mocks whose key only has multi providers', () => {
+    @Mock('validators')
+    class ValidatorMock {}
+
+    @Factory('validators', {multi: true})
+    class EmailValidatorFactory {}
+
+    expect(() => validateContainer()).toThrow(
+      'Mock ValidatorMock of "validators" was never applied: "validators" has multiple providers, which cannot be mocked'
+    )
+  })
+
+  it('should log deferred mocks', () => {
+    const container = new Container()
+    const logger = {info: jest.fn()}
+    container.setLogger(logger)
+
+    class ServiceMock {}
+
+    container.registerMock('service', ServiceMock)
+
+    expect(logger.info).toHaveBeenCalledWith(
+      {event: 'deferMock', token: 'service', mock: ServiceMock},
+      'Deferred mock of service with ServiceMock until it is registered'
+    )
+  })
+
+  it('should keep deferred mocks local to the container they were declared on', () => {
+    const parent = new Container()
+    const child = parent.createChild()
+
+    class ServiceFactory {}
+
+    class ServiceMock {}
+
+    child.registerMock(ServiceFactory, ServiceMock)
+    parent.registerFactory(ServiceFactory)
+    expect(parent.resolve(ServiceFactory)).toBeInstanceOf(ServiceFactory)
+    expect(() => child.validate()).toThrow('was never applied')
+
+    child.registerFactory(ServiceFactory)
+    expect(child.resolve(ServiceFactory)).toBeInstanceOf(ServiceMock)
+  })
+
+  it('should forget deferred mocks when the container is cleared', () => {
+    @Mock('storage')
+    class StorageMock {}
+
+    clearContainer()
+
+    @Factory('storage')
+    class StorageFactory {}
+
+    expect(resolve('storage')).toBeInstanceOf(StorageFactory)
+  })
+})
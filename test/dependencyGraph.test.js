@@ -0,0 +1,265 @@
+import {
+  Singleton,
+  Factory,
+  Scoped,
+  Inject,
+  InjectLazy,
+  InjectOptional,
+  InjectAll,
+  Mock,
+  registerValue,
+  registerFactoryFunction,
+  registerAlias,
+  getDependencyGraph,
+  clearContainer
+} from '../index.js'
+import {Container} from '../src/Container.js'
+import {getInjectionPoints} from '../src/graph.js'
+
+describe('Dependency graph', () => {
+  afterEach(() => {
+    clearContainer()
+  })
+
+  describe('injection points', () => {
+    it('should record injected fields at decoration time', () => {
+      class Consumer {
+        @Inject('database') db
+        @InjectLazy('cache') cache
+        @InjectLazy('tracer') #tracer
+        @InjectLazy('mailer') accessor #mailer
+        @InjectOptional('metrics') metrics
+        @Inject('logger', 'consumer', {optional: true}) logger
+        @InjectAll('plugins') plugins
+        @InjectOptional('config') static config
+
+        getPrivate() {
+          return [this.#tracer, this.#mailer]
+        }
+      }
+
+      // Decorators are not necessarily applied in declaration order
+      const points = getInjectionPoints(Consumer)
+      expect(points).toHaveLength(8)
+      expect(points).toEqual(expect.arrayContaining([
+        {field: 'db', token: 'database', lazy: false, static: false, optional: false, multi: false},
+        {field: 'cache', token: 'cache', lazy: true, static: false, optional: false, multi: false},
+        {field: '#tracer', token: 'tracer', lazy: false, static: false, optional: false, multi: false},
+        {field: '#mailer', token: 'mailer', lazy: true, static: false, optional: false, multi: false},
+        {field: 'metrics', token: 'metrics', lazy: false, static: false, optional: true, multi: false},
+        {field: 'logger', token: 'logger', lazy: false, static: false, optional: true, multi: false},
+        {field: 'plugins', token: 'plugins', lazy: false, static: false, optional: false, multi: true},
+        {field: 'config', token: 'config', lazy: false, static: true, optional: true, multi: false}
+      ]))
+    })
+
+    it('should include injected fields of parent classes without changing them', () => {
+      class BaseRepository {
+        @Inject('database') db
+      }
+
+      class UserRepository extends BaseRepository {
+        @Inject('cache') cache
+      }
+
+      expect(getInjectionPoints(UserRepository).map(point => point.field)).toEqual(['db', 'cache'])
+      expect(getInjectionPoints(BaseRepository).map(point => point.field)).toEqual(['db'])
+    })
+
+    it('should return an empty list for classes without injections', () => {
+      class Plain {}
+
+      expect(getInjectionPoints(Plain)).toEqual([])
+      expect(getInjectionPoints(undefined)).toEqual([])
+    })
+  })
+
+  describe('getDependencyGraph', () => {
+    it('should describe registrations and their dependencies', () => {
+      @Singleton()
+      class Database {}
+
+      @Factory('logger')
+      class Logger {}
+
+      @Singleton()
+      class UserService {
+        @Inject(Database) db
+        @InjectLazy('logger') logger
+      }
+
+      const {nodes, edges} = getDependencyGraph()
+
+      expect(nodes).toEqual([
+        expect.objectContaining({token: Database, name: 'Database', type: 'singleton', provider: 'class', mock: false}),
+        expect.objectContaining({token: 'logger', name: 'logger', type: 'factory', clazz: Logger}),
+        expect.objectContaining({token: UserService, name: 'UserService', type: 'singleton', multi: false})
+      ])
+      expect(edges).toEqual([
+        {
+          from: UserService,
+          to: Database,
+          consumer: UserService,
+          field: 'db',
+          lazy: false,
+          static: false,
+          optional: false,
+          multi: false,
+          alias: false
+        },
+        expect.objectContaining({from: UserService, to: 'logger', field: 'logger', lazy: true})
+      ])
+    })
+
+    it('should answer who depends on a registration', () => {
+      @Singleton()
+      class Database {}
+
+      @Singleton()
+      class OrderService {
+        @Inject(Database) db
+      }
+
+      @Scoped()
+      class RequestAudit {
+        @Inject(Database) db
+      }
+
+      @Singleton()
+      class UnrelatedService {}
+
+      const dependents = getDependencyGraph().edges
+        .filter(edge => edge.to === Database)
+        .map(edge => edge.consumer)
+      expect(dependents).toEqual([OrderService, RequestAudit])
+    })
+
+    it('should not create any instances', () => {
+      let created = 0
+
+      @Singleton()
+      class Expensive {
+        constructor() {
+          created++
+        }
+      }
+
+      @Singleton()
+      class ExpensiveConsumer {
+        @Inject(Expensive) expensive
+      }
+
+      getDependencyGraph()
+      expect(created).toBe(0)
+    })
+
+    it('should include edges to unregistered tokens', () => {
+      @Singleton()
+      class ReportService {
+        @Inject('missing') missing
+      }
+
+      expect(getDependencyGraph().edges).toEqual([
+        expect.objectContaining({from: ReportService, to: 'missing'})
+      ])
+    })
+
+    it('should describe values, factory functions and aliases', () => {
+      registerValue('config', {})
+      registerFactoryFunction('client', () => ({}), {singleton: true})
+      registerAlias('settings', 'config')
+
+      const {nodes, edges} = getDependencyGraph()
+      expect(nodes).toEqual([
+        expect.objectContaining({token: 'settings', type: 'alias', provider: 'alias'}),
+        expect.objectContaining({token: 'config', type: 'singleton', provider: 'value'}),
+        expect.objectContaining({token: 'client', type: 'singleton', provider: 'factory'})
+      ])
+      expect(edges).toEqual([expect.objectContaining({from: 'settings', to: 'config', alias: true})])
+    })
+
+    it('should describe mocks with the original they replace', () => {
+      @Singleton()
+      class PaymentGateway {
+        @Inject('http') http
+      }
+
+      @Mock(PaymentGateway)
+      class PaymentGatewayMock {
+        @Inject('ledger') ledger
+      }
+
+      const {nodes, edges} = getDependencyGraph()
+      expect(nodes).toEqual([
+        expect.objectContaining({
+          token: PaymentGateway,
+          clazz: PaymentGatewayMock,
+          mock: true,
+          original: {clazz: PaymentGateway}
+        })
+      ])
+      expect(edges.map(edge => edge.to)).toEqual(['ledger'])
+    })
+
+    it('should include the fields of the original class for proxy mocks', () => {
+      @Singleton()
+      class Mailer {
+        @Inject('smtp') smtp
+      }
+
+      @Mock(Mailer, true)
+      class MailerMock {
+        @Inject('outbox') outbox
+      }
+
+      expect(getDependencyGraph().edges.map(edge => [edge.consumer, edge.to])).toEqual([
+        [MailerMock, 'outbox'],
+        [Mailer, 'smtp']
+      ])
+    })
+
+    it('should describe every multi provider', () => {
+      @Singleton('validators', {multi: true})
+      class EmailValidator {
+        @Inject('dns') dns
+      }
+
+      @Factory('validators', {multi: true})
+      class LengthValidator {}
+
+      @Singleton()
+      class FormService {
+        @InjectAll('validators') validators
+      }
+
+      const {nodes, edges} = getDependencyGraph()
+      expect(nodes.filter(node => node.multi).map(node => node.clazz)).toEqual([EmailValidator, LengthValidator])
+      expect(edges).toEqual([
+        expect.objectContaining({from: FormService, to: 'validators', multi: true}),
+        expect.objectContaining({from: 'validators', consumer: EmailValidator, to: 'dns'})
+      ])
+    })
+
+    it('should include parent registrations in child containers', () => {
+      class Database {}
+      class Cache {}
+      class LocalCache {}
+
+      const parent = new Container()
+      parent.registerSingleton(Database)
+      parent.registerSingleton(Cache, 'cache')
+      const child = parent.createChild()
+      child.registerSingleton(LocalCache, 'cache')
+
+      const {nodes} = child.getDependencyGraph()
+      expect(nodes).toEqual([
+        expect.objectContaining({token: Database, inherited: true}),
+        expect.objectContaining({token: 'cache', clazz: LocalCache, inherited: false})
+      ])
+      expect(parent.getDependencyGraph().nodes).toEqual([
+        expect.objectContaining({token: Database, inherited: false}),
+        expect.objectContaining({token: 'cache', clazz: Cache, inherited: false})
+      ])
+    })
+  })
+})
@@ -0,0 +1,404 @@
+import {Container} from '../src/Container.js'
+import {PreDestroy, Scoped, resolve, runInScope, clearContainer} from '../index.js'
+
+// Jest's sandbox does not expose the explicit resource management symbols on every Node version
+const DISPOSE = Symbol.dispose ?? Symbol.for('Symbol.dispose')
+const ASYNC_DISPOSE = Symbol.asyncDispose ?? Symbol.for('Symbol.asyncDispose')
+
+describe('Container Disposal', () => {
+  let container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  describe('dispose()', () => {
+    it('should call Symbol.dispose, close() or destroy() on created instances', () => {
+      const calls = []
+      class WithDispose {
+        [DISPOSE]() {
+          calls.push('dispose')
+        }
+      }
+      class WithClose {
+        close() {
+          calls.push('close')
+        }
+      }
+      class WithDestroy {
+        destroy() {
+          calls.push('destroy')
+        }
+      }
+      container.registerSingleton(WithDispose)
+      container.registerSingleton(WithClose)
+      container.registerSingleton(WithDestroy)
+      container.resolve(WithDispose)
+      container.resolve(WithClose)
+      container.resolve(WithDestroy)
+
+      container.dispose()
+
+      expect(calls).toEqual(['destroy', 'close', 'dispose'])
+    })
+
+    it('should prefer Symbol.dispose over close() and destroy()', () => {
+      const calls = []
+      class Resource {
+        [DISPOSE]() {
+          calls.push('dispose')
+        }
+        close() {
+          calls.push('close')
+        }
+      }
+      container.registerSingleton(Resource)
+      container.resolve(Resource)
+
+      container.dispose()
+
+      expect(calls).toEqual(['dispose'])
+    })
+
+    it('should dispose in reverse creation order, including factory instances', () => {
+      const calls = []
+      class Singleton1 {
+        close() {
+          calls.push('singleton')
+        }
+      }
+      class Worker {
+        constructor(id) {
+          this.id = id
+        }
+        close() {
+          calls.push(`worker ${this.id}`)
+        }
+      }
+      container.registerFactory(Worker)
+      container.registerSingleton(Singleton1)
+      container.resolve(Worker, 1)
+      container.resolve(Singleton1)
+      container.resolve(Worker, 2)
+
+      container.dispose()
+
+      expect(calls).toEqual(['worker 2', 'singleton', 'worker 1'])
+    })
+
+    it('should run @PreDestroy before the dispose method without calling the same method twice', () => {
+      const calls = []
+      class Pool {
+        @PreDestroy()
+        drain() {
+          calls.push('drain')
+        }
+        close() {
+          calls.push('close')
+        }
+      }
+      class Client {
+        @PreDestroy()
+        close() {
+          calls.push('client close')
+        }
+      }
+      container.registerSingleton(Pool)
+      container.registerSingleton(Client)
+      container.resolve(Pool)
+      container.resolve(Client)
+
+      container.dispose()
+
+      expect(calls).toEqual(['client close', 'drain', 'close'])
+    })
+
+    it('should only dispose each instance once', () => {
+      let count = 0
+      class Resource {
+        close() {
+          count++
+        }
+      }
+      container.registerSingleton(Resource)
+      container.resolve(Resource)
+
+      container.dispose()
+      container.dispose()
+
+      expect(count).toBe(1)
+    })
+
+    it('should keep registrations and create new instances afterwards', () => {
+      class Resource {}
+      container.registerSingleton(Resource)
+      const before = container.resolve(Resource)
+
+      container.dispose()
+
+      expect(container.has(Resource)).toBe(true)
+      expect(container.resolve(Resource)).not.toBe(before)
+    })
+
+    it('should aggregate errors and keep disposing', () => {
+      const calls = []
+      class First {
+        close() {
+          calls.push('first')
+          throw new Error('first failed')
+        }
+      }
+      class Second {
+        close() {
+          calls.push('second')
+          throw new Error('second failed')
+        }
+      }
+      container.registerSingleton(First)
+      container.registerSingleton(Second)
+      container.resolve(First)
+      container.resolve(Second)
+
+      let error
+      try {
+        container.dispose()
+      } catch (err) {
+        error = err
+      }
+
+      expect(error).toBeInstanceOf(AggregateError)
+      expect(error.errors.map(e => e.message)).toEqual(['second failed', 'first failed'])
+      expect(calls).toEqual(['second', 'first'])
+    })
+
+    it('should only keep instances with something to tear down', () => {
+      const disposed = []
+      container.on('dispose', ({instances}) => disposed.push(...instances))
+      class RequestFactory {}
+      class ConnectionFactory {
+        close() {}
+      }
+      container.registerFactory(RequestFactory)
+      container.registerFactory(ConnectionFactory)
+      container.registerValue('pool', {close() {}})
+      container.resolve(RequestFactory)
+      container.resolve(RequestFactory)
+      container.resolve(RequestFactory)
+      const connection = container.resolve(ConnectionFactory)
+      container.resolve('pool')
+
+      container.dispose()
+
+      expect(disposed).toEqual([connection])
+    })
+
+    it('should log rejections of async dispose methods it does not await', async () => {
+      const logger = {error: jest.fn()}
+      container.setLogger(logger)
+      const error = new Error('close failed')
+      class Pool {
+        async [ASYNC_DISPOSE]() {
+          throw error
+        }
+      }
+      container.registerSingleton(Pool)
+      const pool = container.resolve(Pool)
+
+      expect(() => container.dispose()).not.toThrow()
+      await new Promise(resolve => setTimeout(resolve, 1))
+
+      expect(logger.error).toHaveBeenCalledWith(
+        {event: 'teardownError', instance: pool, error},
+        'Asynchronous teardown of Pool failed: close failed'
+      )
+    })
+
+    it('should log rejections of async @PreDestroy methods when clearing', async () => {
+      const logger = {error: jest.fn()}
+      container.setLogger(logger)
+      class Connection {
+        @PreDestroy()
+        async close() {
+          throw new Error('close failed')
+        }
+      }
+      container.registerSingleton(Connection)
+      container.resolve(Connection)
+
+      container.clear()
+      await new Promise(resolve => setTimeout(resolve, 1))
+
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.objectContaining({event: 'teardownError'}),
+        'Asynchronous teardown of Connection failed: close failed'
+      )
+    })
+
+    it('should not dispose parent singletons from a child container', () => {
+      let closed = false
+      class Shared {
+        close() {
+          closed = true
+        }
+      }
+      container.registerSingleton(Shared)
+      const child = container.createChild()
+      child.resolve(Shared)
+
+      child.dispose()
+      expect(closed).toBe(false)
+
+      container.dispose()
+      expect(closed).toBe(true)
+    })
+
+    it('should support the using declaration protocol', () => {
+      let closed = false
+      class Resource {
+        close() {
+          closed = true
+        }
+      }
+      container.registerSingleton(Resource)
+      container.resolve(Resource)
+
+      container[DISPOSE]()
+
+      expect(closed).toBe(true)
+    })
+  })
+
+  describe('disposeAsync()', () => {
+    it('should await Symbol.asyncDispose in reverse creation order', async () => {
+      const calls = []
+      class Database {
+        async [ASYNC_DISPOSE]() {
+          await new Promise(resolve => setTimeout(resolve, 5))
+          calls.push('database')
+        }
+      }
+      class Cache {
+        async [ASYNC_DISPOSE]() {
+          calls.push('cache')
+        }
+      }
+      container.registerSingleton(Database)
+      container.registerSingleton(Cache)
+      container.resolve(Database)
+      container.resolve(Cache)
+
+      await container.disposeAsync()
+
+      expect(calls).toEqual(['cache', 'database'])
+    })
+
+    it('should await async @PreDestroy methods', async () => {
+      const calls = []
+      class Queue {
+        @PreDestroy()
+        async flush() {
+          await new Promise(resolve => setTimeout(resolve, 1))
+          calls.push('flush')
+        }
+        destroy() {
+          calls.push('destroy')
+        }
+      }
+      container.registerSingleton(Queue)
+      container.resolve(Queue)
+
+      await container.disposeAsync()
+
+      expect(calls).toEqual(['flush', 'destroy'])
+    })
+
+    it('should fall back to synchronous disposal methods', async () => {
+      const calls = []
+      class Resource {
+        [DISPOSE]() {
+          calls.push('dispose')
+        }
+      }
+      container.registerSingleton(Resource)
+      container.resolve(Resource)
+
+      await container.disposeAsync()
+
+      expect(calls).toEqual(['dispose'])
+    })
+
+    it('should aggregate rejections', async () => {
+      class First {
+        async close() {
+          throw new Error('first failed')
+        }
+      }
+      class Second {
+        close() {
+          throw new Error('second failed')
+        }
+      }
+      container.registerSingleton(First)
+      container.registerSingleton(Second)
+      container.resolve(First)
+      container.resolve(Second)
+
+      const error = await container.disposeAsync().catch(err => err)
+
+      expect(error).toBeInstanceOf(AggregateError)
+      expect(error.errors.map(e => e.message)).toEqual(['second failed', 'first failed'])
+    })
+
+    it('should support the await using declaration protocol', async () => {
+      let closed = false
+      class Resource {
+        async close() {
+          closed = true
+        }
+      }
+      container.registerSingleton(Resource)
+      container.resolve(Resource)
+
+      await container[ASYNC_DISPOSE]()
+
+      expect(closed).toBe(true)
+    })
+  })
+
+  describe('scoped instances', () => {
+    afterEach(() => {
+      clearContainer()
+    })
+
+    it('should dispose scoped instances when a synchronous scope ends', () => {
+      let closed = false
+
+      @Scoped()
+      class Transaction {
+        close() {
+          closed = true
+        }
+      }
+
+      runInScope(() => resolve(Transaction))
+      expect(closed).toBe(true)
+    })
+
+    it('should await disposal of scoped instances when an asynchronous scope ends', async () => {
+      const calls = []
+
+      @Scoped()
+      class Transaction {
+        async [ASYNC_DISPOSE]() {
+          await new Promise(resolve => setTimeout(resolve, 1))
+          calls.push('disposed')
+        }
+      }
+
+      await runInScope(async () => {
+        resolve(Transaction)
+      })
+      expect(calls).toEqual(['disposed'])
+    })
+  })
+})
@@ -0,0 +1,194 @@
+import {
+  Singleton,
+  Factory,
+  Scoped,
+  Inject,
+  InjectLazy,
+  PostConstruct,
+  Mock,
+  registerAlias,
+  registerFactoryFunction,
+  resolve,
+  resetMock,
+  withMocks,
+  validateRegistrations,
+  validateContainer,
+  clearContainer,
+  DIError,
+  NotRegisteredError,
+  DuplicateRegistrationError,
+  CircularDependencyError,
+  MockError,
+  InvalidDecoratorTargetError,
+  ValidationError
+} from '../index.js'
+
+/**
+ * Run a function and return the error it throws.
+ * @param {Function} fn The function to run
+ * @returns {Error}
+ */
+function errorOf(fn) {
+  try {
+    fn()
+  } catch (error) {
+    return error
+  }
+  throw new Error('Expected an error to be thrown')
+}
+
+describe('Error classes', () => {
+  afterEach(() => {
+    clearContainer()
+  })
+
+  it('should extend DIError and Error', () => {
+    const error = new NotRegisteredError('missing', {token: 'db'})
+
+    expect(error).toBeInstanceOf(NotRegisteredError)
+    expect(error).toBeInstanceOf(DIError)
+    expect(error).toBeInstanceOf(Error)
+    expect(error.name).toBe('NotRegisteredError')
+    expect(error.code).toBe('ERR_DI_NOT_REGISTERED')
+    expect(error.token).toBe('db')
+    expect(error.tokens).toEqual(['db'])
+  })
+
+  it('should keep the cause of wrapped errors', () => {
+    const cause = new TypeError('boom')
+    const error = new DIError('Failed', {code: 'ERR_DI_CUSTOM', cause})
+
+    expect(error.cause).toBe(cause)
+    expect(error.code).toBe('ERR_DI_CUSTOM')
+    expect('cause' in new DIError('Failed')).toBe(false)
+  })
+
+  it('should throw NotRegisteredError for missing registrations', () => {
+    class Database {}
+
+    const error = errorOf(() => resolve(Database))
+    expect(error).toBeInstanceOf(NotRegisteredError)
+    expect(error.code).toBe('ERR_DI_NOT_REGISTERED')
+    expect(error.token).toBe(Database)
+  })
+
+  it('should list every missing token in validateRegistrations', () => {
+    const error = errorOf(() => validateRegistrations('a', 'b'))
+
+    expect(error).toBeInstanceOf(NotRegisteredError)
+    expect(error.token).toBe('a')
+    expect(error.tokens).toEqual(['a', 'b'])
+  })
+
+  it('should throw NotRegisteredError when resetting an unknown mock', () => {
+    expect(() => resetMock('unknown')).toThrow(NotRegisteredError)
+  })
+
+  it('should throw DuplicateRegistrationError for duplicate names', () => {
+    @Singleton('service')
+    class FirstService {}
+
+    const error = errorOf(() => {
+      @Factory('service')
+      class SecondService {}
+    })
+    expect(error).toBeInstanceOf(DuplicateRegistrationError)
+    expect(error.code).toBe('ERR_DI_DUPLICATE_REGISTRATION')
+    expect(error.token).toBe('service')
+  })
+
+  it('should throw CircularDependencyError for cycles', () => {
+    @Factory('a')
+    class _A {
+      @Inject('b') b
+    }
+
+    @Factory('b')
+    class _B {
+      @Inject('a') a
+    }
+
+    const error = errorOf(() => resolve('a'))
+    expect(error).toBeInstanceOf(CircularDependencyError)
+    expect(error.code).toBe('ERR_DI_CIRCULAR_DEPENDENCY')
+    expect(error.token).toBe('a')
+  })
+
+  it('should throw CircularDependencyError for alias cycles', () => {
+    registerAlias('a', 'b')
+
+    const error = errorOf(() => registerAlias('b', 'a'))
+    expect(error).toBeInstanceOf(CircularDependencyError)
+    expect(error.token).toBe('b')
+  })
+
+  it('should throw MockError when withMocks() lists a key twice', () => {
+    @Singleton()
+    class MailService {}
+
+    class MailMock {}
+
+    const error = errorOf(() => withMocks([[MailService, MailMock], [MailService, MailMock]], () => {}))
+    expect(error).toBeInstanceOf(MockError)
+    expect(error.code).toBe('ERR_DI_MOCK')
+    expect(error.token).toBe(MailService)
+  })
+
+  it('should throw InvalidDecoratorTargetError for unsupported targets', () => {
+    const inject = errorOf(() => {
+      class Consumer {
+        @Inject('a') method() {}
+      }
+    })
+    expect(inject).toBeInstanceOf(InvalidDecoratorTargetError)
+    expect(inject.code).toBe('ERR_DI_INVALID_TARGET')
+
+    expect(() => {
+      class _Lazy {
+        @InjectLazy('a') method() {}
+      }
+    }).toThrow(InvalidDecoratorTargetError)
+    expect(() => {
+      class _Hook {
+        @PostConstruct() static init() {}
+      }
+    }).toThrow(InvalidDecoratorTargetError)
+    expect(() => Singleton()(class {}, {kind: 'method'})).toThrow(InvalidDecoratorTargetError)
+  })
+
+  it('should use DIError codes for other failures', () => {
+    @Scoped()
+    class RequestService {}
+
+    @Factory('config')
+    class ConfigFactory {}
+
+    class Consumer {
+      @Inject('config') config = {}
+    }
+
+    expect(errorOf(() => resolve(RequestService)).code).toBe('ERR_DI_NO_SCOPE')
+    expect(errorOf(() => registerFactoryFunction('x', 'not a function')).code).toBe('ERR_DI_INVALID_ARGUMENT')
+    expect(errorOf(() => new Consumer())).toMatchObject({
+      name: 'DIError',
+      code: 'ERR_DI_INJECTED_FIELD_ASSIGNMENT'
+    })
+  })
+
+  it('should report every problem in ValidationError', () => {
+    @Singleton()
+    class ReportService {
+      @Inject('database') db
+      @Inject('cache') cache
+    }
+
+    const error = errorOf(() => validateContainer())
+    expect(error).toBeInstanceOf(ValidationError)
+    expect(error.code).toBe('ERR_DI_VALIDATION')
+    expect(error.problems).toHaveLength(2)
+    expect(error.problems).toEqual(expect.arrayContaining([
+      'ReportService.db: "database" is not registered',
+      'ReportService.cache: "cache" is not registered'
+    ]))
+  })
+})
@@ -0,0 +1,252 @@
+import {
+  Singleton,
+  Factory,
+  Scoped,
+  Inject,
+  Mock,
+  registerValue,
+  registerAlias,
+  resolve,
+  resolveAsync,
+  resetMock,
+  resetMocks,
+  runInScope,
+  getContainer,
+  clearContainer
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('Container events', () => {
+  let container
+  let unsubscribes
+
+  beforeEach(() => {
+    container = getContainer()
+    unsubscribes = []
+  })
+
+  afterEach(() => {
+    unsubscribes.forEach(unsubscribe => unsubscribe())
+    clearContainer()
+  })
+
+  /**
+   * Record the payloads of an event on the default container.
+   * @param {string} event The event name
+   * @returns {Array<Object>} The payloads, filled as events are emitted
+   */
+  function record(event) {
+    const payloads = []
+    unsubscribes.push(container.on(event, payload => payloads.push(payload)))
+    return payloads
+  }
+
+  it('should emit register events', () => {
+    const registered = record('register')
+
+    @Singleton()
+    class UserService {}
+
+    @Factory('validators', {multi: true})
+    class EmailValidatorFactory {}
+
+    registerValue('config', {})
+    registerAlias('settings', 'config')
+
+    expect(registered).toEqual([
+      {token: UserService, type: 'singleton'},
+      {token: 'validators', type: 'factory', multi: true},
+      {token: 'config', type: 'value'},
+      {token: 'settings', type: 'alias', target: 'config'}
+    ])
+    expect(EmailValidatorFactory).toBeDefined()
+  })
+
+  it('should emit resolve, create and cacheHit events', () => {
+    const events = []
+    for (const event of ['resolve', 'create', 'cacheHit']) {
+      unsubscribes.push(container.on(event, payload => events.push({event, ...payload})))
+    }
+
+    @Singleton()
+    class Database {}
+
+    class UserConsumer {
+      @Inject(Database) db
+    }
+
+    const first = new UserConsumer().db
+    resolve(Database)
+
+    expect(events).toEqual([
+      {
+        event: 'resolve',
+        token: Database,
+        type: 'singleton',
+        params: [],
+        injectionPoint: {consumer: 'UserConsumer', field: 'db', lazy: false}
+      },
+      {
+        event: 'create',
+        token: Database,
+        type: 'singleton',
+        instance: first,
+        durationMs: expect.any(Number),
+        mocked: false,
+        async: false
+      },
+      {event: 'resolve', token: Database, type: 'singleton', params: [], injectionPoint: undefined},
+      {event: 'cacheHit', token: Database, type: 'singleton', instance: first}
+    ])
+  })
+
+  it('should let a test count the instances created for a token', () => {
+    let connections = 0
+    unsubscribes.push(container.on('create', ({token}) => {
+      if (token === ConnectionFactory) {
+        connections++
+      }
+    }))
+
+    @Factory()
+    class ConnectionFactory {}
+
+    resolve(ConnectionFactory)
+    resolve(ConnectionFactory)
+    resolve(ConnectionFactory)
+
+    expect(connections).toBe(3)
+  })
+
+  it('should emit events for scoped and asynchronous instances', async () => {
+    const created = record('create')
+    const hits = record('cacheHit')
+
+    @Scoped()
+    class RequestContext {}
+
+    @Singleton()
+    class QueueService {
+      async init() {}
+    }
+
+    runInScope(() => {
+      resolve(RequestContext)
+      resolve(RequestContext)
+    })
+    const queue = await resolveAsync(QueueService)
+    await resolveAsync(QueueService)
+
+    expect(created.map(payload => [payload.token, payload.async])).toEqual([
+      [RequestContext, false],
+      [QueueService, true]
+    ])
+    expect(hits.map(payload => payload.token)).toEqual([RequestContext, QueueService])
+    expect(hits[1].instance).toBe(queue)
+  })
+
+  it('should emit mock and resetMock events', () => {
+    const mocked = record('mock')
+    const reset = record('resetMock')
+    const created = record('create')
+
+    @Singleton()
+    class MailService {}
+
+    @Singleton()
+    class SmsService {}
+
+    @Mock(MailService)
+    class MailMock {}
+
+    @Mock(SmsService, true)
+    class SmsMock {}
+
+    resolve(MailService)
+    resetMock(MailService)
+    resetMocks()
+
+    expect(mocked).toEqual([
+      {token: MailService, mock: MailMock, proxy: false},
+      {token: SmsService, mock: SmsMock, proxy: true}
+    ])
+    expect(created[0]).toMatchObject({token: MailService, mocked: true})
+    expect(reset).toEqual([
+      {token: MailService, mock: MailMock},
+      {token: SmsService, mock: SmsMock}
+    ])
+  })
+
+  it('should emit clear and dispose events with the torn down instances', () => {
+    const isolated = new Container()
+    const cleared = []
+    const disposed = []
+    isolated.on('clear', payload => cleared.push(payload))
+    isolated.on('dispose', payload => disposed.push(payload))
+
+    class Cache {
+      close() {}
+    }
+    isolated.registerSingleton(Cache)
+    const cache = isolated.resolve(Cache)
+    isolated.dispose()
+    isolated.clear()
+
+    expect(disposed).toEqual([{instances: [cache]}])
+    expect(cleared).toEqual([{instances: []}])
+  })
+
+  it('should emit dispose events for disposeAsync()', async () => {
+    const isolated = new Container()
+    const disposed = []
+    isolated.on('dispose', payload => disposed.push(payload))
+
+    class Pool {
+      close() {}
+    }
+    isolated.registerSingleton(Pool)
+    const pool = isolated.resolve(Pool)
+    await isolated.disposeAsync()
+
+    expect(disposed).toEqual([{instances: [pool]}])
+  })
+
+  it('should only emit events for calls made on the container', () => {
+    const parent = new Container()
+    const child = parent.createChild()
+    const parentEvents = []
+    const childEvents = []
+    parent.on('create', payload => parentEvents.push(payload))
+    child.on('create', payload => childEvents.push(payload))
+
+    class Logger {}
+    parent.registerSingleton(Logger)
+    child.resolve(Logger)
+
+    expect(parentEvents).toEqual([])
+    expect(childEvents).toEqual([expect.objectContaining({token: Logger})])
+  })
+
+  it('should remove listeners with off() or the returned function', () => {
+    const isolated = new Container()
+    const first = jest.fn()
+    const second = jest.fn()
+    const unsubscribe = isolated.on('register', first)
+    isolated.on('register', second)
+
+    isolated.registerValue('a', 1)
+    unsubscribe()
+    isolated.off('register', second)
+    isolated.registerValue('b', 2)
+
+    expect(first).toHaveBeenCalledTimes(1)
+    expect(second).toHaveBeenCalledTimes(1)
+  })
+
+  it('should reject unknown events', () => {
+    expect(() => container.on('created', () => {})).toThrow(
+      'Unknown event "created". Use \'register\', \'resolve\', \'create\', \'cacheHit\', \'mock\', \'resetMock\', ' +
+      '\'clear\', \'dispose\''
+    )
+  })
+})
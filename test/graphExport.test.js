@@ -0,0 +1,294 @@
+import {
+  Singleton,
+  Factory,
+  Scoped,
+  Inject,
+  InjectLazy,
+  InjectAll,
+  InjectOptional,
+  Mock,
+  InjectionToken,
+  registerValue,
+  registerFactoryFunction,
+  registerAlias,
+  getDependencyGraph,
+  graphToDot,
+  graphToMermaid,
+  graphToJSON,
+  clearContainer
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('Dependency graph export', () => {
+  afterEach(() => {
+    clearContainer()
+  })
+
+  /**
+   * Register a small application: a user service with an eager, a lazy and a multi dependency, plus a mock.
+   * @returns {Array<Function>} The registered classes
+   */
+  function registerApplication() {
+    @Singleton()
+    class Database {}
+
+    @Factory('logger')
+    class Logger {}
+
+    @Singleton('validators', {multi: true})
+    class EmailValidator {}
+
+    @Singleton()
+    class UserService {
+      @Inject(Database) db
+      @InjectLazy('logger') logger
+      @InjectAll('validators') validators
+    }
+
+    @Singleton()
+    class Gateway {}
+
+    @Mock(Gateway)
+    class GatewayMock {}
+
+    return [Database, Logger, EmailValidator, UserService, Gateway, GatewayMock]
+  }
+
+  describe('graphToDot', () => {
+    it('should render registrations, mocks and lazy edges', () => {
+      registerApplication()
+
+      expect(graphToDot(getDependencyGraph())).toBe([
+        'digraph dependencies {',
+        '  rankdir=LR;',
+        '  "Database" [label="Database\\nsingleton", shape=box];',
+        '  "Gateway" [label="Gateway\\nmock GatewayMock replaces Gateway", shape=box, color=orange];',
+        '  "UserService" [label="UserService\\nsingleton", shape=box];',
+        '  "logger" [label="logger (Logger)\\nfactory", shape=box, style=dashed];',
+        '  "validators[EmailValidator]" [label="validators (EmailValidator)\\nmulti singleton", shape=box];',
+        '  "UserService" -> "Database" [label="db"];',
+        '  "UserService" -> "logger" [label="logger", style=dashed];',
+        '  "UserService" -> "validators[EmailValidator]" [label="validators[]"];',
+        '}',
+        ''
+      ].join('\n'))
+    })
+
+    it('should escape quotes and backslashes', () => {
+      registerValue('say "hi" \\ bye', 'hello')
+
+      expect(graphToDot(getDependencyGraph())).toContain(
+        '"say \\"hi\\" \\\\ bye" [label="say \\"hi\\" \\\\ bye\\nsingleton value", shape=box];'
+      )
+    })
+
+    it('should render an empty graph', () => {
+      expect(graphToDot(getDependencyGraph())).toBe('digraph dependencies {\n  rankdir=LR;\n}\n')
+    })
+  })
+
+  describe('graphToMermaid', () => {
+    it('should render registrations, mocks and lazy edges', () => {
+      registerApplication()
+
+      expect(graphToMermaid(getDependencyGraph())).toBe([
+        'flowchart LR',
+        '  Database["Database<br/>singleton"]',
+        '  Gateway["Gateway<br/>mock GatewayMock replaces Gateway"]',
+        '  UserService["UserService<br/>singleton"]',
+        '  logger[["logger (Logger)<br/>factory"]]',
+        '  validators_EmailValidator["validators (EmailValidator)<br/>multi singleton"]',
+        '  UserService -->|"db"| Database',
+        '  UserService -.->|"logger"| logger',
+        '  UserService -->|"validators[]"| validators_EmailValidator',
+        '  classDef mock stroke:#f90,stroke-width:2px',
+        '  class Gateway mock',
+        ''
+      ].join('\n'))
+    })
+
+    it('should use a distinct shape for each registration type', () => {
+      @Scoped()
+      class RequestService {}
+
+      registerValue('config', {})
+      registerAlias('settings', 'config')
+      registerFactoryFunction('client', () => ({}))
+
+      const mermaid = graphToMermaid(getDependencyGraph())
+      expect(mermaid).toContain('(["RequestService<br/>scoped"])')
+      expect(mermaid).toContain('["config<br/>singleton value"]')
+      expect(mermaid).toContain('>"settings<br/>alias"]')
+      expect(mermaid).toContain('[["client<br/>factory function"]]')
+      expect(mermaid).toContain('-.->|"alias"|')
+    })
+
+    it('should mark keys that are injected but not registered', () => {
+      @Singleton()
+      class ReportService {
+        @Inject('mailer') mailer
+        @InjectOptional('metrics') metrics
+      }
+
+      const mermaid = graphToMermaid(getDependencyGraph())
+      expect(mermaid).toContain('mailer["mailer<br/>not registered"]')
+      expect(mermaid).toContain('ReportService -->|"metrics?"| metrics')
+      expect(mermaid).toContain('class mailer,metrics missing')
+    })
+
+    it('should escape quotes in labels', () => {
+      registerValue('say "hi"', 'hello')
+
+      expect(graphToMermaid(getDependencyGraph())).toContain('say_hi["say #quot;hi#quot;<br/>singleton value"]')
+    })
+
+    it('should derive ids from the node ids that do not change when other nodes are added', () => {
+      const container = new Container()
+      container.registerValue('end', true)
+      container.registerValue('api-client', {})
+      container.registerValue('api client', {})
+      const before = graphToMermaid(container.getDependencyGraph())
+      container.registerValue('Alpha', {})
+
+      const after = graphToMermaid(container.getDependencyGraph())
+      expect(after).toContain('  api_client["api client<br/>singleton value"]')
+      expect(after).toContain('  api_client_2["api-client<br/>singleton value"]')
+      expect(after).toContain('  end_2["end<br/>singleton value"]')
+      expect(after.replace('  Alpha["Alpha<br/>singleton value"]\n', '')).toBe(before)
+    })
+  })
+
+  describe('graphToJSON', () => {
+    it('should render nodes and edges with stable ids', () => {
+      registerApplication()
+
+      const document = JSON.parse(graphToJSON(getDependencyGraph()))
+      expect(document.nodes.map(node => node.id)).toEqual([
+        'Database',
+        'Gateway',
+        'UserService',
+        'logger',
+        'validators[EmailValidator]'
+      ])
+      expect(document.nodes[1]).toEqual({
+        id: 'Gateway',
+        name: 'Gateway',
+        type: 'singleton',
+        provider: 'class',
+        class: 'GatewayMock',
+        mock: true,
+        original: 'Gateway',
+        multi: false,
+        inherited: false
+      })
+      expect(document.edges).toEqual([
+        {
+          from: 'UserService',
+          to: 'Database',
+          field: 'db',
+          lazy: false,
+          static: false,
+          optional: false,
+          multi: false,
+          alias: false
+        },
+        expect.objectContaining({from: 'UserService', to: 'logger', lazy: true}),
+        expect.objectContaining({from: 'UserService', to: 'validators[EmailValidator]', multi: true})
+      ])
+    })
+
+    it('should not depend on the registration order', () => {
+      class Alpha {}
+      class Beta {}
+
+      const first = new Container()
+      first.registerSingleton(Alpha)
+      first.registerFactory(Beta)
+      const second = new Container()
+      second.registerFactory(Beta)
+      second.registerSingleton(Alpha)
+
+      expect(graphToJSON(first.getDependencyGraph())).toBe(graphToJSON(second.getDependencyGraph()))
+    })
+
+    it('should give registrations with the same name unique ids', () => {
+      class FirstLogger {}
+      class SecondLogger {}
+
+      const container = new Container()
+      container.registerSingleton(FirstLogger, new InjectionToken('logger'))
+      container.registerSingleton(SecondLogger, new InjectionToken('logger'))
+
+      const document = JSON.parse(graphToJSON(container.getDependencyGraph()))
+      expect(document.nodes.map(node => node.id)).toEqual(['logger', 'logger (2)'])
+    })
+
+    it('should not depend on the registration order for registrations with the same name', () => {
+      class ConsoleLogger {}
+      class FileLogger {}
+
+      const first = new Container()
+      first.registerSingleton(ConsoleLogger, new InjectionToken('logger'))
+      first.registerFactory(FileLogger, new InjectionToken('logger'))
+      const second = new Container()
+      second.registerFactory(FileLogger, new InjectionToken('logger'))
+      second.registerSingleton(ConsoleLogger, new InjectionToken('logger'))
+
+      const json = graphToJSON(first.getDependencyGraph())
+      expect(json).toBe(graphToJSON(second.getDependencyGraph()))
+      expect(JSON.parse(json).nodes.map(node => [node.id, node.class])).toEqual([
+        ['logger', 'FileLogger'],
+        ['logger (2)', 'ConsoleLogger']
+      ])
+    })
+
+    it('should describe mocked factory functions and values', () => {
+      class ClientMock {}
+      class ConfigMock {}
+
+      const container = new Container()
+      container.registerFactoryFunction('client', () => ({}))
+      container.registerValue('config', {})
+      container.registerMock('client', ClientMock)
+      container.registerMock('config', ConfigMock)
+
+      const document = JSON.parse(graphToJSON(container.getDependencyGraph()))
+      expect(document.nodes.map(node => node.original)).toEqual(['factory function', 'value'])
+    })
+  })
+
+  describe('mock objects and functions', () => {
+    /**
+     * Create a container with a mailer mocked by mockValue() and a clock mocked by mockFactory().
+     * @returns {Container}
+     */
+    function createMockedContainer() {
+      class Mailer {}
+      class Clock {}
+
+      const container = new Container()
+      container.registerSingleton(Mailer)
+      container.registerFactory(Clock)
+      container.mockValue(Mailer, {send() {}})
+      container.mockFactory(Clock, () => ({now: () => 0}))
+      return container
+    }
+
+    it('should describe value and factory mocks in DOT', () => {
+      expect(graphToDot(createMockedContainer().getDependencyGraph())).toBe([
+        'digraph dependencies {',
+        '  rankdir=LR;',
+        '  "Clock" [label="Clock\\nmock factory function replaces Clock", shape=box, style=dashed, color=orange];',
+        '  "Mailer" [label="Mailer\\nmock value replaces Mailer", shape=box, color=orange];',
+        '}',
+        ''
+      ].join('\n'))
+    })
+
+    it('should describe value and factory mocks in Mermaid', () => {
+      const mermaid = graphToMermaid(createMockedContainer().getDependencyGraph())
+      expect(mermaid).toContain('  Clock[["Clock<br/>mock factory function replaces Clock"]]')
+      expect(mermaid).toContain('  Mailer["Mailer<br/>mock value replaces Mailer"]')
+    })
+  })
+})
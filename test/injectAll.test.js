@@ -0,0 +1,282 @@
+import {
+  Singleton,
+  Factory,
+  Scoped,
+  Inject,
+  InjectAll,
+  InjectionToken,
+  resolve,
+  resolveAll,
+  runInScope,
+  registerValue,
+  clearContainer,
+  isRegistered
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('Multi-injection', () => {
+  afterEach(() => {
+    clearContainer()
+  })
+
+  describe('@InjectAll', () => {
+    it('should inject all providers in registration order', () => {
+      @Singleton('validators', {multi: true})
+      class EmailValidator {}
+
+      @Singleton('validators', {multi: true})
+      class PasswordValidator {}
+
+      class SignupForm {
+        @InjectAll('validators') validators
+      }
+
+      const {validators} = new SignupForm()
+      expect(validators).toHaveLength(2)
+      expect(validators[0]).toBeInstanceOf(EmailValidator)
+      expect(validators[1]).toBeInstanceOf(PasswordValidator)
+    })
+
+    it('should sort providers by order, keeping registration order for equal values', () => {
+      @Singleton('plugins', {multi: true, order: 10})
+      class LatePlugin {}
+
+      @Singleton('plugins', {multi: true})
+      class FirstDefaultPlugin {}
+
+      @Singleton('plugins', {multi: true, order: -5})
+      class EarlyPlugin {}
+
+      @Singleton('plugins', {multi: true})
+      class SecondDefaultPlugin {}
+
+      expect(resolveAll('plugins').map(plugin => plugin.constructor)).toEqual([
+        EarlyPlugin,
+        FirstDefaultPlugin,
+        SecondDefaultPlugin,
+        LatePlugin
+      ])
+    })
+
+    it('should inject an empty array if there are no providers', () => {
+      class PluginHost {
+        @InjectAll('unknownPlugins') plugins
+      }
+
+      expect(new PluginHost().plugins).toEqual([])
+    })
+
+    it('should respect the lifetime of each provider', () => {
+      @Singleton('handlers', {multi: true})
+      class SingletonHandler {}
+
+      @Factory('handlers', {multi: true})
+      class FactoryHandler {}
+
+      const [singleton1, factory1] = resolveAll('handlers')
+      const [singleton2, factory2] = resolveAll('handlers')
+
+      expect(singleton1).toBeInstanceOf(SingletonHandler)
+      expect(singleton1).toBe(singleton2)
+      expect(factory1).toBeInstanceOf(FactoryHandler)
+      expect(factory1).not.toBe(factory2)
+    })
+
+    it('should share scoped providers within a scope', () => {
+      @Scoped('listeners', {multi: true})
+      class AuditListener {}
+
+      runInScope(() => {
+        const [first] = resolveAll('listeners')
+        const [second] = resolveAll('listeners')
+        expect(first).toBeInstanceOf(AuditListener)
+        expect(first).toBe(second)
+      })
+    })
+
+    it('should pass parameters to every provider', () => {
+      @Factory('formatters', {multi: true})
+      class _UpperFormatter {
+        constructor(prefix) {
+          this.prefix = prefix
+        }
+      }
+
+      @Factory('formatters', {multi: true})
+      class _LowerFormatter {
+        constructor(prefix) {
+          this.prefix = prefix
+        }
+      }
+
+      class Report {
+        @InjectAll('formatters', 'report') formatters
+      }
+
+      expect(new Report().formatters.map(formatter => formatter.prefix)).toEqual(['report', 'report'])
+    })
+
+    it('should support private fields and accessors', () => {
+      @Singleton('steps', {multi: true})
+      class ParseStep {}
+
+      class Pipeline {
+        @InjectAll('steps') #steps
+        @InjectAll('steps') accessor lazySteps
+
+        getSteps() {
+          return this.#steps
+        }
+      }
+
+      const pipeline = new Pipeline()
+      expect(pipeline.getSteps()[0]).toBeInstanceOf(ParseStep)
+      expect(pipeline.lazySteps).toBe(pipeline.lazySteps)
+      expect(pipeline.lazySteps[0]).toBe(pipeline.getSteps()[0])
+    })
+
+    it('should support InjectionTokens', () => {
+      const MIDDLEWARE = new InjectionToken('Middleware')
+
+      @Singleton(MIDDLEWARE, {multi: true})
+      class CorsMiddleware {}
+
+      class Server {
+        @InjectAll(MIDDLEWARE) middleware
+      }
+
+      expect(new Server().middleware[0]).toBeInstanceOf(CorsMiddleware)
+    })
+
+    it('should reject invalid targets', () => {
+      expect(() => {
+        class _MethodTarget {
+          @InjectAll('validators') method() {}
+        }
+      }).toThrow('Invalid injection target: @InjectAll can only be used on fields or accessors')
+    })
+
+    it('should reject assigning a value to the field', () => {
+      class AssignedField {
+        @InjectAll('validators') validators = []
+      }
+
+      expect(() => new AssignedField()).toThrow('Cannot assign value to injected field "validators"')
+    })
+  })
+
+  describe('registration', () => {
+    it('should require a name', () => {
+      expect(() => {
+        @Singleton(undefined, {multi: true})
+        class _Unnamed {}
+      }).toThrow('Multi registrations require a name')
+    })
+
+    it('should not mix multi providers with regular registrations', () => {
+      @Singleton('cache')
+      class MemoryCache {}
+
+      expect(() => {
+        @Singleton('cache', {multi: true})
+        class _RedisCache {}
+      }).toThrow('Cannot add a multi provider for "cache": it already has a regular registration')
+
+      @Singleton('stores', {multi: true})
+      class MemoryStore {}
+
+      expect(() => {
+        @Singleton('stores')
+        class _FileStore {}
+      }).toThrow('"stores" has multi providers. Register further providers with {multi: true}')
+      expect(() => registerValue('stores', [])).toThrow('"stores" has multi providers')
+      expect(resolve('cache')).toBeInstanceOf(MemoryCache)
+      expect(resolveAll('stores')[0]).toBeInstanceOf(MemoryStore)
+    })
+
+    it('should point single injections to @InjectAll', () => {
+      @Singleton('rules', {multi: true})
+      class _RequiredRule {}
+
+      class Form {
+        @Inject('rules') rules
+      }
+
+      expect(() => new Form()).toThrow('"rules" has multiple providers. Use @InjectAll or resolveAll()')
+    })
+
+    it('should report multi providers as registered', () => {
+      @Singleton('checks', {multi: true})
+      class _HealthCheck {}
+
+      expect(isRegistered('checks')).toBe(true)
+      expect(isRegistered('otherChecks')).toBe(false)
+    })
+
+    it('should remove multi providers when the container is cleared', () => {
+      @Singleton('hooks', {multi: true})
+      class _StartupHook {}
+
+      expect(resolveAll('hooks')).toHaveLength(1)
+      clearContainer()
+      expect(resolveAll('hooks')).toEqual([])
+    })
+  })
+
+  describe('Container', () => {
+    it('should register multi providers on isolated containers', () => {
+      class JsonSerializer {}
+      class XmlSerializer {}
+
+      const container = new Container()
+      container.registerSingleton(XmlSerializer, 'serializers', {multi: true, order: 2})
+      container.registerSingleton(JsonSerializer, 'serializers', {multi: true, order: 1})
+
+      const serializers = container.resolveAll('serializers')
+      expect(serializers[0]).toBeInstanceOf(JsonSerializer)
+      expect(serializers[1]).toBeInstanceOf(XmlSerializer)
+      expect(container.resolveAll('serializers')[0]).toBe(serializers[0])
+    })
+
+    it('should fall back to the parent providers unless the child has its own', () => {
+      class ParentPlugin {}
+      class ChildPlugin {}
+
+      const parent = new Container()
+      parent.registerSingleton(ParentPlugin, 'plugins', {multi: true})
+      const child = parent.createChild()
+
+      expect(child.resolveAll('plugins')[0]).toBeInstanceOf(ParentPlugin)
+      expect(child.has('plugins')).toBe(true)
+      expect(child.hasOwn('plugins')).toBe(false)
+
+      child.registerSingleton(ChildPlugin, 'plugins', {multi: true})
+      expect(child.resolveAll('plugins')).toHaveLength(1)
+      expect(child.resolveAll('plugins')[0]).toBeInstanceOf(ChildPlugin)
+      expect(parent.resolveAll('plugins')[0]).toBeInstanceOf(ParentPlugin)
+    })
+
+    it('should dispose multi singletons with the container', () => {
+      const closed = []
+      class FirstConnection {
+        close() {
+          closed.push('first')
+        }
+      }
+      class SecondConnection {
+        close() {
+          closed.push('second')
+        }
+      }
+
+      const container = new Container()
+      container.registerSingleton(FirstConnection, 'connections', {multi: true})
+      container.registerSingleton(SecondConnection, 'connections', {multi: true})
+      const before = container.resolveAll('connections')
+      container.dispose()
+
+      expect(closed).toEqual(['second', 'first'])
+      expect(container.resolveAll('connections')[0]).not.toBe(before[0])
+    })
+  })
+})
@@ -50,6 +50,7 @@ describe('Injection via fields', () => {
     TestFactory.calls = 0
     TestSingleton.calls = 0
     resetMocks()
+    jest.restoreAllMocks()
   })
 
   it('should inject factory', () => {
@@ -249,6 +250,9 @@ describe('Injection via fields', () => {
   })
 
   it('should throw a helpful error for eager circular dependencies', () => {
+    // B2 captures the A2 factory, which is reported as a warning before the cycle is detected
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+
     @Factory()
     class A2 {
       @Inject('B2') b
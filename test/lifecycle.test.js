@@ -0,0 +1,434 @@
+import {
+  Singleton,
+  Factory,
+  Scoped,
+  Inject,
+  InjectLazy,
+  Mock,
+  PostConstruct,
+  PreDestroy,
+  resolve,
+  resetMock,
+  runInScope,
+  clearContainer
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('Lifecycle Hooks', () => {
+  afterEach(() => {
+    clearContainer()
+  })
+
+  describe('@PostConstruct', () => {
+    it('should run after the instance is created', () => {
+      @Singleton()
+      class Service {
+        initialized = false
+
+        @PostConstruct()
+        init() {
+          this.initialized = true
+        }
+      }
+
+      expect(resolve(Service).initialized).toBe(true)
+    })
+
+    it('should run after eagerly injected fields are ready', () => {
+      @Singleton()
+      class Database {
+        rows = ['a', 'b']
+      }
+
+      @Singleton()
+      class Cache {
+        @Inject(Database) db
+        #entries
+
+        @PostConstruct()
+        warmUp() {
+          this.#entries = [...this.db.rows]
+        }
+
+        get entries() {
+          return this.#entries
+        }
+      }
+
+      expect(resolve(Cache).entries).toEqual(['a', 'b'])
+    })
+
+    it('should not create lazy injections', () => {
+      let created = false
+
+      @Singleton()
+      class Expensive {
+        constructor() {
+          created = true
+        }
+      }
+
+      @Singleton()
+      class Service {
+        @InjectLazy(Expensive) expensive
+
+        @PostConstruct()
+        init() {}
+      }
+
+      resolve(Service)
+      expect(created).toBe(false)
+    })
+
+    it('should run once per factory instance', () => {
+      let count = 0
+
+      @Factory()
+      class Worker {
+        @PostConstruct()
+        init() {
+          count++
+        }
+      }
+
+      class Consumer {
+        @Inject(Worker) a
+        @Inject(Worker) b
+      }
+
+      new Consumer()
+      expect(count).toBe(2)
+    })
+
+    it('should only run once for cached singletons', () => {
+      let count = 0
+
+      @Singleton()
+      class Service {
+        @PostConstruct()
+        init() {
+          count++
+        }
+      }
+
+      resolve(Service)
+      resolve(Service)
+      expect(count).toBe(1)
+    })
+
+    it('should run parent hooks before child hooks', () => {
+      const calls = []
+
+      class Base {
+        @PostConstruct()
+        baseInit() {
+          calls.push('base')
+        }
+      }
+
+      @Singleton()
+      class Derived extends Base {
+        @PostConstruct()
+        derivedInit() {
+          calls.push('derived')
+        }
+      }
+
+      resolve(Derived)
+      expect(calls).toEqual(['base', 'derived'])
+    })
+
+    it('should call overridden hooks only once', () => {
+      const calls = []
+
+      class Base {
+        @PostConstruct()
+        init() {
+          calls.push('base')
+        }
+      }
+
+      @Singleton()
+      class Derived extends Base {
+        @PostConstruct()
+        init() {
+          calls.push('derived')
+        }
+      }
+
+      resolve(Derived)
+      expect(calls).toEqual(['derived'])
+    })
+
+    it('should support private methods', () => {
+      @Singleton()
+      class Service {
+        starts = 0
+
+        @PostConstruct()
+        #start() {
+          this.starts++
+        }
+
+        restart() {
+          this.#start()
+        }
+      }
+
+      const service = resolve(Service)
+      expect(service.starts).toBe(1)
+      service.restart()
+      expect(service.starts).toBe(2)
+    })
+
+    it('should not run for instances created outside of the container', () => {
+      class Service {
+        initialized = false
+
+        @PostConstruct()
+        init() {
+          this.initialized = true
+        }
+      }
+
+      expect(new Service().initialized).toBe(false)
+    })
+
+    it('should propagate errors thrown by the hook', () => {
+      @Singleton()
+      class Broken {
+        @PostConstruct()
+        init() {
+          throw new Error('init failed')
+        }
+      }
+
+      expect(() => resolve(Broken)).toThrow('init failed')
+    })
+
+    it('should log rejections of async hooks it does not await', async () => {
+      const container = new Container()
+      const logger = {error: jest.fn()}
+      container.setLogger(logger)
+      const error = new Error('connect failed')
+      class Client {
+        @PostConstruct()
+        async connect() {
+          throw error
+        }
+      }
+      container.registerSingleton(Client)
+
+      const client = container.resolve(Client)
+      await new Promise(resolve => setTimeout(resolve, 1))
+
+      expect(logger.error).toHaveBeenCalledWith(
+        {event: 'postConstructError', instance: client, error},
+        'Asynchronous @PostConstruct of Client failed: connect failed. Use resolveAsync() to await it.'
+      )
+    })
+
+    it('should run hooks of mocks and of the proxied original', () => {
+      const calls = []
+
+      @Singleton()
+      class Service {
+        @PostConstruct()
+        init() {
+          calls.push('original')
+        }
+      }
+
+      @Mock(Service, true)
+      class MockService {
+        @PostConstruct()
+        init() {
+          calls.push('mock')
+        }
+      }
+
+      resolve(Service)
+      expect(calls).toEqual(['mock', 'original'])
+    })
+
+    it('should reject static methods and fields', () => {
+      expect(() => {
+        class _StaticTest {
+          @PostConstruct() static init() {}
+        }
+      }).toThrow('@PostConstruct can only be used on instance methods')
+      expect(() => {
+        class _FieldTest {
+          @PostConstruct() init
+        }
+      }).toThrow('@PostConstruct can only be used on instance methods')
+    })
+  })
+
+  describe('@PreDestroy', () => {
+    it('should run for created singletons when the container is cleared', () => {
+      const calls = []
+
+      @Singleton()
+      class Pool {
+        @PreDestroy()
+        close() {
+          calls.push('pool')
+        }
+      }
+
+      resolve(Pool)
+      clearContainer()
+      expect(calls).toEqual(['pool'])
+    })
+
+    it('should not run for singletons that were never created', () => {
+      let called = false
+
+      @Singleton()
+      class PoolService {
+        @PreDestroy()
+        close() {
+          called = true
+        }
+      }
+
+      clearContainer()
+      expect(called).toBe(false)
+    })
+
+    it('should destroy singletons in reverse registration order on clear', () => {
+      const calls = []
+
+      @Singleton()
+      class First {
+        @PreDestroy()
+        close() {
+          calls.push('first')
+        }
+      }
+
+      @Singleton()
+      class Second {
+        @PreDestroy()
+        close() {
+          calls.push('second')
+        }
+      }
+
+      resolve(First)
+      resolve(Second)
+      clearContainer()
+      expect(calls).toEqual(['second', 'first'])
+    })
+
+    it('should run for a mocked singleton evicted by resetMock', () => {
+      const calls = []
+
+      @Singleton()
+      class Service {}
+
+      @Mock(Service)
+      class MockService {
+        @PreDestroy()
+        close() {
+          calls.push('mock')
+        }
+      }
+
+      resolve(Service)
+      resetMock(Service)
+      expect(calls).toEqual(['mock'])
+    })
+
+    it('should run for the singleton created before the mock when the mock is reset', () => {
+      const calls = []
+
+      @Singleton()
+      class Service {
+        @PreDestroy()
+        close() {
+          calls.push('service')
+        }
+      }
+
+      const original = resolve(Service)
+
+      @Mock(Service)
+      class MockService {}
+
+      expect(resolve(Service)).toBeInstanceOf(MockService)
+      expect(calls).toEqual([])
+
+      resetMock(Service)
+      expect(calls).toEqual(['service'])
+      expect(resolve(Service)).not.toBe(original)
+
+      clearContainer()
+      expect(calls).toEqual(['service', 'service'])
+    })
+
+    it('should run for scoped instances when the scope ends', async () => {
+      const calls = []
+
+      @Scoped()
+      class RequestContext {
+        @PreDestroy()
+        close() {
+          calls.push('scoped')
+        }
+      }
+
+      await runInScope(async () => {
+        resolve(RequestContext)
+        expect(calls).toEqual([])
+      })
+      expect(calls).toEqual(['scoped'])
+    })
+
+    it('should run every hook and report all errors together', () => {
+      const calls = []
+      const container = new Container()
+
+      class First {
+        @PreDestroy()
+        close() {
+          calls.push('first')
+          throw new Error('first failed')
+        }
+      }
+
+      class Second {
+        @PreDestroy()
+        close() {
+          calls.push('second')
+          throw new Error('second failed')
+        }
+      }
+
+      container.registerSingleton(First)
+      container.registerSingleton(Second)
+      container.resolve(First)
+      container.resolve(Second)
+
+      let error
+      try {
+        container.clear()
+      } catch (err) {
+        error = err
+      }
+      expect(error).toBeInstanceOf(AggregateError)
+      expect(error.errors.map(e => e.message)).toEqual(['second failed', 'first failed'])
+      expect(calls).toEqual(['second', 'first'])
+      expect(container.has(First)).toBe(false)
+    })
+
+    it('should reject static methods', () => {
+      expect(() => {
+        class _StaticTest {
+          @PreDestroy() static close() {}
+        }
+      }).toThrow('@PreDestroy can only be used on instance methods')
+    })
+  })
+})
@@ -0,0 +1,253 @@
+import {
+  Singleton,
+  Factory,
+  Inject,
+  Mock,
+  registerAlias,
+  resolve,
+  resolveAsync,
+  setDebug,
+  setLogger,
+  consoleLogger,
+  clearContainer
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+/**
+ * Create a logger that records every call.
+ * @param {Array<string>} [levels] The level methods to provide
+ * @returns {{logger: Object, calls: Array<{level: string, event: Object, message: string}>}}
+ */
+function createRecordingLogger(levels = ['trace', 'debug', 'info', 'warn', 'error']) {
+  const calls = []
+  const logger = Object.fromEntries(levels.map(level => [level, (event, message) => calls.push({level, event, message})]))
+  return {logger, calls}
+}
+
+describe('Logger', () => {
+  afterEach(() => {
+    setLogger(consoleLogger, {level: 'warn'})
+    clearContainer()
+  })
+
+  it('should send structured registration and creation events', () => {
+    const {logger, calls} = createRecordingLogger()
+    setLogger(logger, {level: 'trace'})
+
+    @Singleton()
+    class UserService {}
+
+    resolve(UserService)
+    resolve(UserService)
+
+    expect(calls.map(call => [call.level, call.event.event])).toEqual([
+      ['debug', 'register'],
+      ['info', 'create'],
+      ['trace', 'cacheHit']
+    ])
+    expect(calls[0]).toEqual({
+      level: 'debug',
+      event: {event: 'register', token: UserService, type: 'singleton'},
+      message: 'Registered singleton: UserService'
+    })
+    expect(calls[1].event).toEqual({
+      event: 'create',
+      token: UserService,
+      type: 'singleton',
+      durationMs: expect.any(Number),
+      mocked: false,
+      async: false
+    })
+    expect(calls[1].message).toBe('Creating singleton: UserService')
+  })
+
+  it('should only log events at or above the configured level', () => {
+    const {logger, calls} = createRecordingLogger()
+    setLogger(logger)
+
+    @Factory()
+    class ReportFactory {}
+
+    resolve(ReportFactory)
+
+    expect(calls).toHaveLength(1)
+    expect(calls[0]).toMatchObject({level: 'info', event: {event: 'create', token: ReportFactory}})
+  })
+
+  it('should log nothing at the silent level', () => {
+    const {logger, calls} = createRecordingLogger()
+    setLogger(logger, {level: 'silent'})
+
+    @Factory()
+    class RequestFactory {}
+
+    @Singleton()
+    class AuditService {
+      @Inject(RequestFactory) request
+    }
+
+    resolve(AuditService)
+    expect(calls).toEqual([])
+  })
+
+  it('should mark instances created from mocks', () => {
+    const {logger, calls} = createRecordingLogger()
+
+    @Singleton()
+    class MailService {}
+
+    setLogger(logger)
+
+    @Mock(MailService)
+    class MailMock {}
+
+    resolve(MailService)
+
+    expect(calls[0]).toMatchObject({
+      level: 'info',
+      event: {event: 'mock', token: MailService, mock: MailMock, proxy: false},
+      message: 'Mocked MailService with MailMock'
+    })
+    expect(calls[1].event).toMatchObject({event: 'create', token: MailService, mocked: true})
+  })
+
+  it('should log asynchronous creation', async () => {
+    const {logger, calls} = createRecordingLogger()
+    setLogger(logger)
+
+    @Singleton()
+    class QueueService {
+      async init() {}
+    }
+
+    await resolveAsync(QueueService)
+
+    expect(calls[0].event).toMatchObject({event: 'create', token: QueueService, async: true})
+    expect(calls[0].message).toBe('Creating singleton: QueueService')
+  })
+
+  it('should send captive dependency warnings to the logger', () => {
+    const {logger, calls} = createRecordingLogger()
+    setLogger(logger, {level: 'warn'})
+
+    @Factory()
+    class RequestFactory {}
+
+    @Singleton()
+    class AuditService {
+      @Inject(RequestFactory) request
+    }
+
+    resolve(AuditService)
+
+    expect(calls).toEqual([{
+      level: 'warn',
+      event: {
+        event: 'captive',
+        token: RequestFactory,
+        type: 'factory',
+        singleton: AuditService,
+        consumer: 'AuditService',
+        field: 'request'
+      },
+      message: expect.stringContaining('Captive dependency: singleton "AuditService" injects factory "RequestFactory"')
+    }])
+  })
+
+  it('should fall back to debug() for loggers without trace()', () => {
+    const {logger, calls} = createRecordingLogger(['debug', 'info', 'warn', 'error'])
+    setLogger(logger, {level: 'trace'})
+
+    @Singleton()
+    class CacheService {}
+
+    resolve(CacheService)
+    resolve(CacheService)
+
+    expect(calls.at(-1)).toMatchObject({level: 'debug', event: {event: 'cacheHit', token: CacheService}})
+  })
+
+  it('should send trace events to console.debug() instead of console.trace()', () => {
+    const trace = jest.spyOn(console, 'trace').mockImplementation(() => {})
+    const debug = jest.spyOn(console, 'debug').mockImplementation(() => {})
+    const info = jest.spyOn(console, 'info').mockImplementation(() => {})
+    try {
+      setLogger(console)
+      setDebug(true)
+
+      @Singleton()
+      class CacheService {}
+
+      resolve(CacheService)
+      resolve(CacheService)
+
+      expect(trace).not.toHaveBeenCalled()
+      expect(debug).toHaveBeenLastCalledWith(
+        {event: 'cacheHit', token: CacheService, type: 'singleton'},
+        'Returning cached singleton: CacheService'
+      )
+    } finally {
+      trace.mockRestore()
+      debug.mockRestore()
+      info.mockRestore()
+    }
+  })
+
+  it('should skip levels the logger does not implement', () => {
+    const {logger, calls} = createRecordingLogger(['warn'])
+    setLogger(logger, {level: 'trace'})
+
+    registerAlias('cache', 'store')
+
+    expect(calls).toEqual([])
+  })
+
+  it('should keep the logger when toggling debug mode', () => {
+    const {logger, calls} = createRecordingLogger()
+    setLogger(logger)
+
+    setDebug(true)
+    registerAlias('cache', 'store')
+    setDebug(false)
+    registerAlias('session', 'store')
+
+    expect(calls).toEqual([{
+      level: 'debug',
+      event: {event: 'register', token: 'cache', type: 'alias', target: 'store'},
+      message: 'Registered alias: cache -> store'
+    }])
+  })
+
+  it('should write to the console by default', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+    try {
+      consoleLogger.warn({event: 'captive'}, 'Something is off')
+      consoleLogger.error({event: 'failure'}, 'Something broke')
+      expect(warn).toHaveBeenCalledWith('[DI] Something is off')
+      expect(error).toHaveBeenCalledWith('[DI] Something broke')
+    } finally {
+      warn.mockRestore()
+      error.mockRestore()
+    }
+  })
+
+  it('should be configured per container', () => {
+    const {logger, calls} = createRecordingLogger()
+    const container = new Container()
+    container.setLogger(logger, {level: 'debug'})
+    const child = container.createChild()
+
+    container.registerValue('config', {})
+    child.registerValue('settings', {})
+
+    expect(calls.map(call => call.message)).toEqual(['Registered value: config'])
+  })
+
+  it('should reject invalid loggers and levels', () => {
+    expect(() => setLogger(null)).toThrow('Logger must be an object with level methods such as info() and warn()')
+    expect(() => setLogger(console, {level: 'verbose'})).toThrow(
+      'Invalid log level "verbose". Use \'trace\', \'debug\', \'info\', \'warn\', \'error\', \'silent\''
+    )
+  })
+})
@@ -111,16 +111,23 @@ describe('Mocking', () => {
     expect(instance2.lazyMockedFactory.op()).toBe('original')
   })
 
-  it('should throw an error if a mock is not a singleton or factory', () => {
-    expect(() => {
-      @Mock(ToBeMockedFactory)
-      class Mocked1 {
+  it('should let a second mock override the first one', () => {
+    @Mock(ToBeMockedFactory)
+    class Mocked1 {
+      op() {
+        return 'mocked1'
       }
+    }
 
-      @Mock(ToBeMockedFactory)
-      class Mocked2 {
+    @Mock(ToBeMockedFactory)
+    class Mocked2 {
+      op() {
+        return 'mocked2'
       }
-    }).toThrow('Mock already defined, reset before mocking again')
+    }
+
+    const instance = new TestInjectionFactory()
+    expect(instance.toBeMockedFactory.op()).toBe('mocked2')
   })
 
   // Edge case: Resetting specific mocks
@@ -0,0 +1,239 @@
+import {
+  Singleton,
+  Factory,
+  Inject,
+  PreDestroy,
+  Mock,
+  resolve,
+  resetMock,
+  resetMocks,
+  withMocks,
+  getDependencyGraph,
+  clearContainer
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('Stacked mocks', () => {
+  afterEach(() => {
+    resetMocks()
+    clearContainer()
+  })
+
+  it('should let a test-level mock override a suite-level mock', () => {
+    @Factory()
+    class PaymentFactory {
+      charge() {
+        return 'real'
+      }
+    }
+
+    @Mock(PaymentFactory)
+    class SuitePaymentMock {
+      charge() {
+        return 'suite'
+      }
+    }
+
+    @Mock(PaymentFactory)
+    class TestPaymentMock {
+      charge() {
+        return 'test'
+      }
+    }
+
+    expect(resolve(PaymentFactory).charge()).toBe('test')
+    resetMock(PaymentFactory)
+    expect(resolve(PaymentFactory)).toBeInstanceOf(SuitePaymentMock)
+    resetMock(PaymentFactory)
+    expect(resolve(PaymentFactory).charge()).toBe('real')
+    expect(TestPaymentMock).toBeDefined()
+  })
+
+  it('should clear every layer with resetMocks()', () => {
+    @Factory()
+    class PaymentFactory {}
+
+    @Mock(PaymentFactory)
+    class FirstMock {}
+
+    @Mock(PaymentFactory)
+    class SecondMock {}
+
+    resetMocks()
+    expect(resolve(PaymentFactory)).toBeInstanceOf(PaymentFactory)
+  })
+
+  it('should proxy to the layer below', () => {
+    @Factory()
+    class ApiFactory {
+      get() {
+        return 'real get'
+      }
+
+      post() {
+        return 'real post'
+      }
+
+      remove() {
+        return 'real remove'
+      }
+    }
+
+    @Mock(ApiFactory, true)
+    class SuiteApiMock {
+      post() {
+        return 'suite post'
+      }
+    }
+
+    @Mock(ApiFactory, true)
+    class TestApiMock {
+      remove() {
+        return 'test remove'
+      }
+    }
+
+    const api = resolve(ApiFactory)
+    expect(api.remove()).toBe('test remove')
+    expect(api.post()).toBe('suite post')
+    expect(api.get()).toBe('real get')
+  })
+
+  it('should stop proxying at a layer that does not proxy', () => {
+    @Factory()
+    class ApiFactory {
+      get() {
+        return 'real get'
+      }
+    }
+
+    @Mock(ApiFactory)
+    class SuiteApiMock {
+      post() {
+        return 'suite post'
+      }
+    }
+
+    @Mock(ApiFactory, true)
+    class TestApiMock {
+      remove() {
+        return 'test remove'
+      }
+    }
+
+    const api = resolve(ApiFactory)
+    expect(api.remove()).toBe('test remove')
+    expect(api.post()).toBe('suite post')
+    expect(api.get).toBeUndefined()
+  })
+
+  it('should destroy the instances of the removed layer only', () => {
+    const destroyed = []
+
+    @Singleton()
+    class CacheService {}
+
+    @Mock(CacheService)
+    class SuiteCacheMock {
+      @PreDestroy()
+      close() {
+        destroyed.push('suite')
+      }
+    }
+
+    resolve(CacheService)
+
+    @Mock(CacheService)
+    class TestCacheMock {
+      @PreDestroy()
+      close() {
+        destroyed.push('test')
+      }
+    }
+
+    resolve(CacheService)
+    resetMock(CacheService)
+    expect(destroyed).toEqual(['test'])
+    resetMock(CacheService)
+    expect(destroyed).toEqual(['test', 'suite'])
+  })
+
+  it('should let withMocks() proxy to the mocks registered before', () => {
+    @Factory()
+    class ApiFactory {
+      get() {
+        return 'real get'
+      }
+
+      post() {
+        return 'real post'
+      }
+    }
+
+    @Mock(ApiFactory, true)
+    class SuiteApiMock {
+      post() {
+        return 'suite post'
+      }
+    }
+
+    class TemporaryApiMock {
+      get() {
+        return 'temporary get'
+      }
+    }
+
+    withMocks([[ApiFactory, TemporaryApiMock, {proxy: true}]], () => {
+      const api = resolve(ApiFactory)
+      expect(api.get()).toBe('temporary get')
+      expect(api.post()).toBe('suite post')
+    })
+    expect(resolve(ApiFactory).get()).toBe('real get')
+  })
+
+  it('should stack mocks in child containers', () => {
+    const parent = new Container()
+
+    class ServiceFactory {}
+
+    class FirstMock {}
+
+    class SecondMock {}
+
+    parent.registerFactory(ServiceFactory)
+    const child = parent.createChild()
+    child.registerMock(ServiceFactory, FirstMock)
+    child.registerMock(ServiceFactory, SecondMock)
+
+    expect(child.resolve(ServiceFactory)).toBeInstanceOf(SecondMock)
+    child.resetMock(ServiceFactory)
+    expect(child.resolve(ServiceFactory)).toBeInstanceOf(FirstMock)
+    child.resetMock(ServiceFactory)
+    expect(child.resolve(ServiceFactory)).toBeInstanceOf(ServiceFactory)
+    expect(parent.resolve(ServiceFactory)).toBeInstanceOf(ServiceFactory)
+  })
+
+  it('should include the fields of every proxied layer in the dependency graph', () => {
+    @Singleton()
+    class LoggerService {}
+
+    @Singleton()
+    class MetricsService {}
+
+    @Factory()
+    class ApiFactory {}
+
+    @Mock(ApiFactory)
+    class SuiteApiMock {
+      @Inject(LoggerService) logger
+    }
+
+    @Mock(ApiFactory, true)
+    class TestApiMock {
+      @Inject(MetricsService) metrics
+    }
+
+    const edges = getDependencyGraph().edges.filter(edge => edge.from === ApiFactory)
+    expect(edges.map(edge => edge.consumer)).toEqual([TestApiMock, SuiteApiMock])
+  })
+})
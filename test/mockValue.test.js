@@ -0,0 +1,164 @@
+import {
+  Singleton,
+  Factory,
+  Inject,
+  Mock,
+  resolve,
+  resetMock,
+  resetMocks,
+  mockValue,
+  mockFactory,
+  DIError
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('mockValue and mockFactory', () => {
+  afterEach(() => {
+    resetMocks()
+  })
+
+  @Singleton()
+  class MailerService {
+    send(to) {
+      return `sent to ${to}`
+    }
+
+    close() {
+      return 'closed'
+    }
+  }
+
+  class SignupConsumer {
+    @Inject(MailerService) mailer
+  }
+
+  it('should inject a mock object', () => {
+    const stub = {send: jest.fn(() => 'stubbed')}
+    mockValue(MailerService, stub)
+
+    const consumer = new SignupConsumer()
+    expect(consumer.mailer).toBe(stub)
+    expect(consumer.mailer.send('ada')).toBe('stubbed')
+    expect(stub.send).toHaveBeenCalledWith('ada')
+  })
+
+  it('should fall back to the original instance with proxy', () => {
+    mockValue(MailerService, {send: () => 'stubbed'}, {proxy: true})
+
+    const mailer = new SignupConsumer().mailer
+    expect(mailer.send('ada')).toBe('stubbed')
+    expect(mailer.close()).toBe('closed')
+  })
+
+  it('should restore the original after a reset', () => {
+    mockValue(MailerService, {send: () => 'stubbed'})
+    resetMock(MailerService)
+
+    expect(new SignupConsumer().mailer).toBeInstanceOf(MailerService)
+  })
+
+  it('should build mocks with a factory function and the resolution parameters', () => {
+    @Factory()
+    class ConnectionFactory {
+      constructor(url) {
+        this.url = url
+      }
+    }
+
+    mockFactory(ConnectionFactory, url => ({url, fake: true}))
+
+    expect(resolve(ConnectionFactory, 'db://test')).toEqual({url: 'db://test', fake: true})
+    expect(resolve(ConnectionFactory, 'db://other')).toEqual({url: 'db://other', fake: true})
+  })
+
+  it('should proxy the result of a factory function to the original instance', () => {
+    mockFactory(MailerService, () => ({send: () => 'built'}), {proxy: true})
+
+    const mailer = resolve(MailerService)
+    expect(mailer.send('ada')).toBe('built')
+    expect(mailer.close()).toBe('closed')
+  })
+
+  it('should stack with mock classes and proxy through them', () => {
+    @Mock(MailerService, true)
+    class SuiteMailerMock {
+      send() {
+        return 'suite'
+      }
+    }
+
+    mockValue(MailerService, {close: () => 'stub closed'}, {proxy: true})
+
+    const mailer = resolve(MailerService)
+    expect(mailer.send()).toBe('suite')
+    expect(mailer.close()).toBe('stub closed')
+
+    resetMock(MailerService)
+    expect(resolve(MailerService)).toBeInstanceOf(SuiteMailerMock)
+  })
+
+  it('should defer mocks of keys that are not registered yet', () => {
+    mockValue('clock', {now: () => 0})
+
+    @Factory('clock')
+    class ClockFactory {
+      now() {
+        return Date.now()
+      }
+    }
+
+    expect(resolve('clock').now()).toBe(0)
+    expect(ClockFactory).toBeDefined()
+  })
+
+  it('should mock registered values and factory functions', () => {
+    const container = new Container()
+    container.registerValue('config', {port: 80, host: 'localhost'})
+    container.registerFactoryFunction('clock', () => ({now: () => 1}))
+
+    container.mockValue('config', {port: 8080}, {proxy: true})
+    container.mockFactory('clock', () => ({now: () => 2}))
+
+    expect(container.resolve('config').port).toBe(8080)
+    expect(container.resolve('config').host).toBe('localhost')
+    expect(container.resolve('clock').now()).toBe(2)
+
+    container.resetAllMocks()
+    expect(container.resolve('config')).toEqual({port: 80, host: 'localhost'})
+    expect(container.resolve('clock').now()).toBe(1)
+  })
+
+  it('should describe the mocks in events and log messages', () => {
+    const container = new Container()
+    const logger = {info: jest.fn()}
+    const events = []
+    container.setLogger(logger)
+    container.on('mock', payload => events.push(payload))
+    container.registerFactory(MailerService)
+
+    const stub = {}
+    function createMailer() {
+      return {}
+    }
+
+    container.mockValue(MailerService, stub)
+    container.mockFactory(MailerService, createMailer, {proxy: true})
+    container.mockFactory(MailerService, () => ({}))
+
+    expect(events).toEqual([
+      {token: MailerService, mock: stub, proxy: false},
+      {token: MailerService, mock: createMailer, proxy: true},
+      {token: MailerService, mock: expect.any(Function), proxy: false}
+    ])
+    expect(logger.info.mock.calls.map(([, message]) => message)).toEqual([
+      'Mocked MailerService with value',
+      'Mocked MailerService with factory createMailer (proxy)',
+      'Mocked MailerService with factory function'
+    ])
+  })
+
+  it('should reject factories that are not functions', () => {
+    expect(() => mockFactory(MailerService, {})).toThrow(DIError)
+    expect(() => mockFactory(MailerService, {})).toThrow('Factory must be a function')
+  })
+})
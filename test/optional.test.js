@@ -0,0 +1,175 @@
+import {
+  Singleton,
+  Factory,
+  Inject,
+  InjectLazy,
+  InjectOptional,
+  InjectionToken,
+  Mock,
+  registerValue,
+  clearContainer
+} from '../index.js'
+
+describe('Optional injection', () => {
+  afterEach(() => {
+    clearContainer()
+  })
+
+  describe('@InjectOptional', () => {
+    it('should inject undefined if nothing is registered', () => {
+      class Library {
+        @InjectOptional('metrics') metrics
+      }
+
+      expect(new Library().metrics).toBeUndefined()
+    })
+
+    it('should inject the default value if nothing is registered', () => {
+      const noopTracer = {trace() {}}
+
+      class Library {
+        @InjectOptional('tracer', noopTracer) tracer
+      }
+
+      expect(new Library().tracer).toBe(noopTracer)
+    })
+
+    it('should inject the registered instance if there is one', () => {
+      @Singleton('metrics')
+      class PrometheusMetrics {}
+
+      class Library {
+        @InjectOptional('metrics', null) metrics
+      }
+
+      expect(new Library().metrics).toBeInstanceOf(PrometheusMetrics)
+    })
+
+    it('should resolve when the instance is created, not when the class is defined', () => {
+      class Library {
+        @InjectOptional('lateMetrics') metrics
+      }
+
+      expect(new Library().metrics).toBeUndefined()
+      registerValue('lateMetrics', {name: 'late'})
+      expect(new Library().metrics).toEqual({name: 'late'})
+    })
+
+    it('should inject mocks of registered classes', () => {
+      @Singleton()
+      class Tracer {}
+
+      @Mock(Tracer)
+      class TracerMock {}
+
+      class Library {
+        @InjectOptional(Tracer) tracer
+      }
+
+      expect(new Library().tracer).toBeInstanceOf(TracerMock)
+    })
+
+    it('should support tokens, private fields and accessors', () => {
+      const TRACER = new InjectionToken('Tracer')
+
+      class Library {
+        @InjectOptional(TRACER, 'none') #tracer
+        @InjectOptional(TRACER) accessor tracerAccessor
+
+        getTracer() {
+          return this.#tracer
+        }
+      }
+
+      const library = new Library()
+      expect(library.getTracer()).toBe('none')
+      expect(library.tracerAccessor).toBeUndefined()
+    })
+
+    it('should still throw if the registration itself fails', () => {
+      @Factory('brokenMetrics')
+      class BrokenMetricsFactory {
+        constructor() {
+          throw new Error('Metrics backend unreachable')
+        }
+      }
+
+      class Library {
+        @InjectOptional('brokenMetrics') metrics
+      }
+
+      expect(() => new Library()).toThrow('Metrics backend unreachable')
+    })
+
+    it('should reject invalid targets', () => {
+      expect(() => {
+        class _MethodTarget {
+          @InjectOptional('metrics') method() {}
+        }
+      }).toThrow('Invalid injection target: @InjectOptional can only be used on fields or accessors')
+    })
+  })
+
+  describe('{optional: true}', () => {
+    it('should make @Inject inject undefined if nothing is registered', () => {
+      class Library {
+        @Inject('metrics', {optional: true}) metrics
+      }
+
+      expect(new Library().metrics).toBeUndefined()
+    })
+
+    it('should pass the remaining parameters to the constructor', () => {
+      @Factory('logger')
+      class LoggerFactory {
+        constructor(name) {
+          this.name = name
+        }
+      }
+
+      class Library {
+        @Inject('logger', 'library', {optional: true}) logger
+      }
+
+      expect(new Library().logger.name).toBe('library')
+    })
+
+    it('should make @InjectLazy inject undefined if nothing is registered', () => {
+      class Library {
+        @InjectLazy('tracer', {optional: true}) tracer
+        @InjectLazy('tracer', {optional: true}) accessor #tracer
+
+        getTracer() {
+          return this.#tracer
+        }
+      }
+
+      const library = new Library()
+      expect(library.tracer).toBeUndefined()
+      expect(library.getTracer()).toBeUndefined()
+    })
+
+    it('should still throw for required injections', () => {
+      class Library {
+        @Inject('metrics', {optional: false}) metrics
+      }
+
+      expect(() => new Library()).toThrow('Cannot find injection source for "metrics"')
+    })
+
+    it('should pass other objects to the constructor', () => {
+      @Factory('client')
+      class ClientFactory {
+        constructor(options) {
+          this.options = options
+        }
+      }
+
+      class Library {
+        @Inject('client', {optional: true, retries: 3}) client
+      }
+
+      expect(new Library().client.options).toEqual({optional: true, retries: 3})
+    })
+  })
+})
@@ -0,0 +1,180 @@
+import {performance} from 'node:perf_hooks'
+import {
+  Singleton,
+  Factory,
+  Inject,
+  registerFactoryFunction,
+  resolve,
+  resolveAsync,
+  startProfiling,
+  stopProfiling,
+  clearContainer
+} from '../index.js'
+import {DIError} from '../src/errors.js'
+import {Container} from '../src/Container.js'
+
+describe('Profiling', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = 0
+    jest.spyOn(performance, 'now').mockImplementation(() => clock)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    clearContainer()
+  })
+
+  it('should exclude nested creations from the self time', () => {
+    @Singleton()
+    class Database {
+      constructor() {
+        clock += 30
+      }
+    }
+
+    @Singleton()
+    class UserService {
+      @Inject(Database) database
+
+      constructor() {
+        clock += 5
+      }
+    }
+
+    startProfiling()
+    resolve(UserService)
+    const report = stopProfiling()
+
+    const entries = Object.fromEntries(report.entries.map(entry => [entry.name, entry]))
+    expect(entries.Database).toMatchObject({type: 'singleton', creations: 1, totalMs: 30, selfMs: 30})
+    expect(entries.UserService).toMatchObject({type: 'singleton', creations: 1, totalMs: 35, selfMs: 5})
+    expect(report.entries.map(entry => entry.name)).toEqual(['Database', 'UserService'])
+    expect(report.durationMs).toBe(35)
+  })
+
+  it('should count resolutions and cache hits per registration', () => {
+    @Singleton()
+    class ConfigService {}
+
+    @Factory()
+    class RequestFactory {
+      @Inject(ConfigService) config
+    }
+
+    startProfiling()
+    resolve(RequestFactory)
+    resolve(RequestFactory)
+    resolve(ConfigService)
+    const report = stopProfiling()
+
+    const entries = Object.fromEntries(report.entries.map(entry => [entry.name, entry]))
+    expect(entries.RequestFactory).toMatchObject({type: 'factory', resolutions: 2, cacheHits: 0, creations: 2})
+    expect(entries.ConfigService).toMatchObject({type: 'singleton', resolutions: 3, cacheHits: 2, creations: 1})
+  })
+
+  it('should build a tree of nested creations', () => {
+    @Singleton()
+    class Database {
+      constructor() {
+        clock += 10
+      }
+    }
+
+    @Factory()
+    class RepositoryFactory {
+      @Inject(Database) database
+    }
+
+    @Factory()
+    class UserServiceFactory {
+      @Inject(RepositoryFactory) users
+      @Inject(RepositoryFactory) orders
+    }
+
+    startProfiling()
+    resolve(UserServiceFactory)
+    const {tree} = stopProfiling()
+
+    expect(tree).toHaveLength(1)
+    expect(tree[0]).toMatchObject({name: 'UserServiceFactory', async: false, totalMs: 10, selfMs: 0})
+    expect(tree[0].children.map(node => node.name)).toEqual(['RepositoryFactory', 'RepositoryFactory'])
+    expect(tree[0].children[0].children).toEqual([
+      {token: Database, name: 'Database', type: 'singleton', async: false, totalMs: 10, selfMs: 10, children: []}
+    ])
+    expect(tree[0].children[1].children).toEqual([])
+  })
+
+  it('should record failed creations', () => {
+    @Singleton()
+    class BrokenService {
+      constructor() {
+        clock += 3
+        throw new Error('boom')
+      }
+    }
+
+    startProfiling()
+    expect(() => resolve(BrokenService)).toThrow('boom')
+    const report = stopProfiling()
+
+    expect(report.entries[0]).toMatchObject({name: 'BrokenService', creations: 1, totalMs: 3, selfMs: 3})
+    expect(report.tree).toHaveLength(1)
+  })
+
+  it('should record asynchronous creations as roots', async () => {
+    registerFactoryFunction('connection', async () => {
+      clock += 20
+      return {}
+    })
+
+    startProfiling()
+    await resolveAsync('connection')
+    const report = stopProfiling()
+
+    expect(report.entries[0]).toMatchObject({token: 'connection', resolutions: 1, creations: 1, totalMs: 20})
+    expect(report.tree).toEqual([expect.objectContaining({token: 'connection', async: true, totalMs: 20})])
+  })
+
+  it('should only record while profiling', () => {
+    @Singleton()
+    class Early {}
+
+    @Factory()
+    class LateFactory {}
+
+    resolve(Early)
+    startProfiling()
+    resolve(LateFactory)
+    const report = stopProfiling()
+    resolve(LateFactory)
+
+    expect(report.entries.map(entry => entry.name)).toEqual(['LateFactory'])
+    expect(report.entries[0].resolutions).toBe(1)
+  })
+
+  it('should restart the recording when started again', () => {
+    @Factory()
+    class ReportFactory {}
+
+    startProfiling()
+    resolve(ReportFactory)
+    startProfiling()
+    resolve(ReportFactory)
+    const report = stopProfiling()
+
+    expect(report.entries[0].resolutions).toBe(1)
+  })
+
+  it('should throw when profiling was not started', () => {
+    const container = new Container()
+
+    expect(() => container.stopProfiling()).toThrow(DIError)
+    expect(() => container.stopProfiling()).toThrow(expect.objectContaining({code: 'ERR_DI_NOT_PROFILING'}))
+
+    container.startProfiling()
+    container.stopProfiling()
+    expect(() => container.stopProfiling()).toThrow('Profiling was not started')
+  })
+})
@@ -0,0 +1,294 @@
+import {
+  Singleton,
+  Factory,
+  Inject,
+  Mock,
+  registerValue,
+  registerFactoryFunction,
+  registerAlias,
+  resolve,
+  resolveAsync,
+  resetMock,
+  clearContainer,
+  isRegistered
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('Providers', () => {
+  afterEach(() => {
+    clearContainer()
+  })
+
+  describe('registerValue', () => {
+    it('should inject a registered value as is', () => {
+      const config = {apiUrl: 'https://api.example.com'}
+      registerValue('config', config)
+
+      class ApiClient {
+        @Inject('config') config
+      }
+
+      expect(new ApiClient().config).toBe(config)
+      expect(resolve('config')).toBe(config)
+    })
+
+    it('should support primitive and falsy values', () => {
+      registerValue('port', 8080)
+      registerValue('debug', false)
+
+      expect(resolve('port')).toBe(8080)
+      expect(resolve('debug')).toBe(false)
+    })
+
+    it('should register values under a class key', () => {
+      class Logger {
+        log() {}
+      }
+      const logger = new Logger()
+      registerValue(Logger, logger)
+
+      expect(isRegistered(Logger)).toBe(true)
+      expect(resolve(Logger)).toBe(logger)
+    })
+
+    it('should not dispose registered values', () => {
+      const container = new Container()
+      let closed = false
+      container.registerValue('client', {
+        close() {
+          closed = true
+        }
+      })
+      container.resolve('client')
+
+      container.dispose()
+
+      expect(closed).toBe(false)
+    })
+
+    it('should throw on duplicate registration', () => {
+      registerValue('config', {})
+      expect(() => registerValue('config', {})).toThrow('A different class is already registered under this name')
+    })
+  })
+
+  describe('registerFactoryFunction', () => {
+    it('should call the factory for every injection', () => {
+      let count = 0
+      registerFactoryFunction('requestId', () => ++count)
+
+      class Handler {
+        @Inject('requestId') id
+      }
+
+      expect(new Handler().id).toBe(1)
+      expect(new Handler().id).toBe(2)
+    })
+
+    it('should pass the container and the injection parameters', () => {
+      registerValue('prefix', 'app')
+      registerFactoryFunction('logger', (container, name) => ({name: `${container.resolve('prefix')}:${name}`}))
+
+      class Service {
+        @Inject('logger', 'service') logger
+      }
+
+      expect(new Service().logger.name).toBe('app:service')
+    })
+
+    it('should cache the result when registered as a singleton', () => {
+      let count = 0
+      registerFactoryFunction('db', () => ({id: ++count}), {singleton: true})
+
+      expect(resolve('db')).toBe(resolve('db'))
+      expect(count).toBe(1)
+    })
+
+    it('should dispose objects built by the factory function', () => {
+      const container = new Container()
+      let closed = false
+      container.registerFactoryFunction('client', () => ({
+        close() {
+          closed = true
+        }
+      }), {singleton: true})
+      container.resolve('client')
+
+      container.dispose()
+
+      expect(closed).toBe(true)
+    })
+
+    it('should await async factory functions with resolveAsync', async () => {
+      registerFactoryFunction('connection', async () => ({connected: true}), {singleton: true})
+
+      const connection = await resolveAsync('connection')
+      expect(connection.connected).toBe(true)
+      expect(resolve('connection')).toBe(connection)
+    })
+
+    it('should reject non-function factories', () => {
+      expect(() => registerFactoryFunction('broken', {})).toThrow('Factory must be a function')
+    })
+  })
+
+  describe('registerAlias', () => {
+    it('should resolve the target registration', () => {
+      @Singleton()
+      class PostgresDatabase {}
+
+      registerAlias('database', PostgresDatabase)
+
+      class Repository {
+        @Inject('database') db
+      }
+
+      expect(new Repository().db).toBe(resolve(PostgresDatabase))
+      expect(isRegistered('database')).toBe(true)
+    })
+
+    it('should follow chains of aliases', () => {
+      registerValue('config', {name: 'config'})
+      registerAlias('settings', 'config')
+      registerAlias('options', 'settings')
+
+      expect(resolve('options')).toBe(resolve('config'))
+    })
+
+    it('should allow the target to be registered later', () => {
+      registerAlias('cache', 'memoryCache')
+      expect(isRegistered('cache')).toBe(false)
+
+      registerValue('memoryCache', new Map())
+      expect(resolve('cache')).toBe(resolve('memoryCache'))
+    })
+
+    it('should reject cycles', () => {
+      registerAlias('a', 'b')
+      expect(() => registerAlias('b', 'a')).toThrow('Alias "b" would point to itself')
+      expect(() => registerAlias('c', 'c')).toThrow('Alias "c" would point to itself')
+    })
+
+    it('should not replace an existing registration', () => {
+      registerValue('config', {})
+      expect(() => registerAlias('config', 'other')).toThrow('A different class is already registered under this name')
+    })
+
+    it('should follow aliases from the resolving child container', () => {
+      const parent = new Container()
+      parent.registerValue('config', 'parent config')
+      parent.registerAlias('settings', 'config')
+      const child = parent.createChild()
+      child.registerValue('config', 'child config')
+
+      expect(parent.resolve('settings')).toBe('parent config')
+      expect(child.resolve('settings')).toBe('child config')
+    })
+  })
+
+  describe('mocking', () => {
+    it('should mock a registered value', () => {
+      registerValue('config', {env: 'production'})
+
+      @Mock('config')
+      class MockConfig {
+        env = 'test'
+      }
+
+      expect(resolve('config').env).toBe('test')
+      resetMock('config')
+      expect(resolve('config').env).toBe('production')
+    })
+
+    it('should mock a factory function with proxy fallback', () => {
+      registerFactoryFunction('client', () => ({
+        get: () => 'real get',
+        post: () => 'real post'
+      }))
+
+      @Mock('client', true)
+      class MockClient {
+        get() {
+          return 'mocked get'
+        }
+      }
+
+      const client = resolve('client')
+      expect(client.get()).toBe('mocked get')
+      expect(client.post()).toBe('real post')
+
+      resetMock('client')
+      expect(resolve('client').get()).toBe('real get')
+    })
+
+    it('should mock the target of an alias', () => {
+      @Factory()
+      class RealService {
+        name = 'real'
+      }
+
+      registerAlias('service', RealService)
+
+      @Mock('service')
+      class MockService {
+        name = 'mock'
+      }
+
+      expect(resolve(RealService).name).toBe('mock')
+      resetMock(RealService)
+      expect(resolve('service').name).toBe('real')
+    })
+
+    it('should reset mocks through the alias they were registered with', () => {
+      @Factory()
+      class RealService {
+        name = 'real'
+      }
+
+      registerValue('config', {env: 'production'})
+      registerFactoryFunction('client', () => ({name: 'real client'}))
+      registerAlias('service', RealService)
+      registerAlias('settings', 'config')
+      registerAlias('http', 'client')
+
+      @Mock('service')
+      class SuiteServiceMock {}
+
+      @Mock('service')
+      class TestServiceMock {}
+
+      @Mock('settings')
+      class MockConfig {}
+
+      @Mock('http')
+      class MockClient {}
+
+      resetMock('service')
+      expect(resolve(RealService)).toBeInstanceOf(SuiteServiceMock)
+      resetMock('service')
+      expect(resolve(RealService).name).toBe('real')
+      resetMock('settings')
+      expect(resolve('config')).toEqual({env: 'production'})
+      resetMock('http')
+      expect(resolve('client').name).toBe('real client')
+      expect(TestServiceMock).toBeDefined()
+    })
+
+    it('should reset mocks of a parent registration through an alias in a child container', () => {
+      const parent = new Container()
+      const child = parent.createChild()
+
+      class RealService {}
+
+      class MockService {}
+
+      parent.registerFactory(RealService)
+      parent.registerAlias('service', RealService)
+      child.registerMock('service', MockService)
+      expect(child.resolve('service')).toBeInstanceOf(MockService)
+
+      child.resetMock('service')
+      expect(child.resolve('service')).toBeInstanceOf(RealService)
+    })
+  })
+})
@@ -0,0 +1,230 @@
+import {
+  Singleton,
+  Factory,
+  Inject,
+  PostConstruct,
+  registerFactoryFunction,
+  resolve,
+  resolveAsync,
+  clearContainer,
+  DIError,
+  NotRegisteredError,
+  ResolutionError
+} from '../index.js'
+
+/**
+ * Run a function and return the error it throws.
+ * @param {Function} fn The function to run
+ * @returns {Error}
+ */
+function errorOf(fn) {
+  try {
+    fn()
+  } catch (error) {
+    return error
+  }
+  throw new Error('Expected an error to be thrown')
+}
+
+describe('Resolution errors', () => {
+  afterEach(() => {
+    clearContainer()
+    jest.restoreAllMocks()
+  })
+
+  it('should wrap constructor failures with the registration that failed', () => {
+    const cause = new TypeError('Cannot read properties of undefined')
+
+    @Singleton()
+    class ConfigService {
+      constructor() {
+        throw cause
+      }
+    }
+
+    const error = errorOf(() => resolve(ConfigService))
+    expect(error).toBeInstanceOf(ResolutionError)
+    expect(error).toBeInstanceOf(DIError)
+    expect(error.code).toBe('ERR_DI_RESOLUTION')
+    expect(error.token).toBe(ConfigService)
+    expect(error.cause).toBe(cause)
+    expect(error.message).toBe('Failed to create "ConfigService": Cannot read properties of undefined')
+  })
+
+  it('should list the chain of registrations and fields for transitive failures', () => {
+    // RepositoryService captures the ConnectionFactory factory, which is reported as a warning
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+    @Factory()
+    class ConnectionFactory {
+      host = this.parse()
+
+      parse() {
+        throw new Error('Invalid host')
+      }
+    }
+
+    @Singleton('repository')
+    class RepositoryService {
+      @Inject(ConnectionFactory) connection
+    }
+
+    @Singleton()
+    class UserService {
+      @Inject('repository') repository
+    }
+
+    class UserController {
+      @Inject(UserService) users
+    }
+
+    const error = errorOf(() => new UserController())
+    expect(error).toBeInstanceOf(ResolutionError)
+    expect(error.message).toBe(
+      'Failed to create "ConnectionFactory" while resolving UserService -> RepositoryService -> ConnectionFactory ' +
+      '(fields: UserController.users -> UserService.repository -> RepositoryService.connection): Invalid host'
+    )
+    expect(error.token).toBe(ConnectionFactory)
+    expect(error.chain.map(step => step.token)).toEqual([UserService, 'repository', ConnectionFactory])
+    expect(error.chain.map(step => step.name)).toEqual(['UserService', 'RepositoryService', 'ConnectionFactory'])
+    expect(error.chain.map(step => step.injectionPoint)).toEqual([
+      expect.objectContaining({consumer: 'UserController', field: 'users'}),
+      expect.objectContaining({consumer: 'UserService', field: 'repository'}),
+      expect.objectContaining({consumer: 'RepositoryService', field: 'connection'})
+    ])
+  })
+
+  it('should keep the params passed to the failed registration', () => {
+    @Factory()
+    class ReportFactory {
+      constructor(format) {
+        throw new Error(`Unknown format ${format}`)
+      }
+    }
+
+    const error = errorOf(() => resolve(ReportFactory, 'xls', {pages: 2}))
+    expect(error.params).toEqual(['xls', {pages: 2}])
+    expect(error.message).toBe('Failed to create "ReportFactory": Unknown format xls')
+  })
+
+  it('should keep the stack of the original error', () => {
+    @Singleton()
+    class BrokenService {
+      constructor() {
+        throw new Error('Broken')
+      }
+    }
+
+    const error = errorOf(() => resolve(BrokenService))
+    expect(error.stack).toContain('ResolutionError: Failed to create "BrokenService": Broken')
+    expect(error.stack).toContain(`Caused by: ${error.cause.stack}`)
+  })
+
+  it('should wrap non-error values', () => {
+    registerFactoryFunction('settings', () => {
+      throw 'missing file'
+    })
+
+    const error = errorOf(() => resolve('settings'))
+    expect(error.message).toBe('Failed to create "settings": missing file')
+    expect(error.cause).toBe('missing file')
+  })
+
+  it('should wrap failing @PostConstruct methods', () => {
+    @Singleton()
+    class CacheService {
+      @PostConstruct()
+      warmUp() {
+        throw new Error('Cache unavailable')
+      }
+    }
+
+    expect(() => resolve(CacheService)).toThrow('Failed to create "CacheService": Cache unavailable')
+  })
+
+  it('should only wrap the failure once', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+    @Factory()
+    class ClockFactory {
+      constructor() {
+        throw new Error('No clock')
+      }
+    }
+
+    @Singleton()
+    class SchedulerService {
+      @Inject(ClockFactory) clock
+    }
+
+    const error = errorOf(() => resolve(SchedulerService))
+    expect(error.token).toBe(ClockFactory)
+    expect(error.cause.message).toBe('No clock')
+  })
+
+  it('should pass errors of the container through', () => {
+    @Singleton()
+    class MailService {
+      @Inject('transport') transport
+    }
+
+    const error = errorOf(() => resolve(MailService))
+    expect(error).toBeInstanceOf(NotRegisteredError)
+    expect(error.message).toBe('Cannot find injection source for "transport" (injected into MailService.transport).')
+  })
+
+  it('should wrap synchronous failures of resolveAsync()', async () => {
+    @Singleton()
+    class QueueService {
+      static create() {
+        throw new Error('Queue offline')
+      }
+    }
+
+    await expect(resolveAsync(QueueService)).rejects.toThrow(ResolutionError)
+    await expect(resolveAsync(QueueService)).rejects.toThrow('Failed to create "QueueService": Queue offline')
+  })
+
+  it('should wrap failures of async init() methods', async () => {
+    const cause = new Error('init boom')
+
+    @Singleton()
+    class ConnectionService {
+      async init() {
+        throw cause
+      }
+    }
+
+    const error = await resolveAsync(ConnectionService, 'db://test').catch(err => err)
+    expect(error).toBeInstanceOf(ResolutionError)
+    expect(error.message).toBe('Failed to create "ConnectionService": init boom')
+    expect(error.cause).toBe(cause)
+    expect(error.params).toEqual(['db://test'])
+    expect(error.chain).toEqual([{token: ConnectionService, name: 'ConnectionService', injectionPoint: undefined}])
+  })
+
+  it('should wrap failures of async @PostConstruct methods and create()', async () => {
+    @Factory()
+    class CacheFactory {
+      @PostConstruct()
+      async warmUp() {
+        throw new Error('Cache unavailable')
+      }
+    }
+
+    @Factory()
+    class QueueFactory {
+      static async create() {
+        throw new Error('Queue offline')
+      }
+    }
+
+    registerFactoryFunction('connection', async () => {
+      throw new Error('No connection')
+    })
+
+    await expect(resolveAsync(CacheFactory)).rejects.toThrow('Failed to create "CacheFactory": Cache unavailable')
+    await expect(resolveAsync(QueueFactory)).rejects.toThrow('Failed to create "QueueFactory": Queue offline')
+    await expect(resolveAsync('connection')).rejects.toThrow('Failed to create "connection": No connection')
+  })
+})
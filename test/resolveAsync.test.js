@@ -0,0 +1,201 @@
+import {
+  Singleton,
+  Factory,
+  Scoped,
+  Inject,
+  PostConstruct,
+  resolve,
+  resolveAsync,
+  runInScope,
+  clearContainer
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1))
+
+describe('resolveAsync', () => {
+  afterEach(() => {
+    clearContainer()
+  })
+
+  it('should resolve classes without async initialization', async () => {
+    @Singleton()
+    class PlainService {}
+
+    const instance = await resolveAsync(PlainService)
+    expect(instance).toBeInstanceOf(PlainService)
+    expect(instance).toBe(resolve(PlainService))
+  })
+
+  it('should use a static async create() method', async () => {
+    @Singleton()
+    class Database {
+      static async create(url) {
+        await tick()
+        const db = new Database()
+        db.url = url
+        db.connected = true
+        return db
+      }
+    }
+
+    const db = await resolveAsync(Database, 'postgres://localhost')
+    expect(db).toBeInstanceOf(Database)
+    expect(db.connected).toBe(true)
+    expect(db.url).toBe('postgres://localhost')
+  })
+
+  it('should await an async init() method', async () => {
+    @Singleton()
+    class Cache {
+      ready = false
+
+      async init() {
+        await tick()
+        this.ready = true
+      }
+    }
+
+    expect((await resolveAsync(Cache)).ready).toBe(true)
+  })
+
+  it('should await async @PostConstruct methods', async () => {
+    @Singleton()
+    class Warmup {
+      warm = false
+
+      @PostConstruct()
+      async load() {
+        await tick()
+        this.warm = true
+      }
+    }
+
+    expect((await resolveAsync(Warmup)).warm).toBe(true)
+  })
+
+  it('should share one in-flight promise between concurrent calls', async () => {
+    let created = 0
+
+    @Singleton()
+    class Connection {
+      static async create() {
+        created++
+        await tick()
+        return new Connection()
+      }
+    }
+
+    const [a, b, c] = await Promise.all([
+      resolveAsync(Connection),
+      resolveAsync(Connection),
+      resolveAsync(Connection)
+    ])
+
+    expect(created).toBe(1)
+    expect(a).toBe(b)
+    expect(b).toBe(c)
+  })
+
+  it('should return the cached singleton to later synchronous injections', async () => {
+    @Singleton()
+    class Database {
+      async init() {
+        await tick()
+        this.ready = true
+      }
+    }
+
+    class Repository {
+      @Inject(Database) db
+    }
+
+    const db = await resolveAsync(Database)
+    expect(new Repository().db).toBe(db)
+    expect(new Repository().db.ready).toBe(true)
+  })
+
+  it('should refuse synchronous resolution while the singleton is initializing', async () => {
+    @Singleton()
+    class SlowService {
+      static async create() {
+        await tick()
+        return new SlowService()
+      }
+    }
+
+    const pending = resolveAsync(SlowService)
+    expect(() => resolve(SlowService)).toThrow(
+      'Singleton "SlowService" is still being initialized asynchronously'
+    )
+    await pending
+    expect(resolve(SlowService)).toBe(await pending)
+  })
+
+  it('should create a new instance per call for factories', async () => {
+    @Factory()
+    class Session {
+      async init() {
+        await tick()
+      }
+    }
+
+    const [a, b] = await Promise.all([resolveAsync(Session), resolveAsync(Session)])
+    expect(a).not.toBe(b)
+  })
+
+  it('should share scoped instances within a scope', async () => {
+    let created = 0
+
+    @Scoped()
+    class RequestContext {
+      async init() {
+        created++
+        await tick()
+      }
+    }
+
+    await runInScope(async () => {
+      const [a, b] = await Promise.all([resolveAsync(RequestContext), resolveAsync(RequestContext)])
+      expect(a).toBe(b)
+      expect(resolve(RequestContext)).toBe(a)
+    })
+    expect(created).toBe(1)
+  })
+
+  it('should allow a retry after a failed initialization', async () => {
+    let attempts = 0
+
+    @Singleton()
+    class Flaky {
+      async init() {
+        attempts++
+        if (attempts === 1) {
+          throw new Error('connection refused')
+        }
+      }
+    }
+
+    await expect(resolveAsync(Flaky)).rejects.toThrow('connection refused')
+    await expect(resolveAsync(Flaky)).resolves.toBeInstanceOf(Flaky)
+    expect(attempts).toBe(2)
+  })
+
+  it('should reject for unregistered tokens', async () => {
+    await expect(resolveAsync('missing')).rejects.toThrow('Cannot find injection source for "missing"')
+  })
+
+  it('should work on isolated containers', async () => {
+    const container = new Container()
+    class Service {
+      static async create(value) {
+        const service = new Service()
+        service.value = value
+        return service
+      }
+    }
+    container.registerSingleton(Service)
+
+    expect((await container.resolveAsync(Service, 42)).value).toBe(42)
+  })
+})
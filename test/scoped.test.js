@@ -0,0 +1,160 @@
+import {
+  Scoped,
+  Singleton,
+  Inject,
+  InjectLazy,
+  resolve,
+  runInScope,
+  clearContainer
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('Scoped', () => {
+  afterEach(() => {
+    clearContainer()
+  })
+
+  it('should register a scoped class', () => {
+    @Scoped()
+    class RequestContext {}
+
+    runInScope(() => {
+      expect(resolve(RequestContext)).toBeInstanceOf(RequestContext)
+    })
+  })
+
+  it('should share one instance within a scope', () => {
+    @Scoped()
+    class RequestContext {}
+
+    class Handler {
+      @Inject(RequestContext) context
+      @InjectLazy(RequestContext) lazyContext
+    }
+
+    runInScope(() => {
+      const handler = new Handler()
+      expect(handler.context).toBe(resolve(RequestContext))
+      expect(handler.lazyContext).toBe(handler.context)
+    })
+  })
+
+  it('should create a new instance per scope', () => {
+    @Scoped('requestContext')
+    class RequestContext {}
+
+    const first = runInScope(() => resolve('requestContext'))
+    const second = runInScope(() => resolve('requestContext'))
+
+    expect(first).toBeInstanceOf(RequestContext)
+    expect(second).toBeInstanceOf(RequestContext)
+    expect(first).not.toBe(second)
+  })
+
+  it('should share the instance across awaits in the same scope', async () => {
+    @Scoped()
+    class RequestContext {}
+
+    const [before, after] = await runInScope(async () => {
+      const before = resolve(RequestContext)
+      await new Promise(resolve => setTimeout(resolve, 1))
+      return [before, resolve(RequestContext)]
+    })
+
+    expect(before).toBe(after)
+  })
+
+  it('should isolate concurrent scopes', async () => {
+    @Scoped()
+    class RequestContext {
+      id = null
+    }
+
+    const handle = id => runInScope(async () => {
+      resolve(RequestContext).id = id
+      await new Promise(resolve => setTimeout(resolve, 5 - id))
+      return resolve(RequestContext).id
+    })
+
+    expect(await Promise.all([handle(1), handle(2), handle(3)])).toEqual([1, 2, 3])
+  })
+
+  it('should allow singletons to be resolved inside a scope', () => {
+    @Singleton()
+    class Database {}
+
+    const inside = runInScope(() => resolve(Database))
+    expect(inside).toBe(resolve(Database))
+  })
+
+  it('should throw when resolving outside of a scope', () => {
+    @Scoped()
+    class RequestContext {}
+
+    expect(() => resolve(RequestContext)).toThrow(
+      'Cannot resolve scoped "RequestContext" outside of a scope'
+    )
+  })
+
+  it('should throw when resolving after the scope has ended', async () => {
+    @Scoped()
+    class RequestContext {}
+
+    let later
+    runInScope(() => {
+      later = new Promise(resolve => setTimeout(resolve, 1)).then(() => resolve(RequestContext))
+    })
+
+    await expect(later).rejects.toThrow('the scope has already ended')
+  })
+
+  it('should return the value of the scoped function', async () => {
+    expect(runInScope(() => 42)).toBe(42)
+    await expect(runInScope(async () => 'async')).resolves.toBe('async')
+  })
+
+  it('should propagate errors and still close the scope', async () => {
+    expect(() => runInScope(() => {
+      throw new Error('sync failure')
+    })).toThrow('sync failure')
+    await expect(runInScope(async () => {
+      throw new Error('async failure')
+    })).rejects.toThrow('async failure')
+  })
+
+  it('should open nested scopes independently', () => {
+    @Scoped()
+    class RequestContext {}
+
+    runInScope(() => {
+      const outer = resolve(RequestContext)
+      const inner = runInScope(() => resolve(RequestContext))
+      expect(inner).not.toBe(outer)
+      expect(resolve(RequestContext)).toBe(outer)
+    })
+  })
+
+  describe('with containers', () => {
+    it('should support scoped registrations on isolated containers', () => {
+      const container = new Container()
+      class RequestContext {}
+      container.registerScoped(RequestContext)
+
+      expect(container.getContext(RequestContext).type).toBe('scoped')
+      container.runInScope(() => {
+        expect(container.resolve(RequestContext)).toBe(container.resolve(RequestContext))
+      })
+    })
+
+    it('should share scopes between parent and child containers', () => {
+      const parent = new Container()
+      const child = parent.createChild()
+      class RequestContext {}
+      parent.registerScoped(RequestContext)
+
+      parent.runInScope(() => {
+        expect(child.resolve(RequestContext)).toBe(parent.resolve(RequestContext))
+      })
+    })
+  })
+})
@@ -0,0 +1,317 @@
+import {
+  Singleton,
+  Factory,
+  Inject,
+  Mock,
+  resolve,
+  resetMock,
+  resetMocks,
+  mockValue,
+  withMocks,
+  getCalls,
+  createSpyProxy,
+  clearContainer,
+  DIError
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('Spy mocks', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+    resetMocks()
+    clearContainer()
+  })
+
+  it('should record the calls of a service injected deep inside the object graph', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1760000000000)
+
+    @Singleton()
+    class RepositoryService {
+      save(user) {
+        return {id: 1, ...user}
+      }
+
+      remove() {
+        throw new Error('read only')
+      }
+    }
+
+    @Singleton()
+    class UserService {
+      @Inject(RepositoryService) repository
+
+      register(name) {
+        return this.repository.save({name})
+      }
+    }
+
+    @Factory()
+    class SignupFactory {
+      @Inject(UserService) users
+
+      signup(name) {
+        return this.users.register(name)
+      }
+    }
+
+    @Mock(RepositoryService, {spy: true})
+    class RepositorySpy {}
+
+    const error = new Error('read only')
+    const repository = resolve(RepositoryService)
+    expect(resolve(SignupFactory).signup('ada')).toEqual({id: 1, name: 'ada'})
+    expect(() => repository.remove(1)).toThrow(error)
+
+    expect(getCalls(RepositoryService)).toEqual([
+      {method: 'save', args: [{name: 'ada'}], returnValue: {id: 1, name: 'ada'}, error: undefined, timestamp: 1760000000000},
+      {method: 'remove', args: [1], returnValue: undefined, error, timestamp: 1760000000000}
+    ])
+    expect(RepositorySpy).toBeDefined()
+  })
+
+  it('should record the calls to the methods a mock class overrides', () => {
+    @Factory()
+    class PaymentFactory {
+      charge(amount) {
+        return `charged ${amount}`
+      }
+
+      refund(amount) {
+        return `refunded ${amount}`
+      }
+    }
+
+    @Mock(PaymentFactory, {spy: true})
+    class PaymentMock {
+      charge() {
+        return 'mocked'
+      }
+    }
+
+    const payments = resolve(PaymentFactory)
+    expect(payments.charge(5)).toBe('mocked')
+    expect(payments.refund(5)).toBe('refunded 5')
+    expect(getCalls(PaymentFactory).map(({method, returnValue}) => [method, returnValue])).toEqual([
+      ['charge', 'mocked'],
+      ['refund', 'refunded 5']
+    ])
+    expect(PaymentMock).toBeDefined()
+  })
+
+  it('should not proxy to the original with proxy: false', () => {
+    @Factory()
+    class PaymentFactory {
+      refund() {
+        return 'refunded'
+      }
+    }
+
+    @Mock(PaymentFactory, {spy: true, proxy: false})
+    class PaymentMock {
+      charge() {
+        return 'mocked'
+      }
+    }
+
+    const payments = resolve(PaymentFactory)
+    expect(payments).toBeInstanceOf(PaymentMock)
+    expect(payments.refund).toBeUndefined()
+  })
+
+  it('should collect the calls of all instances of a factory in order', () => {
+    @Factory()
+    class RequestFactory {
+      send(path) {
+        return path
+      }
+    }
+
+    @Mock(RequestFactory, {spy: true})
+    class RequestSpy {}
+
+    resolve(RequestFactory).send('/a')
+    resolve(RequestFactory).send('/b')
+
+    expect(getCalls(RequestFactory).map(call => call.args)).toEqual([['/a'], ['/b']])
+    expect(RequestSpy).toBeDefined()
+  })
+
+  it('should record the promise returned by async methods', async () => {
+    @Singleton()
+    class ClientService {
+      async fetch(id) {
+        return {id}
+      }
+    }
+
+    @Mock(ClientService, {spy: true})
+    class ClientSpy {}
+
+    await resolve(ClientService).fetch(7)
+
+    const [call] = getCalls(ClientService)
+    await expect(call.returnValue).resolves.toEqual({id: 7})
+    expect(call.error).toBeUndefined()
+    expect(ClientSpy).toBeDefined()
+  })
+
+  it('should record the rejection of async methods as the error', async () => {
+    const error = new Error('Timeout')
+
+    @Singleton()
+    class ClientService {
+      async fetch() {
+        throw error
+      }
+    }
+
+    @Mock(ClientService, {spy: true})
+    class ClientSpy {}
+
+    await expect(resolve(ClientService).fetch(7)).rejects.toBe(error)
+
+    const [call] = getCalls(ClientService)
+    expect(call).toMatchObject({method: 'fetch', args: [7], error})
+    await expect(call.returnValue).rejects.toBe(error)
+    expect(ClientSpy).toBeDefined()
+  })
+
+  it('should spy on mock objects', () => {
+    @Singleton()
+    class MailerService {}
+
+    mockValue(MailerService, {send: to => `stubbed ${to}`}, {spy: true})
+
+    expect(resolve(MailerService).send('ada')).toBe('stubbed ada')
+    expect(getCalls(MailerService)).toEqual([expect.objectContaining({method: 'send', args: ['ada']})])
+  })
+
+  it('should keep the calls of stacked mocks apart', () => {
+    @Factory()
+    class ClockFactory {
+      now() {
+        return 0
+      }
+    }
+
+    @Mock(ClockFactory, {spy: true})
+    class SuiteClockSpy {}
+
+    resolve(ClockFactory).now()
+
+    @Mock(ClockFactory, {spy: true})
+    class TestClockSpy {
+      now() {
+        return 1
+      }
+    }
+
+    resolve(ClockFactory).now()
+    resolve(ClockFactory).now()
+    expect(getCalls(ClockFactory)).toHaveLength(2)
+
+    resetMock(ClockFactory)
+    expect(getCalls(ClockFactory)).toHaveLength(1)
+    expect(SuiteClockSpy).toBeDefined()
+    expect(TestClockSpy).toBeDefined()
+  })
+
+  it('should spy on temporary mocks inside withMocks()', () => {
+    @Factory()
+    class ClockFactory {
+      now() {
+        return 0
+      }
+    }
+
+    class ClockSpy {}
+
+    withMocks([[ClockFactory, ClockSpy, {spy: true}]], () => {
+      expect(resolve(ClockFactory).now()).toBe(0)
+      expect(getCalls(ClockFactory)).toHaveLength(1)
+    })
+    expect(() => getCalls(ClockFactory)).toThrow('ClockFactory is not spied on')
+  })
+
+  it('should throw for keys that are not spied on', () => {
+    @Factory()
+    class ClockFactory {}
+
+    @Mock(ClockFactory)
+    class ClockMock {}
+
+    expect(() => getCalls(ClockFactory)).toThrow(DIError)
+    expect(() => getCalls(ClockFactory)).toThrow(expect.objectContaining({code: 'ERR_DI_NOT_SPIED'}))
+    expect(ClockMock).toBeDefined()
+  })
+
+  it('should return a copy of the calls', () => {
+    const container = new Container()
+
+    class CounterFactory {
+      increment() {}
+    }
+
+    container.registerFactory(CounterFactory)
+    container.registerMock(CounterFactory, class {}, {spy: true})
+    container.resolve(CounterFactory).increment()
+
+    container.getCalls(CounterFactory).pop()
+    expect(container.getCalls(CounterFactory)).toHaveLength(1)
+  })
+
+  it('should log spy mocks', () => {
+    const container = new Container()
+    const logger = {info: jest.fn()}
+    container.setLogger(logger)
+
+    class CounterFactory {}
+
+    class CounterSpy {}
+
+    container.registerFactory(CounterFactory)
+    container.registerMock(CounterFactory, CounterSpy, {spy: true})
+
+    expect(logger.info).toHaveBeenCalledWith(
+      {event: 'mock', token: CounterFactory, mock: CounterSpy, proxy: true},
+      'Mocked CounterFactory with CounterSpy (proxy, spy)'
+    )
+  })
+})
+
+describe('createSpyProxy', () => {
+  it('should forward to the instance and keep private fields working', () => {
+    class Counter {
+      #count = 0
+
+      increment(by) {
+        this.#count += by
+        return this.#count
+      }
+
+      get count() {
+        return this.#count
+      }
+    }
+
+    const calls = []
+    const counter = createSpyProxy(new Counter(), calls)
+
+    expect(counter.increment(2)).toBe(2)
+    expect(counter.increment(3)).toBe(5)
+    expect(counter.count).toBe(5)
+    expect(counter.increment).toBe(counter.increment)
+    expect(calls.map(({method, args, returnValue}) => [method, args, returnValue])).toEqual([
+      ['increment', [2], 2],
+      ['increment', [3], 5]
+    ])
+  })
+
+  it('should write properties to the instance', () => {
+    const instance = {name: 'before'}
+    const spy = createSpyProxy(instance)
+
+    spy.name = 'after'
+    expect(instance.name).toBe('after')
+  })
+})
@@ -0,0 +1,154 @@
+import {
+  Singleton,
+  Factory,
+  Inject,
+  InjectionToken,
+  registerValue,
+  resolve,
+  validateContainer,
+  clearContainer
+} from '../index.js'
+import {Container} from '../src/Container.js'
+import {editDistance, suggestTokens} from '../src/suggestions.js'
+
+describe('Did-you-mean suggestions', () => {
+  afterEach(() => {
+    clearContainer()
+  })
+
+  describe('editDistance', () => {
+    it('should count insertions, deletions and substitutions', () => {
+      expect(editDistance('logger', 'logger')).toBe(0)
+      expect(editDistance('loger', 'logger')).toBe(1)
+      expect(editDistance('loggers', 'logger')).toBe(1)
+      expect(editDistance('kitten', 'sitting')).toBe(3)
+      expect(editDistance('', 'abc')).toBe(3)
+    })
+  })
+
+  describe('suggestTokens', () => {
+    it('should rank similar names by edit distance and list at most three', () => {
+      const candidates = ['userServices', 'userService', 'usrService', 'userServic', 'orderService']
+      expect(suggestTokens('userService2', candidates)).toEqual([
+        'Did you mean "userService", "userServices" or "userServic"?'
+      ])
+    })
+
+    it('should ignore case when comparing names', () => {
+      expect(suggestTokens('CONFIG', ['config'])).toEqual(['Did you mean "config"?'])
+    })
+
+    it('should return nothing if no name is similar', () => {
+      expect(suggestTokens('database', ['logger', 'mailer', Symbol('cache')])).toEqual([])
+    })
+  })
+
+  describe('unresolved injections', () => {
+    it('should name the consumer and field', () => {
+      @Singleton()
+      class UserService {}
+
+      class OrderController {
+        @Inject('UserServce') users
+      }
+
+      expect(() => new OrderController()).toThrow(
+        'Cannot find injection source for "UserServce" (injected into OrderController.users). ' +
+        'Did you mean "UserService"?'
+      )
+    })
+
+    it('should name private fields', () => {
+      registerValue('config', {})
+
+      class Consumer {
+        @Inject('confg') #config
+
+        getConfig() {
+          return this.#config
+        }
+      }
+
+      expect(() => new Consumer()).toThrow(
+        'Cannot find injection source for "confg" (injected into Consumer.#config). Did you mean "config"?'
+      )
+    })
+
+    it('should point out string names for class registrations', () => {
+      @Singleton()
+      class UserService {}
+
+      class OrderController {
+        @Inject('UserService') users
+      }
+
+      expect(() => new OrderController()).toThrow(
+        '"UserService" is registered by class, not by string name: did you mean the class UserService?'
+      )
+    })
+
+    it('should point out classes for string name registrations', () => {
+      @Factory('PaymentService')
+      class StripePaymentService {}
+
+      class PaymentService {}
+
+      expect(() => resolve(PaymentService)).toThrow(
+        'Cannot find injection source for "PaymentService". ' +
+        '"PaymentService" is registered by string name, not by class: did you mean the string name PaymentService?'
+      )
+    })
+
+    it('should point out different classes with the same name', () => {
+      const createService = () => {
+        @Singleton()
+        class MailService {}
+        return MailService
+      }
+      createService()
+
+      class MailService {}
+
+      expect(() => resolve(MailService)).toThrow(
+        'A different class named "MailService" is registered. Check that both sides import it from the same module.'
+      )
+    })
+
+    it('should point out different InjectionTokens with the same name', () => {
+      registerValue(new InjectionToken('Config'), {})
+
+      expect(() => resolve(new InjectionToken('Config'))).toThrow(
+        'A different InjectionToken named "Config" is registered. Check that both sides use the same InjectionToken.'
+      )
+    })
+
+    it('should not list unrelated registrations', () => {
+      registerValue('logger', {})
+
+      expect(() => resolve('database')).toThrow(/^Cannot find injection source for "database"\.$/)
+    })
+
+    it('should suggest registrations of parent containers', () => {
+      const parent = new Container()
+      parent.registerValue('settings', {})
+      const child = parent.createChild()
+
+      expect(() => child.resolve('setings')).toThrow('Did you mean "settings"?')
+    })
+  })
+
+  describe('validateContainer', () => {
+    it('should suggest similar registrations for missing ones', () => {
+      registerValue('database', {})
+
+      @Singleton()
+      class ReportService {
+        @Inject('databse') db
+      }
+
+      expect(() => validateContainer()).toThrow(
+        '  - ReportService.db: "databse" is not registered. Did you mean "database"?'
+      )
+    })
+  })
+})
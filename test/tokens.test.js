@@ -0,0 +1,179 @@
+import {
+  Singleton,
+  Factory,
+  Inject,
+  InjectLazy,
+  Mock,
+  InjectionToken,
+  resolve,
+  resetMock,
+  isRegistered,
+  validateRegistrations,
+  clearContainer,
+  setDebug
+} from '../index.js'
+import {Container} from '../src/Container.js'
+import {tokenName} from '../src/tokens.js'
+
+describe('Injection Tokens', () => {
+  afterEach(() => {
+    clearContainer()
+  })
+
+  describe('InjectionToken', () => {
+    it('should expose its name and description', () => {
+      const token = new InjectionToken('Database', {description: 'Primary connection'})
+      expect(token.name).toBe('Database')
+      expect(token.description).toBe('Primary connection')
+      expect(token.toString()).toBe('Database (Primary connection)')
+      expect(new InjectionToken('Logger').toString()).toBe('Logger')
+    })
+
+    it('should register and inject classes under a token', () => {
+      const DATABASE = new InjectionToken('Database')
+
+      @Singleton(DATABASE)
+      class PostgresDatabase {}
+
+      class Repository {
+        @Inject(DATABASE) db
+        @InjectLazy(DATABASE) lazyDb
+      }
+
+      const repository = new Repository()
+      expect(repository.db).toBeInstanceOf(PostgresDatabase)
+      expect(repository.lazyDb).toBe(repository.db)
+      expect(resolve(DATABASE)).toBe(repository.db)
+    })
+
+    it('should not collide with tokens or strings of the same name', () => {
+      const libraryLogger = new InjectionToken('logger')
+      const appLogger = new InjectionToken('logger')
+
+      @Singleton(libraryLogger)
+      class LibraryLogger {}
+
+      @Singleton(appLogger)
+      class AppLogger {}
+
+      @Singleton('logger')
+      class StringLogger {}
+
+      expect(resolve(libraryLogger)).toBeInstanceOf(LibraryLogger)
+      expect(resolve(appLogger)).toBeInstanceOf(AppLogger)
+      expect(resolve('logger')).toBeInstanceOf(StringLogger)
+    })
+
+    it('should support mocking by token', () => {
+      const CLOCK = new InjectionToken('Clock')
+
+      @Factory(CLOCK)
+      class SystemClock {
+        now() {
+          return 'real'
+        }
+      }
+
+      @Mock(CLOCK)
+      class FixedClockMock {
+        now() {
+          return 'fixed'
+        }
+      }
+
+      expect(resolve(CLOCK).now()).toBe('fixed')
+      resetMock(CLOCK)
+      expect(resolve(CLOCK)).toBeInstanceOf(SystemClock)
+    })
+
+    it('should print the description in diagnostics', () => {
+      const CACHE = new InjectionToken('Cache', {description: 'Redis cache'})
+      expect(() => resolve(CACHE)).toThrow('Cannot find injection source for "Cache (Redis cache)"')
+      expect(() => validateRegistrations(CACHE)).toThrow('Missing registrations: [Cache (Redis cache)]')
+      expect(() => resetMock(CACHE)).toThrow('Cannot reset mock for "Cache (Redis cache)": not registered')
+    })
+  })
+
+  describe('Symbol keys', () => {
+    it('should register and inject classes under a Symbol', () => {
+      const LOGGER = Symbol('logger')
+
+      @Singleton(LOGGER)
+      class ConsoleLogger {}
+
+      class Service {
+        @Inject(LOGGER) logger
+      }
+
+      expect(new Service().logger).toBeInstanceOf(ConsoleLogger)
+      expect(isRegistered(LOGGER)).toBe(true)
+      expect(isRegistered(Symbol('logger'))).toBe(false)
+    })
+
+    it('should support mocking by Symbol', () => {
+      const MAILER = Symbol('mailer')
+
+      @Singleton(MAILER)
+      class SmtpMailerService {
+        send() {
+          return 'smtp'
+        }
+      }
+
+      @Mock(MAILER)
+      class FakeMailerMock {
+        send() {
+          return 'fake'
+        }
+      }
+
+      expect(resolve(MAILER).send()).toBe('fake')
+    })
+
+    it('should print Symbols in diagnostics', () => {
+      const MISSING = Symbol('missing')
+
+      @Singleton(Symbol('missing'))
+      class RegisteredService {}
+
+      expect(() => resolve(MISSING)).toThrow(
+        'Cannot find injection source for "Symbol(missing)". ' +
+        'A different symbol named "missing" is registered. Check that both sides use the same symbol.'
+      )
+      expect(() => validateRegistrations(MISSING)).toThrow('Missing registrations: [Symbol(missing)]')
+    })
+
+    it('should log Symbol registrations in debug mode', () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+      try {
+        setDebug(true)
+
+        @Singleton(Symbol('debugged'))
+        class DebugService {}
+
+        expect(consoleSpy).toHaveBeenCalledWith('[DI] Registered singleton: Symbol(debugged)')
+      } finally {
+        setDebug(false)
+        consoleSpy.mockRestore()
+      }
+    })
+  })
+
+  describe('tokenName', () => {
+    it('should describe every kind of token', () => {
+      class MyClass {}
+      expect(tokenName('name')).toBe('name')
+      expect(tokenName(Symbol('sym'))).toBe('Symbol(sym)')
+      expect(tokenName(new InjectionToken('Token', {description: 'desc'}))).toBe('Token (desc)')
+      expect(tokenName(MyClass)).toBe('MyClass')
+    })
+  })
+
+  it('should work with isolated containers and values', () => {
+    const CONFIG = new InjectionToken('Config')
+    const container = new Container()
+    container.registerValue(CONFIG, {env: 'test'})
+
+    expect(container.resolve(CONFIG)).toEqual({env: 'test'})
+  })
+})
@@ -5,21 +5,80 @@ import {
   Container,
   Singleton,
   Factory,
+  Scoped,
+  runInScope,
+  resolveAsync,
+  registerValue,
+  registerFactoryFunction,
+  registerAlias,
+  FactoryFunction,
+  PostConstruct,
+  PreDestroy,
+  LifecycleMethodDecorator,
   Inject,
+  InjectAll,
+  InjectOptional,
+  InjectOptions,
   InjectLazy,
+  resolveAll,
+  RegistrationOptions,
+  InjectionPoint,
+  startProfiling,
+  stopProfiling,
+  ProfileReport,
+  ProfileEntry,
+  ProfileNode,
+  ContainerEvent,
+  ContainerEvents,
+  Logger,
+  LogEvent,
+  LogLevel,
+  setLogger,
+  consoleLogger,
+  DIError,
+  DIErrorCode,
+  NotRegisteredError,
+  DuplicateRegistrationError,
+  CircularDependencyError,
+  MockError,
+  InvalidDecoratorTargetError,
+  ValidationError,
+  ResolutionError,
+  ResolutionStep,
+  CaptiveDependencyMode,
+  setCaptiveDependencyMode,
+  getDependencyGraph,
+  graphToDot,
+  graphToMermaid,
+  graphToJSON,
+  DependencyGraph,
+  GraphNode,
+  GraphEdge,
   Mock,
   resetMocks,
+  withMocks,
+  mockValue,
+  mockFactory,
+  MockOptions,
+  MockDefinition,
+  getCalls,
+  SpyCall,
   resetMock,
   clearContainer,
   getContainer,
   createProxy,
+  createSpyProxy,
   isRegistered,
   validateRegistrations,
+  validateContainer,
   setDebug,
   InstanceContext,
   FieldOrAccessorDecorator,
   Constructor,
-  InjectionToken
+  Token,
+  RegistrationName,
+  InjectionToken,
+  resolve
 } from '../index'
 
 // Test Container class types
@@ -33,12 +92,30 @@ container.registerMock('testName', class MockClass {}, true)
 container.resetMock('testName')
 container.resetAllMocks()
 container.clear()
+container.dispose()
+const disposed: Promise<void> = container.disposeAsync()
+
+// Test child container types
+const child: Container = container.createChild()
+const parentContainer: Container | null = child.parent
+const hasOwnIt: boolean = child.hasOwn('testName')
+const owner: Container = child.getContext('testName').owner
+const multiContexts: InstanceContext[] = container.getAllContexts('testName')
+const explicitChild: Container = new Container(container)
+const injector: Container = child.getInjector(instance)
 
 // Test decorator types
 const singletonDecorator: ClassDecorator = Singleton()
 const namedSingletonDecorator: ClassDecorator = Singleton('named')
 const factoryDecorator: ClassDecorator = Factory()
 const namedFactoryDecorator: ClassDecorator = Factory('named')
+const scopedDecorator: ClassDecorator = Scoped()
+const namedScopedDecorator: ClassDecorator = Scoped('named')
+
+// Test scope types
+container.registerScoped(class ScopedClass {}, 'scopedName')
+const scopedResult: number = container.runInScope(() => 42)
+const asyncScopedResult: Promise<string> = runInScope(async () => 'done')
 
 // Test Inject types - now returns FieldOrAccessorDecorator for TC39 Stage 3 decorators
 class SomeClass {}
@@ -51,10 +128,49 @@ const lazyDecorator: FieldOrAccessorDecorator = InjectLazy(SomeClass)
 const lazyWithName: FieldOrAccessorDecorator = InjectLazy('someName')
 const lazyWithParams: FieldOrAccessorDecorator = InjectLazy(SomeClass, 'param1', 42)
 
+// Test provider types
+container.registerValue('config', {apiUrl: 'https://example.com'})
+container.registerFactoryFunction('logger', (c: Container, name: string) => ({name}), {singleton: true})
+container.registerAlias('settings', 'config')
+registerValue('port', 8080)
+registerFactoryFunction(SomeClass, () => new SomeClass())
+registerAlias('some', SomeClass)
+const factoryFn: FactoryFunction<SomeClass> = () => new SomeClass()
+
+// Test async resolution types
+const asyncInstance: Promise<SomeClass> = resolveAsync(SomeClass)
+const asyncNamed: Promise<SomeClass> = resolveAsync<SomeClass>('someName', 'param')
+const asyncFromContainer: Promise<SomeClass> = container.resolveAsync(SomeClass)
+const asyncFromContext: Promise<SomeClass> = container.getInstanceAsync<SomeClass>(context, [])
+
+// Test lifecycle hook types
+const postConstructDecorator: LifecycleMethodDecorator = PostConstruct()
+const preDestroyDecorator: LifecycleMethodDecorator = PreDestroy()
+
 // Test Mock types
 const mockDecorator: ClassDecorator = Mock(SomeClass)
 const mockWithProxy: ClassDecorator = Mock(SomeClass, true)
 const mockWithName: ClassDecorator = Mock('someName', false)
+const temporaryMocks: MockDefinition[] = [[SomeClass, class {}], ['someName', class {}, {proxy: true}]]
+const mockedResult: number = withMocks(temporaryMocks, () => 42)
+const proxyOptions: MockOptions = {proxy: true}
+mockValue(SomeClass, {}, proxyOptions)
+mockValue<{send(): string}>('mailer', {send: () => 'stub'})
+mockFactory(SomeClass, () => new SomeClass())
+container.mockValue('someName', {value: 1})
+container.mockFactory<{send(): string}>('mailer', (to: string) => ({send: () => to}), {proxy: false})
+const mockedAsync: Promise<SomeClass> = container.withMocks([[SomeClass, class {}]], async () => container.resolve(SomeClass))
+
+// Test spy mock types
+const spyDecorator: ClassDecorator = Mock(SomeClass, {spy: true})
+container.registerMock(SomeClass, SomeClass, {spy: true, proxy: false})
+mockValue(SomeClass, {}, {spy: true})
+const spiedMocks: MockDefinition[] = [[SomeClass, class {}, {spy: true}]]
+const calls: SpyCall[] = getCalls(SomeClass)
+const firstCall: SpyCall | undefined = container.getCalls('someName')[0]
+const calledMethod: string | symbol | undefined = firstCall?.method
+const callArgs: any[] | undefined = firstCall?.args
+const callTime: number | undefined = firstCall?.timestamp
 
 // Test utility function types
 resetMocks()
@@ -67,6 +183,8 @@ const defaultContainer: Container = getContainer()
 const mockObj = { foo: 'bar' }
 const originalObj = { foo: 'original', baz: 'value' }
 const proxied: typeof mockObj = createProxy(mockObj, originalObj)
+const spied: typeof originalObj = createSpyProxy(originalObj, calls)
+const spiedWithoutCalls: typeof originalObj = createSpyProxy(originalObj)
 
 // Test isRegistered types
 const isReg1: boolean = isRegistered(SomeClass)
@@ -84,8 +202,24 @@ container.setDebug(true)
 
 // Test new type aliases
 const ctor: Constructor<SomeClass> = SomeClass
-const token1: InjectionToken<SomeClass> = SomeClass
-const token2: InjectionToken = 'namedToken'
+const token1: Token<SomeClass> = SomeClass
+const token2: Token = 'namedToken'
+const token3: Token = Symbol('symbolToken')
+
+// Test InjectionToken types
+const typedToken = new InjectionToken<SomeClass>('SomeClass', {description: 'A typed token'})
+const token4: Token<SomeClass> = typedToken
+const tokenName: string = typedToken.name
+const tokenDescription: string | undefined = typedToken.description
+const tokenString: string = typedToken.toString()
+const registrationName: RegistrationName = typedToken
+Singleton(typedToken)
+Factory(Symbol('factory'))
+Scoped(new InjectionToken('scoped'))
+container.registerSingleton(SomeClass, typedToken)
+registerValue(new InjectionToken<number>('port'), 8080)
+const typedResolved: SomeClass = resolve(typedToken)
+const symbolResolved: string = resolve<string>(Symbol('name'))
 
 // Test InstanceContext interface
 const ctx: InstanceContext = {
@@ -93,7 +227,126 @@ const ctx: InstanceContext = {
   clazz: SomeClass,
   originalClazz: undefined,
   instance: undefined,
-  proxy: false
+  proxy: false,
+  owner: container
 }
 
+// Test multi-injection types
+const multiOptions: RegistrationOptions = {multi: true, order: 1}
+Singleton('validators', multiOptions)
+Factory('validators', {multi: true})
+Scoped('validators', {multi: true, order: -1})
+container.registerSingleton(SomeClass, 'plugins', {multi: true})
+const allPlugins: SomeClass[] = container.resolveAll<SomeClass>('plugins')
+const allTyped: SomeClass[] = resolveAll(typedToken)
+const injectAllDecorator: FieldOrAccessorDecorator = InjectAll('validators')
+
+// Test optional injection types
+const injectOptions: InjectOptions = {optional: true}
+const optionalInject: FieldOrAccessorDecorator = Inject(SomeClass, injectOptions)
+const optionalLazy: FieldOrAccessorDecorator = InjectLazy('name', 'param', {optional: true})
+const injectOptional: FieldOrAccessorDecorator = InjectOptional(SomeClass)
+const injectOptionalDefault: FieldOrAccessorDecorator = InjectOptional(typedToken, new SomeClass())
+
+// Test injection point types
+const injectionPoint: InjectionPoint = {consumer: 'Consumer', field: 'dependency'}
+const injected: SomeClass = container.getInstance<SomeClass>(context, [], injectionPoint)
+
+// Test dependency graph types
+const graph: DependencyGraph = getDependencyGraph()
+const containerGraph: DependencyGraph = container.getDependencyGraph()
+const graphNode: GraphNode | undefined = graph.nodes[0]
+const nodeType: 'singleton' | 'factory' | 'scoped' | 'alias' | undefined = graphNode?.type
+const graphEdge: GraphEdge | undefined = containerGraph.edges.find(edge => edge.to === SomeClass && !edge.lazy)
+const edgeField: string | symbol | undefined = graphEdge?.field
+
+// Test graph export types
+const dot: string = graphToDot(graph)
+const mermaid: string = graphToMermaid(container.getDependencyGraph())
+const json: string = graphToJSON(graph)
+
+// Test container validation types
+validateContainer()
+container.validate()
+
+// Test captive dependency types
+const captiveMode: CaptiveDependencyMode = 'throw'
+setCaptiveDependencyMode(captiveMode)
+container.setCaptiveDependencyMode('ignore')
+const lazyInjectionPoint: InjectionPoint = {consumer: 'Consumer', field: 'dependency', lazy: true}
+
+// Test unresolved token error types
+const suggestedContext: InstanceContext = container.getContext(SomeClass, {consumer: 'Consumer', field: 'dependency'})
+
+// Test error class types
+try {
+  resolve(SomeClass)
+} catch (error) {
+  if (error instanceof DIError) {
+    const code: DIErrorCode | string = error.code
+    const errorToken: Token | undefined = error.token
+  }
+  if (error instanceof NotRegisteredError) {
+    const missingTokens: Token[] = error.tokens
+  }
+  if (error instanceof ValidationError) {
+    const problems: string[] = error.problems
+  }
+}
+const wrapped: DIError = new DIError('Failed', {code: 'ERR_DI_CUSTOM', token: SomeClass, cause: new Error('boom')})
+const errorClasses: Array<typeof DIError> = [
+  DuplicateRegistrationError,
+  CircularDependencyError,
+  MockError,
+  InvalidDecoratorTargetError
+]
+
+// Test resolution error types
+try {
+  resolve(SomeClass, 'param')
+} catch (error) {
+  if (error instanceof ResolutionError) {
+    const chain: ResolutionStep[] = error.chain
+    const failedField: InjectionPoint | undefined = chain[0]?.injectionPoint
+    const failedParams: any[] = error.params
+    const cause: unknown = error.cause
+  }
+}
+
+// Test logger types
+const logLevel: LogLevel = 'debug'
+const events: LogEvent[] = []
+const collectingLogger: Logger = {
+  info: (event: LogEvent, message: string) => events.push({...event, message}),
+  warn: (event) => events.push(event)
+}
+setLogger(collectingLogger, {level: logLevel})
+setLogger(console)
+container.setLogger(consoleLogger, {level: 'silent'})
+const createDuration: number | undefined = events.find(event => event.event === 'create')?.durationMs
+
+// Test container event types
+let createdCount = 0
+const stopCounting: () => void = container.on('create', ({token, durationMs, mocked}) => {
+  const took: number = durationMs
+  const fromMock: boolean = mocked
+  if (token === SomeClass) {
+    createdCount++
+  }
+})
+stopCounting()
+const onResolve = (payload: ContainerEvents['resolve']) => payload.injectionPoint?.field
+container.on('resolve', onResolve)
+container.off('resolve', onResolve)
+const eventName: ContainerEvent = 'cacheHit'
+
+// Test profiler types
+startProfiling()
+const profile: ProfileReport = stopProfiling()
+const slowest: ProfileEntry | undefined = profile.entries[0]
+const selfTime: number | undefined = slowest?.selfMs
+const flame: ProfileNode[] = profile.tree.flatMap(node => node.children)
+container.startProfiling()
+const containerProfile: ProfileReport = container.stopProfiling()
+
 console.log('All type checks passed!')
@@ -1,14 +1,23 @@
 import {
   Singleton,
   Factory,
+  Inject,
+  InjectLazy,
+  InjectOptional,
+  InjectAll,
+  Mock,
+  registerAlias,
   clearContainer,
   isRegistered,
-  validateRegistrations
+  validateRegistrations,
+  validateContainer
 } from '../index.js'
+import {Container} from '../src/Container.js'
 
 describe('Validation Helpers', () => {
   afterEach(() => {
     clearContainer()
+    jest.restoreAllMocks()
   })
 
   describe('isRegistered', () => {
@@ -103,4 +112,205 @@ describe('Validation Helpers', () => {
       }).not.toThrow()
     })
   })
+
+  describe('validateContainer', () => {
+    it('should pass for a correctly wired container', () => {
+      @Singleton()
+      class Database {}
+
+      @Singleton('UserService')
+      class UserService {
+        @Inject(Database) db
+        @InjectLazy('UserService') self
+      }
+
+      expect(() => validateContainer()).not.toThrow()
+    })
+
+    it('should pass for an empty container', () => {
+      expect(() => validateContainer()).not.toThrow()
+    })
+
+    it('should report every missing registration with its consumer and field', () => {
+      @Singleton()
+      class UserService {
+        @Inject('database') db
+        @InjectLazy('cache') accessor #cache
+      }
+
+      @Factory()
+      class ReportFactory {
+        @Inject('database') db
+      }
+
+      let message
+      try {
+        validateContainer()
+      } catch (err) {
+        message = err.message
+      }
+      const [title, ...problems] = message.split('\n')
+      expect(title).toBe('Container validation failed:')
+      expect(problems).toHaveLength(3)
+      expect(problems).toEqual(expect.arrayContaining([
+        '  - UserService.db: "database" is not registered',
+        '  - UserService.#cache: "cache" is not registered',
+        '  - ReportFactory.db: "database" is not registered'
+      ]))
+    })
+
+    it('should not create any instances', () => {
+      let created = 0
+
+      @Singleton()
+      class CountingService {
+        @Inject('missing') missing
+
+        constructor() {
+          created++
+        }
+      }
+
+      expect(() => validateContainer()).toThrow('CountingService.missing')
+      expect(created).toBe(0)
+    })
+
+    it('should allow missing optional and multi registrations', () => {
+      @Singleton()
+      class PluginHostService {
+        @InjectOptional('metrics') metrics
+        @Inject('tracer', {optional: true}) tracer
+        @InjectAll('plugins') plugins
+      }
+
+      expect(() => validateContainer()).not.toThrow()
+    })
+
+    it('should report multi providers injected with @Inject', () => {
+      @Singleton('rules', {multi: true})
+      class RequiredRuleSingleton {}
+
+      @Singleton()
+      class FormService {
+        @Inject('rules') rules
+      }
+
+      expect(() => validateContainer()).toThrow(
+        'FormService.rules: "rules" has multiple providers. Use @InjectAll to inject all of them'
+      )
+    })
+
+    it('should report aliases to missing registrations', () => {
+      registerAlias('settings', 'config')
+
+      expect(() => validateContainer()).toThrow('Alias "settings" points to "config", which is not registered')
+    })
+
+    it('should detect eager cycles statically', () => {
+      // A captures the B factory, which is reported as a warning
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      @Singleton()
+      class A {
+        @Inject('B') b
+      }
+
+      @Factory('B')
+      class B {
+        @Inject('C') c
+      }
+
+      @Singleton('C')
+      class C {
+        @Inject(A) a
+      }
+
+      expect(() => validateContainer()).toThrow(
+        'Container validation failed:\n' +
+        '  - Circular dependency detected: A -> B -> C -> A (fields: A.b -> B.c -> C.a). ' +
+        'Use @InjectLazy to break the cycle.'
+      )
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Captive dependency: singleton "A" injects factory "B"'))
+    })
+
+    it('should ignore cycles broken by lazy injection', () => {
+      @Singleton()
+      class ParentService {
+        @Inject('ChildService') child
+      }
+
+      @Singleton('ChildService')
+      class ChildService {
+        @InjectLazy(ParentService) parent
+      }
+
+      expect(() => validateContainer()).not.toThrow()
+    })
+
+    it('should detect cycles through private @InjectLazy fields, which are created eagerly', () => {
+      @Singleton()
+      class LeftService {
+        @Inject('RightService') right
+      }
+
+      @Singleton('RightService')
+      class RightService {
+        @InjectLazy(LeftService) #left
+
+        getLeft() {
+          return this.#left
+        }
+      }
+
+      expect(() => validateContainer()).toThrow(
+        'Circular dependency detected: LeftService -> RightService -> LeftService'
+      )
+    })
+
+    it('should detect cycles through multi providers', () => {
+      @Singleton()
+      class RegistryService {
+        @InjectAll('handlers') handlers
+      }
+
+      @Singleton('handlers', {multi: true})
+      class AuditSingleton {
+        @Inject(RegistryService) registry
+      }
+
+      expect(() => validateContainer()).toThrow(
+        'Circular dependency detected: RegistryService -> AuditSingleton -> RegistryService ' +
+        '(fields: RegistryService.handlers -> AuditSingleton.registry)'
+      )
+    })
+
+    it('should validate mocks instead of the classes they replace', () => {
+      @Singleton()
+      class Mailer {
+        @Inject('smtp') smtp
+      }
+
+      expect(() => validateContainer()).toThrow('Mailer.smtp')
+
+      @Mock(Mailer)
+      class MailerMock {}
+
+      expect(() => validateContainer()).not.toThrow()
+    })
+
+    it('should validate child containers against their parents', () => {
+      class Database {}
+
+      class Repository {
+        @Inject(Database) db
+      }
+
+      const parent = new Container()
+      parent.registerSingleton(Database)
+      const child = parent.createChild()
+      child.registerSingleton(Repository)
+
+      expect(() => child.validate()).not.toThrow()
+    })
+  })
 })
@@ -0,0 +1,308 @@
+import {
+  Singleton,
+  Factory,
+  Inject,
+  PreDestroy,
+  Mock,
+  resolve,
+  resolveAsync,
+  resetMocks,
+  withMocks,
+  clearContainer,
+  MockError,
+  NotRegisteredError
+} from '../index.js'
+import {Container} from '../src/Container.js'
+
+describe('withMocks', () => {
+  afterEach(() => {
+    resetMocks()
+    clearContainer()
+  })
+
+  it('should use the mocks inside the function and restore the originals afterwards', () => {
+    @Factory()
+    class MailerFactory {
+      send() {
+        return 'sent'
+      }
+    }
+
+    class MailerMock {
+      send() {
+        return 'mocked'
+      }
+    }
+
+    const result = withMocks([[MailerFactory, MailerMock]], () => resolve(MailerFactory).send())
+
+    expect(result).toBe('mocked')
+    expect(resolve(MailerFactory).send()).toBe('sent')
+  })
+
+  it('should restore the originals when the function throws', () => {
+    @Factory()
+    class ClockFactory {}
+
+    class ClockMock {}
+
+    expect(() => withMocks([[ClockFactory, ClockMock]], () => {
+      throw new Error('test failed')
+    })).toThrow('test failed')
+    expect(resolve(ClockFactory)).toBeInstanceOf(ClockFactory)
+  })
+
+  it('should restore the originals when the promise rejects', async () => {
+    @Factory()
+    class ClockFactory {}
+
+    class ClockMock {}
+
+    await expect(withMocks([[ClockFactory, ClockMock]], async () => {
+      expect(resolve(ClockFactory)).toBeInstanceOf(ClockMock)
+      throw new Error('test failed')
+    })).rejects.toThrow('test failed')
+    expect(resolve(ClockFactory)).toBeInstanceOf(ClockFactory)
+  })
+
+  it('should keep the mocks active until the promise settles', async () => {
+    @Factory('clock')
+    class ClockFactory {}
+
+    class ClockMock {}
+
+    const instances = []
+    const promise = withMocks([['clock', ClockMock]], async () => {
+      await new Promise(resolve => setTimeout(resolve, 5))
+      instances.push(resolve('clock'))
+    })
+    instances.push(resolve('clock'))
+    await promise
+
+    expect(instances[0]).toBeInstanceOf(ClockFactory)
+    expect(instances[1]).toBeInstanceOf(ClockMock)
+  })
+
+  it('should not share mocks between concurrent calls', async () => {
+    @Factory()
+    class GreeterFactory {
+      greet() {
+        return 'hello'
+      }
+    }
+
+    class EnglishMock {
+      greet() {
+        return 'hi'
+      }
+    }
+
+    class FrenchMock {
+      greet() {
+        return 'salut'
+      }
+    }
+
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+    const results = await Promise.all([
+      withMocks([[GreeterFactory, EnglishMock]], async () => {
+        await delay(10)
+        return resolve(GreeterFactory).greet()
+      }),
+      withMocks([[GreeterFactory, FrenchMock]], async () => {
+        await delay(1)
+        return resolve(GreeterFactory).greet()
+      }),
+      delay(5).then(() => resolve(GreeterFactory).greet())
+    ])
+
+    expect(results).toEqual(['hi', 'salut', 'hello'])
+  })
+
+  it('should keep singletons created inside the function out of the container', () => {
+    const destroyed = []
+
+    @Singleton()
+    class DatabaseService {
+      name = 'real'
+    }
+
+    class DatabaseMock {
+      name = 'mock'
+    }
+
+    @Singleton()
+    class UserService {
+      @Inject(DatabaseService) database
+
+      @PreDestroy()
+      close() {
+        destroyed.push(this.database.name)
+      }
+    }
+
+    const inside = withMocks([[DatabaseService, DatabaseMock]], () => {
+      const service = resolve(UserService)
+      expect(resolve(UserService)).toBe(service)
+      return service
+    })
+
+    expect(inside.database.name).toBe('mock')
+    expect(destroyed).toEqual(['mock'])
+    expect(resolve(UserService)).not.toBe(inside)
+    expect(resolve(UserService).database.name).toBe('real')
+  })
+
+  it('should reuse singletons created before the function', () => {
+    @Singleton()
+    class ConfigService {}
+
+    @Factory()
+    class ClockFactory {}
+
+    class ClockMock {}
+
+    const config = resolve(ConfigService)
+
+    withMocks([[ClockFactory, ClockMock]], () => {
+      expect(resolve(ConfigService)).toBe(config)
+    })
+  })
+
+  it('should share singletons created asynchronously inside the function', async () => {
+    @Singleton()
+    class ConnectionService {
+      static async create() {
+        return new ConnectionService()
+      }
+    }
+
+    @Factory()
+    class ClockFactory {}
+
+    class ClockMock {}
+
+    const [first, second] = await withMocks([[ClockFactory, ClockMock]], () => Promise.all([
+      resolveAsync(ConnectionService),
+      resolveAsync(ConnectionService)
+    ]))
+
+    expect(first).toBe(second)
+    expect(await resolveAsync(ConnectionService)).not.toBe(first)
+  })
+
+  it('should proxy unmocked methods to the original', () => {
+    @Factory()
+    class CalculatorFactory {
+      add(a, b) {
+        return a + b
+      }
+
+      multiply(a, b) {
+        return a * b
+      }
+    }
+
+    class CalculatorMock {
+      add() {
+        return 0
+      }
+    }
+
+    withMocks([[CalculatorFactory, CalculatorMock, {proxy: true}]], () => {
+      const calculator = resolve(CalculatorFactory)
+      expect(calculator.add(2, 3)).toBe(0)
+      expect(calculator.multiply(2, 3)).toBe(6)
+    })
+  })
+
+  it('should override mocks registered with @Mock and leave them in place', () => {
+    @Factory()
+    class StorageFactory {}
+
+    @Mock(StorageFactory)
+    class StorageMock {}
+
+    class TemporaryStorageMock {}
+
+    withMocks([[StorageFactory, TemporaryStorageMock]], () => {
+      expect(resolve(StorageFactory)).toBeInstanceOf(TemporaryStorageMock)
+    })
+    expect(resolve(StorageFactory)).toBeInstanceOf(StorageMock)
+  })
+
+  it('should let nested calls override and extend the outer mocks', () => {
+    @Factory()
+    class AFactory {}
+
+    @Factory()
+    class BFactory {}
+
+    class AMock {}
+
+    class BMock {}
+
+    class InnerAMock {}
+
+    withMocks([[AFactory, AMock]], () => {
+      withMocks([[AFactory, InnerAMock], [BFactory, BMock]], () => {
+        expect(resolve(AFactory)).toBeInstanceOf(InnerAMock)
+        expect(resolve(BFactory)).toBeInstanceOf(BMock)
+      })
+      expect(resolve(AFactory)).toBeInstanceOf(AMock)
+      expect(resolve(BFactory)).toBeInstanceOf(BFactory)
+    })
+  })
+
+  it('should apply to child containers but not to the parent', () => {
+    const parent = new Container()
+
+    class ServiceFactory {}
+
+    class ServiceMock {}
+
+    parent.registerFactory(ServiceFactory)
+    const child = parent.createChild()
+
+    parent.withMocks([[ServiceFactory, ServiceMock]], () => {
+      expect(child.resolve(ServiceFactory)).toBeInstanceOf(ServiceMock)
+    })
+    child.withMocks([[ServiceFactory, ServiceMock]], () => {
+      expect(child.resolve(ServiceFactory)).toBeInstanceOf(ServiceMock)
+      expect(parent.resolve(ServiceFactory)).toBeInstanceOf(ServiceFactory)
+    })
+  })
+
+  it('should emit mock and resetMock events', () => {
+    const container = new Container()
+    const events = []
+
+    class ServiceFactory {}
+
+    class ServiceMock {}
+
+    container.registerFactory(ServiceFactory)
+    container.on('mock', payload => events.push(['mock', payload]))
+    container.on('resetMock', payload => events.push(['resetMock', payload]))
+
+    container.withMocks([[ServiceFactory, ServiceMock]], () => {})
+
+    expect(events).toEqual([
+      ['mock', {token: ServiceFactory, mock: ServiceMock, proxy: false}],
+      ['resetMock', {token: ServiceFactory, mock: ServiceMock}]
+    ])
+  })
+
+  it('should reject unregistered and duplicate keys without running the function', () => {
+    @Factory()
+    class ServiceFactory {}
+
+    class ServiceMock {}
+
+    const fn = jest.fn()
+
+    expect(() => withMocks([['missing', ServiceMock]], fn)).toThrow(NotRegisteredError)
+    expect(() => withMocks([[ServiceFactory, ServiceMock], [ServiceFactory, ServiceMock]], fn)).toThrow(MockError)
+    expect(fn).not.toHaveBeenCalled()
+  })
+})